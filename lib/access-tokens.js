@@ -0,0 +1,316 @@
+'use strict';
+
+var async = require('async');
+
+var errors = require('./errors');
+var query = require('./query');
+var resources = require('./resources');
+var tokens = require('./tokens');
+
+/**
+ * Check that access tokens can be validated locally, ie: the `apiKeySecret`
+ * setting is set.  There's deliberately no fallback (eg: the secret a backend
+ * makes up when none is configured), as anyone could sign tokens with it.
+ *
+ * @param {Object} connector The Stormpath connector.
+ * @return {Error} An error if there's no API key secret, otherwise `null`.
+ */
+function checkSecret(connector) {
+  return connector.settings.apiKeySecret ? null : errors.apiKeySecretRequiredError();
+}
+
+/**
+ * Check a decoded access token locally: it must be signed with the configured
+ * API key secret, not have expired, have been issued by the connector's
+ * Application, and belong to an Account.
+ *
+ * @param {Object} connector The Stormpath connector.
+ * @param {Object} decoded The decoded access token (see `tokens.decode`).
+ * @return {Error} An error if the token can't be trusted, otherwise `null`.
+ */
+function check(connector, decoded) {
+  var secret = connector.settings.apiKeySecret;
+  var type = resources.types.account;
+
+  if (!secret) {
+    return checkSecret(connector);
+  }
+
+  if (!tokens.verifySignature(decoded, secret) || (decoded.header.stt && decoded.header.stt !== 'access')) {
+    return errors.accessTokenError('Invalid access token');
+  }
+
+  if (typeof decoded.claims.exp !== 'number' || decoded.claims.exp * 1000 <= Date.now()) {
+    return errors.accessTokenError('Access token has expired', 'ACCESS_TOKEN_EXPIRED');
+  }
+
+  if (decoded.claims.iss !== connector.application.href) {
+    return errors.accessTokenError('Access token was not issued by this application');
+  }
+
+  var sub = String(decoded.claims.sub);
+
+  if (type.toHref(resources.convertHrefToId(sub), connector.baseUrl) !== sub) {
+    return errors.accessTokenError('Invalid access token');
+  }
+
+  return null;
+}
+
+/**
+ * Convert a Stormpath access token into the JSON representation of a Loopback
+ * `AccessToken`: the token itself is the `id`, and the `ttl` and `created`
+ * time are those of the token.
+ *
+ * @param {String} token The access token.
+ * @param {Object} decoded The decoded access token.
+ * @return {Object} The `id`, `ttl`, `created` time and `userId`.
+ */
+function toJson(token, decoded) {
+  return {
+    id: token,
+    ttl: decoded.claims.exp - decoded.claims.iat,
+    created: new Date(decoded.claims.iat * 1000),
+    userId: resources.convertHrefToId(decoded.claims.sub)
+  };
+}
+
+/**
+ * Get the values a where condition on `id` or `userId` allows, ie: a single
+ * value or an `inq` list.
+ *
+ * @param {*} cond The where condition.
+ * @return {Array} The values, or `null` if the condition is missing or
+ *  anything else.
+ */
+function conditionValues(cond) {
+  if (typeof cond === 'string' || typeof cond === 'number') {
+    return [String(cond)];
+  }
+
+  if (cond && Array.isArray(cond.inq)) {
+    return cond.inq.map(String);
+  }
+
+  return null;
+}
+
+/**
+ * Load an access token by id (the token itself).  Tokens which fail the local
+ * checks, and tokens Stormpath no longer knows about (ie: revoked ones), are
+ * skipped.
+ *
+ * @param {Object} connector The Stormpath connector.
+ * @param {String} token The access token.
+ * @param {Function} callback The callback function, receiving the token's
+ *  `json` and Stormpath `resource`, or `null`.
+ */
+function load(connector, token, callback) {
+  var decoded = tokens.decode(token);
+
+  if (check(connector, decoded)) {
+    return process.nextTick(function() {
+      callback(null, null);
+    });
+  }
+
+  connector.client.getResource(connector.baseUrl + '/accessTokens/' + decoded.claims.jti, function(err, resource) {
+    if (err && err.status === 404) return callback(null, null);
+    if (err) return callback(err);
+    callback(null, { json: toJson(token, decoded), resource: resource });
+  });
+}
+
+/**
+ * List the (valid) access tokens of an Account, issued by the connector's
+ * Application.
+ *
+ * @param {Object} connector The Stormpath connector.
+ * @param {String} userId The Account's model id.
+ * @param {Function} callback The callback function, receiving an array of
+ *  tokens, each with its `json` and Stormpath `resource`.
+ */
+function list(connector, userId, callback) {
+  var href = resources.types.account.toHref(userId, connector.baseUrl) + '/accessTokens';
+
+  connector.client.getResource(href, function(err, collection) {
+    if (err && err.status === 404) return callback(null, []);
+    if (err) return callback(err);
+
+    var found = [];
+
+    collection.each(function(resource, cb) {
+      var decoded = tokens.decode(resource.jwt);
+
+      if (!check(connector, decoded)) {
+        found.push({ json: toJson(resource.jwt, decoded), resource: resource });
+      }
+
+      cb();
+    }, function(err) {
+      if (err) return callback(err);
+      callback(null, found);
+    });
+  });
+}
+
+/**
+ * Find the access tokens matching a Loopback where object.  Stormpath can't
+ * search access tokens, so the where object has to name the tokens (`id`) or
+ * the Accounts they belong to (`userId`); its other conditions are applied
+ * locally.
+ *
+ * @param {Object} connector The Stormpath connector.
+ * @param {Object} [where] The Loopback where object.
+ * @param {Function} callback The callback function, receiving an array of
+ *  tokens, each with its `json` and Stormpath `resource`.
+ */
+function find(connector, where, callback) {
+  where = query.normalizeWhere(where);
+
+  var ids = conditionValues(where.id);
+  var userIds = conditionValues(where.userId);
+  var matches;
+
+  try {
+    var err = checkSecret(connector);
+
+    if (err) {
+      throw err;
+    }
+
+    if (!ids && !userIds) {
+      throw query.unsupported('access tokens can only be looked up by id or userId.');
+    }
+
+    matches = query.compileWhere(where, {
+      getValue: function(entry, key) {
+        return entry.json[key];
+      },
+      searchableAttrs: []
+    });
+  } catch (err) {
+    return process.nextTick(function() {
+      callback(err);
+    });
+  }
+
+  var done = function(err, found) {
+    if (err) return callback(err);
+    callback(null, found.filter(function(entry) {
+      return entry && matches(entry);
+    }));
+  };
+
+  if (ids) {
+    async.mapSeries(ids, function(id, cb) {
+      load(connector, id, cb);
+    }, done);
+  } else {
+    async.concatSeries(userIds, function(userId, cb) {
+      list(connector, userId, cb);
+    }, done);
+  }
+}
+
+/**
+ * "Create" an access token.  Stormpath issues access tokens itself (see the
+ * `StormpathUser` mixin's `login`), so this only accepts a token Stormpath
+ * issued to the given user, as the instance id.
+ *
+ * @param {Object} connector The Stormpath connector.
+ * @param {Object} data The model data, with the token as its `id`.
+ * @param {Function} callback The callback function, receiving the id.
+ */
+function create(connector, data, callback) {
+  var err = checkSecret(connector);
+
+  if (err) {
+    return process.nextTick(function() {
+      callback(err);
+    });
+  }
+
+  load(connector, data.id, function(err, entry) {
+    if (err) return callback(err);
+
+    if (!entry || (data.userId !== undefined && String(data.userId) !== entry.json.userId)) {
+      return callback(errors.accessTokenError('Invalid access token'));
+    }
+
+    callback(null, data.id);
+  });
+}
+
+/**
+ * Find the access tokens matching a Loopback filter.
+ *
+ * @param {Object} connector The Stormpath connector.
+ * @param {Object} filter The Loopback filter.
+ * @param {Function} callback The callback function, receiving an array of
+ *  access tokens.
+ */
+function all(connector, filter, callback) {
+  find(connector, filter.where, function(err, found) {
+    if (err) return callback(err);
+
+    var json = found.map(function(entry) {
+      return entry.json;
+    });
+
+    if (filter.order) {
+      json.sort(query.compileOrder(query.parseOrder(filter.order), {
+        getValue: function(token, key) {
+          return token[key];
+        }
+      }));
+    }
+
+    var offset = filter.skip || filter.offset || 0;
+
+    callback(null, json.slice(offset, filter.limit ? offset + filter.limit : undefined));
+  });
+}
+
+/**
+ * Count the access tokens matching a Loopback where object.
+ *
+ * @param {Object} connector The Stormpath connector.
+ * @param {Object} [where] The Loopback where object.
+ * @param {Function} callback The callback function, receiving the count.
+ */
+function count(connector, where, callback) {
+  find(connector, where, function(err, found) {
+    if (err) return callback(err);
+    callback(null, found.length);
+  });
+}
+
+/**
+ * Revoke the access tokens matching a Loopback where object.
+ *
+ * @param {Object} connector The Stormpath connector.
+ * @param {Object} [where] The Loopback where object.
+ * @param {Function} callback The callback function, receiving an object
+ *  with the number of revoked tokens, as `User.logout` expects.
+ */
+function destroyAll(connector, where, callback) {
+  find(connector, where, function(err, found) {
+    if (err) return callback(err);
+
+    async.eachLimit(found, connector.concurrency, function(entry, cb) {
+      entry.resource.delete(function(err) {
+        cb(err || null);
+      });
+    }, function(err) {
+      if (err) return callback(err);
+      callback(null, { count: found.length });
+    });
+  });
+}
+
+exports.all = all;
+exports.check = check;
+exports.count = count;
+exports.create = create;
+exports.destroyAll = destroyAll;
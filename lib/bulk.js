@@ -0,0 +1,66 @@
+'use strict';
+
+var async = require('async');
+
+/**
+ * How many requests a bulk operation sends at once, unless the `concurrency`
+ * setting says otherwise.
+ */
+var DEFAULT_CONCURRENCY = 5;
+
+/**
+ * Normalize a `concurrency` setting (or option).
+ *
+ * @param {Number} [concurrency] The setting.
+ * @param {Number} [fallback] The value to use when the setting is missing.
+ *  Defaults to `DEFAULT_CONCURRENCY`.
+ * @return {Number} The number of requests to send at once.
+ */
+function normalizeConcurrency(concurrency, fallback) {
+  concurrency = Math.floor(Number(concurrency));
+
+  return concurrency > 0 ? concurrency : fallback || DEFAULT_CONCURRENCY;
+}
+
+/**
+ * Run a bulk operation: apply an iterator to every item, at most
+ * `concurrency` at a time.  Failures don't stop the other items (since
+ * requests already sent can't be taken back anyway), they're collected
+ * instead.
+ *
+ * @param {Array} items The items.
+ * @param {Number} concurrency How many items to process at once.
+ * @param {Function} iterator The iterator, called with each item, its index
+ *  and a callback receiving an error or the item's result.
+ * @param {Function} callback The callback function, receiving the results of
+ *  the items which succeeded (in the order of the items), and the `index` and
+ *  `error` of each item which failed.
+ */
+function run(items, concurrency, iterator, callback) {
+  var results = new Array(items.length);
+  var failed = [];
+
+  async.eachOfLimit(items, concurrency, function(item, index, cb) {
+    iterator(item, index, function(err, result) {
+      if (err) {
+        failed.push({ index: index, error: err });
+      } else {
+        results[index] = { result: result };
+      }
+
+      cb();
+    });
+  }, function() {
+    failed.sort(function(a, b) {
+      return a.index - b.index;
+    });
+
+    callback(results.filter(Boolean).map(function(entry) {
+      return entry.result;
+    }), failed);
+  });
+}
+
+exports.DEFAULT_CONCURRENCY = DEFAULT_CONCURRENCY;
+exports.normalizeConcurrency = normalizeConcurrency;
+exports.run = run;
@@ -0,0 +1,311 @@
+'use strict';
+
+/**
+ * The Stormpath error codes of password policy violations which have a code
+ * of their own, mapped onto Loopback validation codes.  Other violations (eg:
+ * a missing uppercase character) are reported with the generic `400` code.
+ */
+var PASSWORD_POLICY_CODES = {
+  2007: 'length.min',
+  2008: 'length.max'
+};
+
+/**
+ * Create an error shaped like the Stormpath SDK's `ResourceError`, as returned
+ * by the backends standing in for the Stormpath API.
+ *
+ * @param {Number} status The HTTP status code.
+ * @param {Number} code The Stormpath error code.
+ * @param {String} message The developer message.
+ * @return {Error} The error.
+ */
+function resourceError(status, code, message) {
+  var err = new Error('HTTP ' + status + ', Stormpath ' + code + ': ' + message);
+
+  err.name = 'ResourceError';
+  err.status = status;
+  err.code = code;
+  err.userMessage = message;
+  err.developerMessage = message;
+  err.moreInfo = 'https://docs.stormpath.com/errors/' + code;
+
+  return err;
+}
+
+/**
+ * Create the error for an unknown, used or expired token, as Loopback's own
+ * `User` model does.
+ *
+ * @param {String} token The token.
+ * @return {Error} The error.
+ */
+function invalidTokenError(token) {
+  var err = new Error('Invalid token: ' + token);
+
+  err.statusCode = 400;
+  err.code = 'INVALID_TOKEN';
+
+  return err;
+}
+
+/**
+ * Create the error for an unknown email address (or username), as Loopback's
+ * own `User` model does.
+ *
+ * @return {Error} The error.
+ */
+function emailNotFoundError() {
+  var err = new Error('Email not found');
+
+  err.statusCode = 404;
+  err.code = 'EMAIL_NOT_FOUND';
+
+  return err;
+}
+
+/**
+ * Create the error for a bulk mutation (eg: `destroyAll`) without a where
+ * clause, which would affect every resource.
+ *
+ * @param {String} action What's being done, eg: `destroy`.
+ * @param {String} model The model name.
+ * @return {Error} The error.
+ */
+function unscopedBulkError(action, model) {
+  var err = new Error('Refusing to ' + action + ' every ' + model + ' without a where clause. ' +
+    'Set allowUnscopedBulk to allow it.');
+
+  err.statusCode = 400;
+  err.code = 'UNSCOPED_BULK_OPERATION';
+
+  return err;
+}
+
+/**
+ * Create the error for a bulk mutation which would affect more resources than
+ * allowed.
+ *
+ * @param {String} action What's being done, eg: `destroy`.
+ * @param {String} model The model name.
+ * @param {Number} count The number of resources which would be affected.
+ * @param {Number} max The maximum number of resources allowed.
+ * @return {Error} The error.
+ */
+function bulkLimitError(action, model, count, max) {
+  var err = new Error('Refusing to ' + action + ' ' + count + ' ' + model + ' instances, more than the maximum of ' +
+    max + '.');
+
+  err.statusCode = 400;
+  err.code = 'BULK_LIMIT_EXCEEDED';
+  err.count = count;
+
+  return err;
+}
+
+/**
+ * Create the error for a bulk operation (eg: `destroyAll`) some of whose
+ * items failed.  It reports which items succeeded and which failed, and has
+ * the status code of the first failure.
+ *
+ * @param {String} action What was being done, eg: `destroy`.
+ * @param {String} model The model name.
+ * @param {Array} succeeded The ids of the instances which succeeded.
+ * @param {Array} failed The items which failed, each with its `error` and
+ *  either its `id` or (for creates) its `index`.
+ * @return {Error} The error.
+ */
+function bulkOperationError(action, model, succeeded, failed) {
+  var first = failed[0].error;
+  var err = new Error('Failed to ' + action + ' ' + failed.length + ' of ' + (succeeded.length + failed.length) + ' ' +
+    model + ' instances. First failure: ' + first.message);
+
+  err.statusCode = first.statusCode || first.status || 500;
+  err.code = 'BULK_OPERATION_FAILED';
+  err.count = succeeded.length;
+  err.succeeded = succeeded;
+  err.failed = failed;
+
+  return err;
+}
+
+/**
+ * Create the error for an API key which doesn't exist, or doesn't belong to
+ * the given Account.
+ *
+ * @param {String} apiKeyId The API key id.
+ * @return {Error} The error.
+ */
+function apiKeyNotFoundError(apiKeyId) {
+  var err = new Error('API key not found: ' + apiKeyId);
+
+  err.statusCode = 404;
+  err.code = 'API_KEY_NOT_FOUND';
+
+  return err;
+}
+
+/**
+ * Create the error for a Group which doesn't exist.
+ *
+ * @param {String} group The Group's id or name.
+ * @return {Error} The error.
+ */
+function groupNotFoundError(group) {
+  var err = new Error('Group not found: ' + group);
+
+  err.statusCode = 404;
+  err.code = 'GROUP_NOT_FOUND';
+
+  return err;
+}
+
+/**
+ * Create the error for an access token which can't be trusted: it's
+ * malformed, wasn't signed with our API key secret, has expired, wasn't issued
+ * by our Application, or its Account no longer exists.
+ *
+ * @param {String} message The error message.
+ * @param {String} [code] The error code.  Defaults to `INVALID_ACCESS_TOKEN`.
+ * @return {Error} The error.
+ */
+function accessTokenError(message, code) {
+  var err = new Error(message);
+
+  err.statusCode = 401;
+  err.code = code || 'INVALID_ACCESS_TOKEN';
+
+  return err;
+}
+
+/**
+ * Create the error for validating access tokens without the `apiKeySecret`
+ * setting, ie: without a secret to check their signatures with.
+ *
+ * @return {Error} The error.
+ */
+function apiKeySecretRequiredError() {
+  var err = new Error('Access tokens can\'t be validated without the apiKeySecret setting.');
+
+  err.statusCode = 500;
+  err.code = 'API_KEY_SECRET_REQUIRED';
+
+  return err;
+}
+
+/**
+ * Keep the details of the Stormpath error a Loopback style error was
+ * translated from: its `stormpathCode`, `developerMessage` and `moreInfo`.
+ *
+ * @param {Error} error The translated error.
+ * @param {Error} err The Stormpath error.
+ * @return {Error} The translated error.
+ */
+function keepStormpathDetails(error, err) {
+  error.stormpathCode = err.code;
+  error.developerMessage = err.developerMessage;
+  error.moreInfo = err.moreInfo;
+
+  return error;
+}
+
+/**
+ * Create an error shaped like Loopback's `ValidationError`, for a single
+ * invalid field.
+ *
+ * @param {String} model The model name.
+ * @param {String} field The invalid field.
+ * @param {String} code The Loopback validation code, eg: `uniqueness`.
+ * @param {String} message The validation message, eg: `is not unique`.
+ * @return {Error} The error.
+ */
+function validationError(model, field, code, message) {
+  var err = new Error('The `' + model + '` instance is not valid. Details: `' + field + '` ' + message + '.');
+  var codes = {};
+  var messages = {};
+
+  codes[field] = [code];
+  messages[field] = [message];
+
+  err.name = 'ValidationError';
+  err.statusCode = 422;
+  err.details = { context: model, codes: codes, messages: messages };
+
+  return err;
+}
+
+/**
+ * Create the error for a model instance which doesn't exist, as Loopback does.
+ *
+ * @param {String} model The model name.
+ * @param {String} [id] The model id.
+ * @return {Error} The error.
+ */
+function notFoundError(model, id) {
+  var err = new Error(id === undefined ? 'Unknown "' + model + '" instance.' :
+    'Unknown "' + model + '" id "' + id + '".');
+
+  err.statusCode = 404;
+  err.code = 'MODEL_NOT_FOUND';
+
+  return err;
+}
+
+/**
+ * Translate an error returned by Stormpath for a model instance into the
+ * Loopback style error clients expect:
+ *
+ * - Duplicates (`2001`) become a `uniqueness` validation error on the
+ *   duplicated field (the model's lookup field, eg: `email`, unless Stormpath
+ *   names another one).
+ * - Password policy violations become a validation error on `password`.
+ * - Unknown resources (`404`) become a `MODEL_NOT_FOUND` error.
+ *
+ * The Stormpath error details are kept (see `keepStormpathDetails`).  Any
+ * other error is returned as-is.
+ *
+ * @param {Error} err The Stormpath error.
+ * @param {Object} context What the request was for.
+ * @param {String} context.model The model name.
+ * @param {String} [context.id] The model id.
+ * @param {String} [context.field] The model's lookup field, eg: `email`.
+ * @return {Error} The translated error.
+ */
+function stormpathError(err, context) {
+  if (!err || err.name !== 'ResourceError') {
+    return err;
+  }
+
+  var message = String(err.developerMessage || err.message);
+
+  if (err.code === 2001) {
+    var match = /with that (\w+) already exists/i.exec(message);
+    var field = match ? match[1] : context.field || 'email';
+
+    return keepStormpathDetails(validationError(context.model, field, 'uniqueness', 'is not unique'), err);
+  }
+
+  if (PASSWORD_POLICY_CODES[err.code] || err.code === 400 && /password/i.test(message)) {
+    return keepStormpathDetails(validationError(context.model, 'password', PASSWORD_POLICY_CODES[err.code] || 'format',
+      err.userMessage || message), err);
+  }
+
+  if (err.status === 404) {
+    return keepStormpathDetails(notFoundError(context.model, context.id), err);
+  }
+
+  return err;
+}
+
+exports.accessTokenError = accessTokenError;
+exports.apiKeyNotFoundError = apiKeyNotFoundError;
+exports.apiKeySecretRequiredError = apiKeySecretRequiredError;
+exports.bulkLimitError = bulkLimitError;
+exports.bulkOperationError = bulkOperationError;
+exports.emailNotFoundError = emailNotFoundError;
+exports.groupNotFoundError = groupNotFoundError;
+exports.invalidTokenError = invalidTokenError;
+exports.keepStormpathDetails = keepStormpathDetails;
+exports.notFoundError = notFoundError;
+exports.resourceError = resourceError;
+exports.stormpathError = stormpathError;
+exports.unscopedBulkError = unscopedBulkError;
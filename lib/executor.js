@@ -0,0 +1,138 @@
+'use strict';
+
+var request = require('request');
+var util = require('util');
+var ResourceError = require('stormpath/lib/error/ResourceError');
+var SdkRequestExecutor = require('stormpath/lib/ds/RequestExecutor');
+
+var retry = require('./retry');
+
+/**
+ * A Stormpath SDK request executor which sends requests to a configurable base
+ * URL, rather than the one hardcoded in the SDK.
+ *
+ * The SDK follows absolute hrefs as-is, but qualifies the relative URIs it
+ * builds itself (eg: `/tenants/current`) against `https://api.stormpath.com`.
+ * This qualifies them against our base URL first, so that enterprise and
+ * private deployments work too.
+ *
+ * @param {Object} options The request executor options.  Everything other
+ *  than `baseUrl` (eg: `apiKey` and `proxy`) is handed to the SDK's executor,
+ *  which passes it on to `request`.
+ * @param {String} options.baseUrl The base URL of the Stormpath REST API,
+ *  eg: `https://enterprise.stormpath.io/v1`.
+ * @constructor
+ */
+function RequestExecutor(options) {
+  this.baseUrl = options.baseUrl;
+
+  var sdkOptions = {};
+
+  for (var key in options) {
+    if (key !== 'baseUrl' && options[key] !== undefined) {
+      sdkOptions[key] = options[key];
+    }
+  }
+
+  SdkRequestExecutor.call(this, sdkOptions);
+}
+
+util.inherits(RequestExecutor, SdkRequestExecutor);
+
+/**
+ * Qualify a (possibly relative) URI against the base URL.
+ *
+ * @param {String} uri The URI.
+ * @return {String} The fully qualified URL.
+ */
+RequestExecutor.prototype.qualify = function(uri) {
+  if (!uri || /^https?:\/\//.test(uri)) {
+    return uri;
+  }
+
+  return this.baseUrl + (uri.charAt(0) === '/' ? '' : '/') + uri;
+};
+
+/**
+ * Execute a request, see the SDK's `RequestExecutor#execute`.
+ *
+ * Unlike the SDK's, this keeps the HTTP status of error responses whatever
+ * their body (eg: the HTML page of a gateway timeout), and the delay any
+ * `Retry-After` header asks for, as the error's `retryAfter` (in
+ * milliseconds), so that failed requests can be retried (see `retry`).
+ *
+ * The SDK only sends JSON bodies, so requests with a `form` (eg: OAuth token
+ * requests, which must be form encoded) are form encoded here.  OAuth error
+ * responses (`{ error: 'invalid_grant', message: ... }`) become
+ * `ResourceError`s carrying the HTTP status and the OAuth `error`.
+ *
+ * @param {Object} req The request (`uri`, `method`, `query` and `body` or
+ *  `form`).
+ * @param {Function} callback The callback function.
+ */
+RequestExecutor.prototype.execute = function(req, callback) {
+  if (!req) {
+    throw new Error('Request argument is required.');
+  }
+
+  if (!req.uri) {
+    throw new Error('request.uri field is required.');
+  }
+
+  var options = {};
+
+  for (var key in this.options) {
+    options[key] = this.options[key];
+  }
+
+  options.method = req.method || (req.form ? 'POST' : 'GET');
+  options.uri = this.qualify(req.uri);
+
+  if (req.query) {
+    options.qs = req.query;
+  }
+
+  if (req.form) {
+    options.form = req.form;
+  } else if (req.body) {
+    options.body = req.body;
+  }
+
+  this.requestAuthenticator.authenticate(options);
+
+  request(options, function(err, response, body) {
+    if (err) {
+      var wrapper = new Error('Unable to execute http request ' + options.method + ' ' + options.uri + ': ' + err.message);
+      wrapper.inner = err;
+      return callback(wrapper);
+    }
+
+    if (response.statusCode > 399) {
+      body = body && typeof body === 'object' ? body : {};
+
+      var resourceError = new ResourceError({
+        status: response.statusCode,
+        code: body.code || response.statusCode,
+        message: body.message,
+        developerMessage: body.developerMessage || body.message,
+        moreInfo: body.moreInfo
+      });
+
+      resourceError.error = body.error;
+      resourceError.retryAfter = retry.parseRetryAfter(response.headers['retry-after']);
+      return callback(resourceError);
+    }
+
+    if (response.statusCode === 202 && !body) {
+      return callback(null, { accepted: true });
+    }
+
+    if (response.statusCode === 201 && body && typeof body === 'object') {
+      Object.defineProperty(body, '_isNew', { value: true });
+    }
+
+    callback(null, body);
+  });
+};
+
+module.exports = RequestExecutor;
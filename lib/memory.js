@@ -0,0 +1,1539 @@
+'use strict';
+
+var crypto = require('crypto');
+var url = require('url');
+
+var resources = require('./resources');
+var BASE_URL = resources.BASE_URL;
+var resourceError = require('./errors').resourceError;
+var COLLECTION_PARAMS = require('./query').COLLECTION_PARAMS;
+var searchCollection = require('./query').searchCollection;
+var tokens = require('./tokens');
+
+/**
+ * Fields that can never be written through the API.
+ */
+var RESERVED_FIELDS = ['href', 'createdAt', 'modifiedAt'];
+
+/**
+ * How long password reset tokens are valid for, in milliseconds (Stormpath's
+ * default of 24 hours).
+ */
+var PASSWORD_RESET_TOKEN_TTL = 24 * 60 * 60 * 1000;
+
+/**
+ * How long OAuth access tokens are valid for, in seconds (Stormpath's default
+ * of 1 hour).
+ */
+var ACCESS_TOKEN_TTL = 60 * 60;
+
+/**
+ * How long OAuth refresh tokens are valid for, in seconds (Stormpath's default
+ * of 60 days).
+ */
+var REFRESH_TOKEN_TTL = 60 * 24 * 60 * 60;
+
+/**
+ * The query parameters asking for API key secrets to be encrypted, which
+ * aren't search criteria.
+ */
+var ENCRYPTION_PARAMS = ['encryptSecret', 'encryptionKeySize', 'encryptionKeyIterations', 'encryptionKeySalt'];
+
+/**
+ * The resource types the in-memory backend knows about.  For each type we
+ * list the attributes that can be written, the attributes Stormpath allows
+ * searching on, the required attributes, and which attributes must be unique
+ * within the parent directory (or tenant).
+ */
+var TYPES = {
+  tenants: {
+    writable: ['name', 'key'],
+    searchable: [],
+    links: ['applications', 'directories', 'organizations', 'accounts', 'groups', 'customData']
+  },
+  applications: {
+    writable: ['name', 'description', 'status'],
+    searchable: ['name', 'description', 'status'],
+    required: ['name'],
+    unique: ['name'],
+    defaults: { status: 'ENABLED' },
+    links: [
+      'accounts', 'groups', 'loginAttempts', 'passwordResetTokens', 'verificationEmails', 'accountStoreMappings',
+      'apiKeys', 'customData', 'tenant'
+    ]
+  },
+  directories: {
+    writable: ['name', 'description', 'status'],
+    searchable: ['name', 'description', 'status'],
+    required: ['name'],
+    unique: ['name'],
+    defaults: { status: 'ENABLED' },
+    links: ['accounts', 'groups', 'accountCreationPolicy', 'customData', 'tenant']
+  },
+  organizations: {
+    writable: ['name', 'nameKey', 'description', 'status'],
+    searchable: ['name', 'nameKey', 'description', 'status'],
+    required: ['name', 'nameKey'],
+    unique: ['name', 'nameKey'],
+    defaults: { status: 'ENABLED' },
+    links: ['accounts', 'groups', 'accountStoreMappings', 'customData', 'tenant']
+  },
+  accounts: {
+    writable: ['username', 'email', 'givenName', 'middleName', 'surname', 'status'],
+    searchable: ['givenName', 'middleName', 'surname', 'username', 'email', 'status', 'createdAt', 'modifiedAt'],
+    required: ['email', 'givenName', 'surname', 'password'],
+    unique: ['email', 'username'],
+    defaults: { status: 'ENABLED' },
+    links: ['customData', 'groups', 'groupMemberships', 'apiKeys', 'accessTokens', 'refreshTokens', 'directory', 'tenant']
+  },
+  groups: {
+    writable: ['name', 'description', 'status'],
+    searchable: ['name', 'description', 'status', 'createdAt', 'modifiedAt'],
+    required: ['name'],
+    unique: ['name'],
+    defaults: { status: 'ENABLED' },
+    links: ['customData', 'accounts', 'accountMemberships', 'directory', 'tenant']
+  },
+  groupMemberships: {
+    links: ['account', 'group']
+  },
+  apiKeys: {
+    writable: ['name', 'description', 'status'],
+    searchable: ['id', 'name', 'description', 'status'],
+    defaults: { status: 'ENABLED' },
+    links: ['account', 'tenant']
+  },
+  accountStoreMappings: {
+    writable: ['listIndex', 'isDefaultAccountStore', 'isDefaultGroupStore'],
+    links: ['application', 'accountStore']
+  },
+  accessTokens: {
+    links: ['account', 'application', 'tenant']
+  },
+  refreshTokens: {
+    links: ['account', 'application', 'tenant']
+  }
+};
+
+/**
+ * Generate a random, URL safe resource ID.
+ *
+ * @return {String} The ID.
+ */
+function generateId() {
+  return crypto.randomBytes(16).toString('base64').replace(/[^a-zA-Z0-9]/g, '').substr(0, 22);
+}
+
+/**
+ * Hash a password for storage.
+ *
+ * @param {String} password The plain text password.
+ * @param {String} salt The salt.
+ * @return {String} The hashed password.
+ */
+function hashPassword(password, salt) {
+  return crypto.createHash('sha256').update(salt + ':' + password).digest('hex');
+}
+
+/**
+ * Create the error returned for a failed OAuth token request, shaped like
+ * Stormpath's (`{ error: 'invalid_grant', message: ... }`).
+ *
+ * @param {String} error The OAuth error, eg: `invalid_grant`.
+ * @param {String} message The error message.
+ * @return {Error} The error.
+ */
+function oauthError(error, message) {
+  var err = resourceError(400, 400, message);
+
+  err.error = error;
+
+  return err;
+}
+
+/**
+ * Copy the given object (one level deep).
+ *
+ * @param {Object} obj The object to copy.
+ * @return {Object} The copy.
+ */
+function clone(obj) {
+  return JSON.parse(JSON.stringify(obj));
+}
+
+/**
+ * Parse a Stormpath `expand` parameter, eg: `customData,groups(offset:0,limit:5)`.
+ *
+ * @param {String} expand The expand parameter.
+ * @return {Object} A map of expanded link names to collection options.
+ */
+function parseExpand(expand) {
+  var result = {};
+
+  if (!expand) {
+    return result;
+  }
+
+  var pattern = /([a-zA-Z]+)(\(([^)]*)\))?/g;
+  var match;
+
+  while ((match = pattern.exec(expand))) {
+    var options = {};
+
+    if (match[3]) {
+      match[3].split(',').forEach(function(pair) {
+        var parts = pair.split(':');
+        options[parts[0].trim()] = parseInt(parts[1], 10);
+      });
+    }
+
+    result[match[1]] = options;
+  }
+
+  return result;
+}
+
+/**
+ * An in-memory stand-in for the Stormpath REST API.
+ *
+ * This implements the `RequestExecutor` interface used by the Stormpath SDK's
+ * data store, so a Stormpath `Client` constructed with
+ * `{ requestExecutor: new MemoryBackend() }` works entirely offline.  It keeps
+ * tenants, applications, directories, organizations, accounts, groups, group
+ * memberships, API keys, customData, account creation policies, password
+ * reset and email verification tokens, and OAuth tokens (signed with the
+ * tenant's API key secret), and implements Stormpath's collection
+ * search, ordering, pagination and expansion semantics.  Like Stormpath, API
+ * key secrets are encrypted with the tenant's API key secret when a request
+ * asks for it (`encryptSecret`, as the SDK's API key methods do).
+ *
+ * It is meant for development and testing (the connector's own test suite
+ * runs against it when no Stormpath credentials are set), not production:
+ * nothing is persisted, and only the parts of the API the connector uses are
+ * implemented.
+ *
+ * @param {Object} [options] The backend options.
+ * @param {String} [options.baseUrl] The base URL used to build hrefs.
+ * @param {Object} [options.apiKey] The API key (`id` and `secret`) of the
+ *  tenant.
+ * @constructor
+ */
+function MemoryBackend(options) {
+  options = options || {};
+
+  this.baseUrl = (options.baseUrl || BASE_URL).replace(/\/+$/, '');
+  // Without a configured secret, tokens are signed with a random one, rather
+  // than a well known one anyone could sign tokens with.
+  this.options = {
+    apiKey: options.apiKey && options.apiKey.secret ? options.apiKey : {
+      id: 'memory',
+      secret: crypto.randomBytes(30).toString('base64')
+    }
+  };
+  this.resources = {};
+  this.passwordResetTokens = {};
+  this.emailVerificationTokens = {};
+  this.tenant = this.insert('tenants', { name: 'memory', key: 'memory' });
+}
+
+/**
+ * Execute a request against the in-memory store.  Responses are delivered
+ * asynchronously, like they would be over the network.
+ *
+ * @param {Object} req The request (`uri`, `method`, `query` and `body` or
+ *  `form`).
+ * @param {Function} callback The callback function.
+ */
+MemoryBackend.prototype.execute = function(req, callback) {
+  var result;
+  var error = null;
+
+  try {
+    result = this.handle((req.method || 'GET').toUpperCase(), this.qualify(req.uri), req.query || {}, req.body || req.form);
+  } catch (err) {
+    if (!err.status) {
+      throw err;
+    }
+    error = err;
+  }
+
+  process.nextTick(function() {
+    if (error) return callback(error);
+    callback(null, result === undefined ? null : result);
+  });
+};
+
+/**
+ * Turn a (possibly relative) URI into an href.
+ *
+ * @param {String} uri The URI.
+ * @return {String} The href.
+ */
+MemoryBackend.prototype.qualify = function(uri) {
+  var parsed = url.parse(uri);
+
+  if (parsed.protocol) {
+    return uri.split('?')[0];
+  }
+
+  return this.baseUrl + (uri.charAt(0) === '/' ? '' : '/') + uri.split('?')[0];
+};
+
+/**
+ * Build the href of a top level resource.
+ *
+ * @param {String} type The resource type, eg: `accounts`.
+ * @param {String} id The resource id.
+ * @return {String} The href.
+ */
+MemoryBackend.prototype.href = function(type, id) {
+  return this.baseUrl + '/' + type + '/' + id;
+};
+
+/**
+ * Look up a stored resource by href, throwing a 404 if it doesn't exist.
+ *
+ * @param {String} href The resource href.
+ * @param {String} [type] The expected resource type.
+ * @return {Object} The stored resource.
+ */
+MemoryBackend.prototype.lookup = function(href, type) {
+  var record = this.resources[href];
+
+  if (!record || (type && record.type !== type)) {
+    throw resourceError(404, 404, 'The requested resource does not exist.');
+  }
+
+  return record;
+};
+
+/**
+ * Store a new resource.
+ *
+ * @param {String} type The resource type.
+ * @param {Object} data The resource attributes.
+ * @return {Object} The stored resource.
+ */
+MemoryBackend.prototype.insert = function(type, data) {
+  var now = new Date().toISOString();
+  var record = {
+    type: type,
+    href: this.href(type, generateId()),
+    data: {},
+    customData: {},
+    createdAt: now,
+    modifiedAt: now
+  };
+  var defaults = TYPES[type].defaults || {};
+
+  for (var key in defaults) {
+    record.data[key] = defaults[key];
+  }
+  for (key in data) {
+    record.data[key] = data[key];
+  }
+
+  this.resources[record.href] = record;
+  return record;
+};
+
+/**
+ * Dispatch a request.
+ *
+ * @param {String} method The HTTP method.
+ * @param {String} href The requested href.
+ * @param {Object} query The query parameters.
+ * @param {Object} body The request body.
+ * @return {Object} The response body.
+ */
+MemoryBackend.prototype.handle = function(method, href, query, body) {
+  if (href.indexOf(this.baseUrl + '/') !== 0) {
+    throw resourceError(404, 404, 'The requested resource does not exist.');
+  }
+
+  var parts = href.substr(this.baseUrl.length + 1).split('/');
+  var type = parts[0];
+
+  if (type === 'tenants' && parts[1] === 'current') {
+    return this.render(this.tenant, query);
+  }
+
+  if (type === 'accountCreationPolicies' && parts.length === 2) {
+    return this.handleAccountCreationPolicy(method, this.lookup(this.href('directories', parts[1]), 'directories'), body || {});
+  }
+
+  if (type === 'accounts' && parts[1] === 'emailVerificationTokens' && parts.length === 3 && method === 'POST') {
+    return this.verifyEmail(parts[2]);
+  }
+
+  if (!TYPES[type]) {
+    throw resourceError(404, 404, 'The requested resource does not exist.');
+  }
+
+  // Top level collections, eg: POST /directories.
+  if (parts.length === 1) {
+    if (method !== 'POST') {
+      throw resourceError(405, 405, 'Request method \'' + method + '\' not supported.');
+    }
+    return this.render(this.create(type, body || {}, query, null), query);
+  }
+
+  var record = this.lookup(this.href(type, parts[1]), type);
+
+  if (parts.length === 2) {
+    return this.handleInstance(method, record, query, body);
+  }
+
+  if (parts[2] === 'customData') {
+    return this.handleCustomData(method, record, parts[3], body);
+  }
+
+  if (record.type === 'applications' && parts[2] === 'passwordResetTokens') {
+    return this.handlePasswordReset(method, record, parts[3], query, body || {});
+  }
+
+  if (record.type === 'applications' && parts[2] === 'verificationEmails' && method === 'POST') {
+    return this.resendVerificationEmail(record, body || {});
+  }
+
+  if (record.type === 'applications' && parts[2] === 'oauth' && parts[3] === 'token' && method === 'POST') {
+    return this.issueOAuthToken(record, body || {});
+  }
+
+  return this.handleChild(method, record, parts[2], query, body);
+};
+
+/**
+ * Handle a request against a single resource.
+ *
+ * @param {String} method The HTTP method.
+ * @param {Object} record The stored resource.
+ * @param {Object} query The query parameters.
+ * @param {Object} body The request body.
+ * @return {Object} The response body.
+ */
+MemoryBackend.prototype.handleInstance = function(method, record, query, body) {
+  if (method === 'DELETE') {
+    this.remove(record);
+    return;
+  }
+
+  if (method === 'POST') {
+    this.update(record, body || {});
+  }
+
+  return this.render(record, query);
+};
+
+/**
+ * Handle a request against a resource's customData.
+ *
+ * @param {String} method The HTTP method.
+ * @param {Object} record The stored resource.
+ * @param {String} [field] The customData field, when deleting a single field.
+ * @param {Object} body The request body.
+ * @return {Object} The response body.
+ */
+MemoryBackend.prototype.handleCustomData = function(method, record, field, body) {
+  if (method === 'DELETE') {
+    if (field) {
+      delete record.customData[field];
+    } else {
+      record.customData = {};
+    }
+    return;
+  }
+
+  if (method === 'POST') {
+    this.mergeCustomData(record, body || {});
+  }
+
+  return this.renderCustomData(record);
+};
+
+/**
+ * Handle a request against a child collection of a resource.
+ *
+ * @param {String} method The HTTP method.
+ * @param {Object} record The stored (parent) resource.
+ * @param {String} name The name of the child collection.
+ * @param {Object} query The query parameters.
+ * @param {Object} body The request body.
+ * @return {Object} The response body.
+ */
+MemoryBackend.prototype.handleChild = function(method, record, name, query, body) {
+  if (record.type === 'applications' && name === 'loginAttempts' && method === 'POST') {
+    return this.attemptLogin(record, body || {}, query);
+  }
+
+  if (method === 'POST') {
+    var childType = name === 'accountMemberships' ? 'groupMemberships' : name;
+
+    if (!TYPES[childType]) {
+      throw resourceError(404, 404, 'The requested resource does not exist.');
+    }
+
+    return this.render(this.create(childType, body || {}, query, record), query);
+  }
+
+  return this.renderCollection(record.href + '/' + name, this.members(record, name), query);
+};
+
+/**
+ * Get the resources in a child collection of the given resource.
+ *
+ * @param {Object} record The stored (parent) resource.
+ * @param {String} name The name of the child collection.
+ * @return {Array} The stored resources.
+ */
+MemoryBackend.prototype.members = function(record, name) {
+  var self = this;
+
+  switch (record.type + '.' + name) {
+    case 'tenants.applications':
+    case 'tenants.directories':
+    case 'tenants.organizations':
+    case 'tenants.accounts':
+    case 'tenants.groups':
+      return self.all(name);
+    case 'applications.accountStoreMappings':
+    case 'organizations.accountStoreMappings':
+      return self.mappings(record);
+    case 'applications.accounts':
+    case 'organizations.accounts':
+      return self.storeMembers(record, 'accounts');
+    case 'applications.groups':
+    case 'organizations.groups':
+      return self.storeMembers(record, 'groups');
+    case 'directories.accounts':
+    case 'directories.groups':
+      return self.all(name).filter(function(child) {
+        return child.directory === record.href;
+      });
+    case 'groups.accounts':
+      return self.all('groupMemberships').filter(function(membership) {
+        return membership.group === record.href;
+      }).map(function(membership) {
+        return self.resources[membership.account];
+      });
+    case 'accounts.groups':
+      return self.all('groupMemberships').filter(function(membership) {
+        return membership.account === record.href;
+      }).map(function(membership) {
+        return self.resources[membership.group];
+      });
+    case 'groups.accountMemberships':
+      return self.all('groupMemberships').filter(function(membership) {
+        return membership.group === record.href;
+      });
+    case 'accounts.groupMemberships':
+      return self.all('groupMemberships').filter(function(membership) {
+        return membership.account === record.href;
+      });
+    case 'accounts.apiKeys':
+    case 'accounts.accessTokens':
+    case 'accounts.refreshTokens':
+      return self.all(name).filter(function(child) {
+        return child.account === record.href;
+      });
+    case 'applications.apiKeys':
+      var accounts = self.storeMembers(record, 'accounts').map(function(account) {
+        return account.href;
+      });
+
+      return self.all('apiKeys').filter(function(apiKey) {
+        return accounts.indexOf(apiKey.account) > -1;
+      });
+  }
+
+  throw resourceError(404, 404, 'The requested resource does not exist.');
+};
+
+/**
+ * Get all stored resources of the given type, in creation order.
+ *
+ * @param {String} type The resource type.
+ * @return {Array} The stored resources.
+ */
+MemoryBackend.prototype.all = function(type) {
+  var self = this;
+
+  return Object.keys(self.resources).map(function(href) {
+    return self.resources[href];
+  }).filter(function(record) {
+    return record.type === type;
+  });
+};
+
+/**
+ * Get the account store mappings of an application or organization, ordered
+ * by their list index.
+ *
+ * @param {Object} record The stored application or organization.
+ * @return {Array} The stored mappings.
+ */
+MemoryBackend.prototype.mappings = function(record) {
+  return this.all('accountStoreMappings').filter(function(mapping) {
+    return mapping.application === record.href;
+  }).sort(function(a, b) {
+    return a.data.listIndex - b.data.listIndex;
+  });
+};
+
+/**
+ * Get every account or group reachable through the account stores mapped to
+ * an application or organization.
+ *
+ * @param {Object} record The stored application or organization.
+ * @param {String} type Either `accounts` or `groups`.
+ * @return {Array} The stored resources.
+ */
+MemoryBackend.prototype.storeMembers = function(record, type) {
+  var self = this;
+  var seen = {};
+  var results = [];
+
+  self.mappings(record).forEach(function(mapping) {
+    var store = self.resources[mapping.accountStore];
+
+    if (!store) {
+      return;
+    }
+
+    var members = store.type === 'groups' ?
+      (type === 'groups' ? [store] : self.members(store, 'accounts')) :
+      self.members(store, type);
+
+    members.forEach(function(member) {
+      if (!seen[member.href]) {
+        seen[member.href] = true;
+        results.push(member);
+      }
+    });
+  });
+
+  return results;
+};
+
+/**
+ * Find the directory new accounts or groups of an application (or
+ * organization) are created in.
+ *
+ * @param {Object} record The stored application or organization.
+ * @param {String} flag Either `isDefaultAccountStore` or `isDefaultGroupStore`.
+ * @return {Object} The stored directory.
+ */
+MemoryBackend.prototype.defaultStore = function(record, flag) {
+  var self = this;
+  var mappings = self.mappings(record);
+  var mapping = mappings.filter(function(m) {
+    return m.data[flag];
+  })[0];
+  var store = mapping && self.resources[mapping.accountStore];
+
+  if (store && store.type === 'organizations') {
+    return self.defaultStore(store, flag);
+  }
+
+  if (!store || store.type !== 'directories') {
+    throw resourceError(400, 5102, 'The application does not have a default ' +
+      (flag === 'isDefaultAccountStore' ? 'account' : 'group') + ' store.');
+  }
+
+  return store;
+};
+
+/**
+ * Create a new resource.
+ *
+ * @param {String} type The resource type.
+ * @param {Object} body The request body.
+ * @param {Object} query The query parameters.
+ * @param {Object} [parent] The stored parent resource, when the resource was
+ *  POSTed to a child collection.
+ * @return {Object} The stored resource.
+ */
+MemoryBackend.prototype.create = function(type, body, query, parent) {
+  var definition = TYPES[type];
+  var data = {};
+
+  if (type === 'groupMemberships') {
+    return this.createMembership(body, parent);
+  }
+
+  if (type === 'accountStoreMappings') {
+    return this.createMapping(body);
+  }
+
+  if (type === 'apiKeys') {
+    return this.createApiKey(body, parent);
+  }
+
+  if (type === 'tenants') {
+    throw resourceError(405, 405, 'Tenants cannot be created.');
+  }
+
+  if (type === 'accessTokens' || type === 'refreshTokens') {
+    throw resourceError(405, 405, 'OAuth tokens can only be created through an application\'s oauth/token endpoint.');
+  }
+
+  (definition.writable || []).forEach(function(field) {
+    if (body[field] !== undefined && body[field] !== null) {
+      data[field] = body[field];
+    }
+  });
+
+  if (type === 'accounts' || type === 'groups') {
+    if (parent && (parent.type === 'applications' || parent.type === 'organizations')) {
+      parent = this.defaultStore(parent, type === 'accounts' ? 'isDefaultAccountStore' : 'isDefaultGroupStore');
+    }
+
+    if (!parent || parent.type !== 'directories') {
+      throw resourceError(400, 2000, 'A directory is required to create ' + type + '.');
+    }
+
+    data.directory = parent.href;
+  }
+
+  // Like Stormpath, emails are stored as given, and compared case
+  // insensitively.
+  if (type === 'accounts') {
+    data.username = data.username || data.email;
+  }
+
+  this.validate(type, data, body, null);
+
+  var record = this.insert(type, {});
+
+  for (var key in data) {
+    if (key === 'directory') {
+      record.directory = data[key];
+    } else {
+      record.data[key] = data[key];
+    }
+  }
+
+  if (type === 'accounts') {
+    this.setPassword(record, body.password);
+
+    // Directories with a verification workflow create unverified accounts,
+    // unless the workflow is skipped for this request.
+    if (this.accountCreationPolicy(this.resources[record.directory]).verificationEmailStatus === 'ENABLED' &&
+        String(query.registrationWorkflowEnabled) !== 'false') {
+      record.data.status = 'UNVERIFIED';
+      this.issueVerificationToken(record);
+    }
+  }
+
+  if (body.customData && typeof body.customData === 'object') {
+    this.mergeCustomData(record, body.customData);
+  }
+
+  if (type === 'applications' && String(query.createDirectory) === 'true') {
+    var directory = this.insert('directories', { name: record.data.name + ' Directory' });
+    this.createMapping({
+      application: { href: record.href },
+      accountStore: { href: directory.href },
+      isDefaultAccountStore: true,
+      isDefaultGroupStore: true
+    });
+  }
+
+  return record;
+};
+
+/**
+ * Validate the attributes of a new or updated resource.
+ *
+ * @param {String} type The resource type.
+ * @param {Object} data The resource attributes.
+ * @param {Object} body The request body.
+ * @param {Object} [record] The stored resource being updated, if any.
+ */
+MemoryBackend.prototype.validate = function(type, data, body, record) {
+  var self = this;
+  var definition = TYPES[type];
+
+  (definition.required || []).forEach(function(field) {
+    // Passwords are only required when creating an account.
+    if (field === 'password' && record) {
+      return;
+    }
+
+    var value = field === 'password' ? body.password : data[field];
+
+    if (value === undefined || value === null || value === '') {
+      throw resourceError(400, 2000, field + ' is required; it cannot be null, empty, or blank.');
+    }
+  });
+
+  if (body.password !== undefined) {
+    self.validatePassword(body.password);
+  }
+
+  if (data.status && ['ENABLED', 'DISABLED', 'UNVERIFIED'].indexOf(data.status) === -1) {
+    throw resourceError(400, 2002, 'status has an invalid value.');
+  }
+
+  var siblings = self.all(type).filter(function(other) {
+    return other !== record && (type !== 'accounts' && type !== 'groups' ||
+      other.directory === (record ? record.directory : data.directory));
+  });
+
+  (definition.unique || []).forEach(function(field) {
+    if (data[field] === undefined) {
+      return;
+    }
+
+    siblings.forEach(function(other) {
+      if (String(other.data[field]).toLowerCase() === String(data[field]).toLowerCase()) {
+        var name = type === 'accounts' ? 'Account' : type.charAt(0).toUpperCase() + type.substr(1, type.length - 2);
+        throw resourceError(409, 2001, name + ' with that ' + field + ' already exists.  Please choose another ' + field + '.');
+      }
+    });
+  });
+};
+
+/**
+ * Validate a password against the default Stormpath password policy.
+ *
+ * @param {String} password The password.
+ */
+MemoryBackend.prototype.validatePassword = function(password) {
+  password = String(password);
+
+  if (password.length < 8) {
+    throw resourceError(400, 2007, 'Account password minimum length not satisfied.');
+  }
+  if (password.length > 100) {
+    throw resourceError(400, 2008, 'Account password maximum length exceeded.');
+  }
+  if (!/[a-z]/.test(password)) {
+    throw resourceError(400, 400, 'Password requires at least 1 lowercase character.');
+  }
+  if (!/[A-Z]/.test(password)) {
+    throw resourceError(400, 400, 'Password requires at least 1 uppercase character.');
+  }
+  if (!/[0-9]/.test(password)) {
+    throw resourceError(400, 400, 'Password requires at least 1 numeric character.');
+  }
+};
+
+/**
+ * Set the password of a stored account.
+ *
+ * @param {Object} record The stored account.
+ * @param {String} password The plain text password.
+ */
+MemoryBackend.prototype.setPassword = function(record, password) {
+  record.salt = generateId();
+  record.password = hashPassword(String(password), record.salt);
+  record.data.passwordModifiedAt = new Date().toISOString();
+};
+
+/**
+ * Update a stored resource with the given data.
+ *
+ * @param {Object} record The stored resource.
+ * @param {Object} body The request body.
+ */
+MemoryBackend.prototype.update = function(record, body) {
+  var definition = TYPES[record.type];
+  var data = {};
+
+  (definition.writable || []).forEach(function(field) {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  });
+
+  var merged = clone(record.data);
+  for (var key in data) {
+    merged[key] = data[key];
+  }
+
+  this.validate(record.type, merged, body, record);
+
+  record.data = merged;
+  record.modifiedAt = new Date().toISOString();
+
+  if (record.type === 'accounts' && body.password !== undefined) {
+    this.setPassword(record, body.password);
+  }
+
+  if (body.customData && typeof body.customData === 'object') {
+    this.mergeCustomData(record, body.customData);
+  }
+};
+
+/**
+ * Merge fields into a stored resource's customData.
+ *
+ * @param {Object} record The stored resource.
+ * @param {Object} data The customData fields.
+ */
+MemoryBackend.prototype.mergeCustomData = function(record, data) {
+  for (var key in data) {
+    if (RESERVED_FIELDS.indexOf(key) === -1 && data[key] !== undefined) {
+      record.customData[key] = clone({ value: data[key] }).value;
+    }
+  }
+};
+
+/**
+ * Remove a stored resource, along with everything that belongs to it.
+ *
+ * @param {Object} record The stored resource.
+ */
+MemoryBackend.prototype.remove = function(record) {
+  var self = this;
+
+  if (record.type === 'tenants') {
+    throw resourceError(405, 405, 'Tenants cannot be deleted.');
+  }
+
+  delete self.resources[record.href];
+
+  Object.keys(self.resources).forEach(function(href) {
+    var other = self.resources[href];
+
+    if (!other) {
+      return;
+    }
+
+    if (other.directory === record.href ||
+        other.account === record.href ||
+        other.group === record.href ||
+        other.application === record.href) {
+      self.remove(other);
+    }
+  });
+};
+
+/**
+ * Create a group membership.
+ *
+ * @param {Object} body The request body.
+ * @param {Object} [parent] The stored group, if the membership was POSTed to
+ *  a group's account memberships.
+ * @return {Object} The stored membership.
+ */
+MemoryBackend.prototype.createMembership = function(body, parent) {
+  var account = this.lookup(body.account && body.account.href, 'accounts');
+  var group = parent && parent.type === 'groups' ? parent : this.lookup(body.group && body.group.href, 'groups');
+
+  if (account.directory !== group.directory) {
+    throw resourceError(400, 2014, 'The account and group must be in the same directory.');
+  }
+
+  var existing = this.all('groupMemberships').filter(function(membership) {
+    return membership.account === account.href && membership.group === group.href;
+  })[0];
+
+  if (existing) {
+    throw resourceError(409, 2001, 'Group membership already exists.');
+  }
+
+  var record = this.insert('groupMemberships', {});
+  record.account = account.href;
+  record.group = group.href;
+
+  return record;
+};
+
+/**
+ * Create an API key for an account.  The key's id is also the id in its href.
+ *
+ * @param {Object} body The request body.
+ * @param {Object} [parent] The stored account the key was POSTed to.
+ * @return {Object} The stored API key.
+ */
+MemoryBackend.prototype.createApiKey = function(body, parent) {
+  if (!parent || parent.type !== 'accounts') {
+    throw resourceError(400, 2000, 'An account is required to create apiKeys.');
+  }
+
+  var record = this.insert('apiKeys', {});
+
+  record.account = parent.href;
+  record.data.id = record.href.split('/').pop();
+  record.data.secret = crypto.randomBytes(30).toString('base64');
+
+  ['name', 'description'].forEach(function(field) {
+    if (body[field] !== undefined) {
+      record.data[field] = body[field];
+    }
+  });
+
+  return record;
+};
+
+/**
+ * Create an account store mapping.
+ *
+ * @param {Object} body The request body.
+ * @return {Object} The stored mapping.
+ */
+MemoryBackend.prototype.createMapping = function(body) {
+  var application = this.lookup(body.application && body.application.href);
+  var store = this.lookup(body.accountStore && body.accountStore.href);
+  var mappings = this.mappings(application);
+
+  var record = this.insert('accountStoreMappings', {
+    listIndex: mappings.length,
+    isDefaultAccountStore: !!body.isDefaultAccountStore,
+    isDefaultGroupStore: !!body.isDefaultGroupStore
+  });
+  record.application = application.href;
+  record.accountStore = store.href;
+
+  if (body.isDefaultAccountStore || body.isDefaultGroupStore) {
+    mappings.forEach(function(mapping) {
+      if (body.isDefaultAccountStore) {
+        mapping.data.isDefaultAccountStore = false;
+      }
+      if (body.isDefaultGroupStore) {
+        mapping.data.isDefaultGroupStore = false;
+      }
+    });
+  }
+
+  return record;
+};
+
+/**
+ * Find an account of an application by email address or username.
+ *
+ * @param {Object} application The stored application.
+ * @param {String} login The email address or username.
+ * @return {Object} The stored account, if any.
+ */
+MemoryBackend.prototype.findAccount = function(application, login) {
+  login = String(login).toLowerCase();
+
+  return this.storeMembers(application, 'accounts').filter(function(record) {
+    return String(record.data.email).toLowerCase() === login ||
+      String(record.data.username).toLowerCase() === login;
+  })[0];
+};
+
+/**
+ * Check that an account is allowed to log in, ie: it's neither disabled nor
+ * unverified.
+ *
+ * @param {Object} account The stored account.
+ */
+MemoryBackend.prototype.checkAccountStatus = function(account) {
+  if (account.data.status === 'DISABLED') {
+    throw resourceError(400, 7101, 'Login attempt failed because the Account is disabled.');
+  }
+
+  if (account.data.status === 'UNVERIFIED') {
+    throw resourceError(400, 7102, 'Login attempt failed because the Account is not verified.');
+  }
+};
+
+/**
+ * Check an application account's login and password.
+ *
+ * @param {Object} application The stored application.
+ * @param {String} login The email address or username.
+ * @param {String} password The password.
+ * @return {Object} The stored account.
+ */
+MemoryBackend.prototype.checkLogin = function(application, login, password) {
+  var account = login === undefined || password === undefined ? null : this.findAccount(application, login);
+
+  if (!account || account.password !== hashPassword(password, account.salt)) {
+    throw resourceError(400, 7100, 'Invalid username or password.');
+  }
+
+  this.checkAccountStatus(account);
+
+  return account;
+};
+
+/**
+ * Handle an application login attempt.
+ *
+ * @param {Object} application The stored application.
+ * @param {Object} body The login attempt (`type` and base64 `value`).
+ * @param {Object} query The query parameters.
+ * @return {Object} The authentication result.
+ */
+MemoryBackend.prototype.attemptLogin = function(application, body, query) {
+  var decoded = new Buffer(String(body.value || ''), 'base64').toString('utf8');
+  var separator = decoded.indexOf(':');
+
+  var account = separator === -1 ? this.checkLogin(application) :
+    this.checkLogin(application, decoded.substr(0, separator), decoded.substr(separator + 1));
+
+  var expand = parseExpand(query.expand);
+
+  return {
+    account: expand.account ? this.render(account, {}) : { href: account.href }
+  };
+};
+
+/**
+ * Handle an application OAuth token request, for the `password`,
+ * `refresh_token` and `client_credentials` (with an account's API key) grant
+ * types.
+ *
+ * @param {Object} application The stored application.
+ * @param {Object} body The (form encoded) token request.
+ * @return {Object} The OAuth token response.
+ */
+MemoryBackend.prototype.issueOAuthToken = function(application, body) {
+  var account;
+  var refreshToken;
+
+  try {
+    switch (body.grant_type) {
+      case 'password':
+        account = this.checkLogin(application, body.username, body.password);
+        refreshToken = this.signToken('refresh', application, account, REFRESH_TOKEN_TTL);
+        break;
+
+      case 'refresh_token':
+        refreshToken = this.findRefreshToken(application, body.refresh_token);
+        account = this.lookup(refreshToken.account, 'accounts');
+        this.checkAccountStatus(account);
+        break;
+
+      case 'client_credentials':
+        account = this.findApiKeyAccount(application, body.client_id, body.client_secret);
+        break;
+
+      default:
+        throw oauthError('unsupported_grant_type', 'Unsupported grant type: ' + body.grant_type);
+    }
+  } catch (err) {
+    if (!err.status || err.error) {
+      throw err;
+    }
+    throw oauthError(body.grant_type === 'client_credentials' ? 'invalid_client' : 'invalid_grant', err.developerMessage);
+  }
+
+  var accessToken = this.signToken('access', application, account, ACCESS_TOKEN_TTL, refreshToken);
+  var response = {
+    access_token: accessToken.data.jwt,
+    token_type: 'Bearer',
+    expires_in: ACCESS_TOKEN_TTL,
+    stormpath_access_token_href: accessToken.href
+  };
+
+  if (refreshToken) {
+    response.refresh_token = refreshToken.data.jwt;
+  }
+
+  return response;
+};
+
+/**
+ * Issue an OAuth token for an application's account, the way Stormpath does:
+ * a JWT whose header carries the token type (`stt`) and API key id (`kid`),
+ * and whose id (`jti`) is the id of the stored token resource.  Deleting the
+ * resource revokes the token.
+ *
+ * @param {String} type The token type, `access` or `refresh`.
+ * @param {Object} application The stored application (the token's issuer).
+ * @param {Object} account The stored account (the token's subject).
+ * @param {Number} ttl How long the token is valid for, in seconds.
+ * @param {Object} [refreshToken] The stored refresh token an access token is
+ *  issued along with.
+ * @return {Object} The stored token, with the JWT as its `jwt`.
+ */
+MemoryBackend.prototype.signToken = function(type, application, account, ttl, refreshToken) {
+  var record = this.insert(type + 'Tokens', {});
+  var now = Math.floor(Date.now() / 1000);
+  var claims = {
+    jti: record.href.split('/').pop(),
+    iat: now,
+    iss: application.href,
+    sub: account.href,
+    exp: now + ttl
+  };
+
+  if (refreshToken) {
+    claims.rti = refreshToken.href.split('/').pop();
+  }
+
+  record.account = account.href;
+  record.application = application.href;
+  record.expiresAt = claims.exp * 1000;
+  record.data.jwt = tokens.sign({ kid: this.options.apiKey.id, stt: type }, claims, this.options.apiKey.secret);
+
+  return record;
+};
+
+/**
+ * Look up an application's refresh token, which must not have been revoked or
+ * have expired.
+ *
+ * @param {Object} application The stored application.
+ * @param {String} token The refresh token (JWT).
+ * @return {Object} The stored refresh token.
+ */
+MemoryBackend.prototype.findRefreshToken = function(application, token) {
+  var decoded = tokens.decode(token);
+  var valid = tokens.verifySignature(decoded, this.options.apiKey.secret) && decoded.header.stt === 'refresh';
+  var record = valid && this.resources[this.href('refreshTokens', decoded.claims.jti)];
+
+  if (!record || record.application !== application.href || record.expiresAt <= Date.now()) {
+    throw oauthError('invalid_grant', 'Token is invalid.');
+  }
+
+  return record;
+};
+
+/**
+ * Find the application account an (enabled) API key belongs to.
+ *
+ * @param {Object} application The stored application.
+ * @param {String} apiKeyId The API key id.
+ * @param {String} apiKeySecret The API key secret.
+ * @return {Object} The stored account.
+ */
+MemoryBackend.prototype.findApiKeyAccount = function(application, apiKeyId, apiKeySecret) {
+  var apiKey = this.members(application, 'apiKeys').filter(function(record) {
+    return record.data.id === apiKeyId;
+  })[0];
+
+  if (!apiKey || apiKey.data.secret !== apiKeySecret || apiKey.data.status !== 'ENABLED') {
+    throw oauthError('invalid_client', 'Invalid client credentials.');
+  }
+
+  var account = this.lookup(apiKey.account, 'accounts');
+
+  this.checkAccountStatus(account);
+
+  return account;
+};
+
+/**
+ * Handle a request against an application's password reset tokens: creating
+ * a token (which Stormpath would email to the account), verifying a token, or
+ * setting a new password with it.
+ *
+ * @param {String} method The HTTP method.
+ * @param {Object} application The stored application.
+ * @param {String} [token] The password reset token.
+ * @param {Object} query The query parameters.
+ * @param {Object} body The request body.
+ * @return {Object} The password reset token representation.
+ */
+MemoryBackend.prototype.handlePasswordReset = function(method, application, token, query, body) {
+  var account;
+  var stored = token && this.passwordResetTokens[token];
+
+  if (!token) {
+    if (method !== 'POST') {
+      throw resourceError(405, 405, 'Request method \'' + method + '\' not supported.');
+    }
+
+    account = this.findAccount(application, body.email);
+
+    if (!account) {
+      throw resourceError(400, 2016, 'The email property value ' + body.email + ' does not match a known resource.');
+    }
+
+    token = generateId();
+    stored = this.passwordResetTokens[token] = {
+      application: application.href,
+      account: account.href,
+      expiresAt: Date.now() + PASSWORD_RESET_TOKEN_TTL
+    };
+  } else if (!stored || stored.application !== application.href ||
+      stored.expiresAt <= Date.now() || !this.resources[stored.account]) {
+    delete this.passwordResetTokens[token];
+    throw resourceError(404, 404, 'The requested resource does not exist.');
+  }
+
+  account = this.resources[stored.account];
+
+  if (method === 'POST' && body.password !== undefined) {
+    this.validatePassword(body.password);
+    this.setPassword(account, body.password);
+    account.modifiedAt = new Date().toISOString();
+
+    // Tokens can only be used once.
+    delete this.passwordResetTokens[token];
+  }
+
+  return {
+    href: application.href + '/passwordResetTokens/' + token,
+    email: account.data.email,
+    account: parseExpand(query.expand).account ? this.render(account, {}) : { href: account.href }
+  };
+};
+
+/**
+ * Get the account creation policy of a directory.
+ *
+ * @param {Object} directory The stored directory.
+ * @return {Object} The policy's email statuses.
+ */
+MemoryBackend.prototype.accountCreationPolicy = function(directory) {
+  if (!directory.policy) {
+    directory.policy = {
+      verificationEmailStatus: 'DISABLED',
+      verificationSuccessEmailStatus: 'DISABLED',
+      welcomeEmailStatus: 'DISABLED'
+    };
+  }
+
+  return directory.policy;
+};
+
+/**
+ * Handle a request against a directory's account creation policy.
+ *
+ * @param {String} method The HTTP method.
+ * @param {Object} directory The stored directory.
+ * @param {Object} body The request body.
+ * @return {Object} The policy representation.
+ */
+MemoryBackend.prototype.handleAccountCreationPolicy = function(method, directory, body) {
+  var policy = this.accountCreationPolicy(directory);
+
+  if (method === 'POST') {
+    for (var key in policy) {
+      if (body[key] === undefined) {
+        continue;
+      }
+      if (['ENABLED', 'DISABLED'].indexOf(body[key]) === -1) {
+        throw resourceError(400, 2002, key + ' has an invalid value.');
+      }
+      policy[key] = body[key];
+    }
+  }
+
+  var json = clone(policy);
+  json.href = this.baseUrl + '/accountCreationPolicies/' + directory.href.split('/').pop();
+
+  return json;
+};
+
+/**
+ * Issue a new email verification token for an unverified account (which
+ * Stormpath would email to the account), revoking any previous one.
+ *
+ * @param {Object} record The stored account.
+ */
+MemoryBackend.prototype.issueVerificationToken = function(record) {
+  delete this.emailVerificationTokens[record.emailVerificationToken];
+
+  record.emailVerificationToken = generateId();
+  this.emailVerificationTokens[record.emailVerificationToken] = record.href;
+};
+
+/**
+ * Verify an account's email address with an email verification token,
+ * enabling the account.
+ *
+ * @param {String} token The email verification token.
+ * @return {Object} A reference to the verified account.
+ */
+MemoryBackend.prototype.verifyEmail = function(token) {
+  var account = this.resources[this.emailVerificationTokens[token]];
+
+  delete this.emailVerificationTokens[token];
+
+  if (!account) {
+    throw resourceError(404, 404, 'The requested resource does not exist.');
+  }
+
+  delete account.emailVerificationToken;
+  account.data.status = 'ENABLED';
+  account.modifiedAt = new Date().toISOString();
+
+  return { href: account.href };
+};
+
+/**
+ * Handle a request to resend the verification email of an application's
+ * account.  Accounts which have already been verified are left alone.
+ *
+ * @param {Object} application The stored application.
+ * @param {Object} body The request body (`login`).
+ * @return {Object} The request representation.
+ */
+MemoryBackend.prototype.resendVerificationEmail = function(application, body) {
+  var account = this.findAccount(application, body.login);
+
+  if (!account) {
+    throw resourceError(400, 2016, 'The login property value ' + body.login + ' does not match a known resource.');
+  }
+
+  if (account.data.status === 'UNVERIFIED') {
+    this.issueVerificationToken(account);
+  }
+
+  return { login: body.login };
+};
+
+/**
+ * Render the customData of a stored resource.
+ *
+ * @param {Object} record The stored resource.
+ * @return {Object} The customData representation.
+ */
+MemoryBackend.prototype.renderCustomData = function(record) {
+  var json = clone(record.customData);
+
+  json.href = record.href + '/customData';
+  json.createdAt = record.createdAt;
+  json.modifiedAt = record.modifiedAt;
+
+  return json;
+};
+
+/**
+ * Render a stored resource.
+ *
+ * @param {Object} record The stored resource.
+ * @param {Object} [query] The query parameters (only `expand` is used).
+ * @return {Object} The resource representation.
+ */
+MemoryBackend.prototype.render = function(record, query) {
+  var self = this;
+  var expand = parseExpand(query && query.expand);
+  var json = clone(record.data);
+
+  json.href = record.href;
+  json.createdAt = record.createdAt;
+  json.modifiedAt = record.modifiedAt;
+
+  if (record.type === 'accounts') {
+    json.fullName = [json.givenName, json.middleName, json.surname].filter(Boolean).join(' ');
+  }
+
+  TYPES[record.type].links.forEach(function(name) {
+    var href;
+
+    switch (name) {
+      case 'tenant':
+        href = self.tenant.href;
+        break;
+      case 'directory':
+        href = record.directory;
+        break;
+      case 'account':
+        href = record.account;
+        break;
+      case 'group':
+        href = record.group;
+        break;
+      case 'application':
+        href = record.application;
+        break;
+      case 'accountStore':
+        href = record.accountStore;
+        break;
+      case 'accountCreationPolicy':
+        href = self.baseUrl + '/accountCreationPolicies/' + record.href.split('/').pop();
+        break;
+      default:
+        href = record.href + '/' + name;
+    }
+
+    if (name === 'customData' && expand.customData) {
+      json.customData = self.renderCustomData(record);
+    } else if (expand[name] && self.resources[href]) {
+      json[name] = self.render(self.resources[href]);
+    } else if (expand[name] && name !== 'loginAttempts') {
+      json[name] = self.renderCollection(href, self.members(record, name), expand[name]);
+    } else {
+      json[name] = { href: href };
+    }
+  });
+
+  if (record.emailVerificationToken) {
+    json.emailVerificationToken = {
+      href: self.baseUrl + '/accounts/emailVerificationTokens/' + record.emailVerificationToken
+    };
+  }
+
+  if (record.type === 'apiKeys' && query && String(query.encryptSecret) === 'true') {
+    json.secret = self.encryptSecret(json.secret, query);
+  }
+
+  return json;
+};
+
+/**
+ * Encrypt an API key secret the way Stormpath does when asked to (see
+ * `resources.secretEncryptionKey`).  The result is the base64 encoded IV
+ * followed by the ciphertext, which the SDK's `ApiKey` decrypts.
+ *
+ * @param {String} secret The API key secret.
+ * @param {Object} query The query parameters (`encryptionKeySalt`,
+ *  `encryptionKeySize` and `encryptionKeyIterations`).
+ * @return {String} The encrypted secret.
+ */
+MemoryBackend.prototype.encryptSecret = function(secret, query) {
+  var key = resources.secretEncryptionKey(this.options.apiKey.secret, query);
+  var iv = crypto.randomBytes(16);
+  var cipher = crypto.createCipheriv(resources.secretCipher(query), key, iv);
+
+  return Buffer.concat([iv, cipher.update(secret, 'utf8'), cipher.final()]).toString('base64');
+};
+
+/**
+ * Render a collection of stored resources, applying Stormpath's search,
+ * ordering and pagination semantics.
+ *
+ * @param {String} href The collection href.
+ * @param {Array} records The stored resources in the collection.
+ * @param {Object} query The query parameters.
+ * @return {Object} The collection representation.
+ */
+MemoryBackend.prototype.renderCollection = function(href, records, query) {
+  var self = this;
+  var type = records.length ? records[0].type : null;
+  var searchable = type && TYPES[type].searchable || [];
+  var offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+  var limit = Math.min(Math.max(parseInt(query.limit, 10) || 25, 1), 100);
+
+  /**
+   * Get an attribute of a stored resource.
+   */
+  function attribute(record, name) {
+    if (name === 'createdAt' || name === 'modifiedAt') {
+      return record[name];
+    }
+    return record.data[name];
+  }
+
+  var search = {};
+
+  Object.keys(query).forEach(function(name) {
+    if (ENCRYPTION_PARAMS.indexOf(name) > -1) {
+      return;
+    }
+
+    if (type && COLLECTION_PARAMS.indexOf(name) === -1 && searchable.indexOf(name) === -1) {
+      throw resourceError(400, 2105, name + ' is not a searchable attribute.');
+    }
+
+    search[name] = query[name];
+  });
+
+  records = searchCollection(records, search, {
+    searchableAttrs: searchable,
+    getValue: attribute
+  });
+
+  return {
+    href: href,
+    offset: offset,
+    limit: limit,
+    size: records.length,
+    items: records.slice(offset, offset + limit).map(function(record) {
+      return self.render(record, query);
+    })
+  };
+};
+
+module.exports = MemoryBackend;
@@ -0,0 +1,331 @@
+'use strict';
+
+var errors = require('../errors');
+
+/**
+ * A mixin for User models attached to a Stormpath data source, which exposes
+ * Stormpath's account workflows as model methods (and remote methods):
+ *
+ * - `resetPassword(options, cb)` (`POST /reset`): Send a password reset email
+ *   to `options.email` (an email address or username).  This replaces
+ *   Loopback's own `User.resetPassword`, and emits the same
+ *   `resetPasswordRequest` event.
+ * - `verifyPasswordResetToken(token, cb)` (`GET /reset-password`): Check a
+ *   password reset token, returning the user it belongs to.
+ * - `setPasswordWithToken(token, newPassword, cb)` (`POST /reset-password`):
+ *   Set a user's password with a password reset token.
+ * - `confirm(uid, token, redirect, cb)` (`GET /confirm`): Verify a user's email
+ *   address with the token Stormpath emailed them.  This replaces Loopback's
+ *   own `User.confirm`, so existing verification links keep working.
+ * - `resendVerificationEmail(options, cb)` (`POST /resend-verification`): Have
+ *   Stormpath send a new verification email to `options.email`.
+ * - `login(credentials, include, cb)`: Log a user in with Stormpath.  This
+ *   replaces Loopback's own `User.login` (which checks password hashes
+ *   Stormpath never hands out), and is only defined for models based on
+ *   `User`.  When the model's access tokens are stored in Stormpath too, the
+ *   access token is a Stormpath OAuth token.
+ *
+ * Register it with `loopback.modelBuilder.mixins.define('StormpathUser',
+ * require('loopback-connector-stormpath').StormpathUser)`, or by adding this
+ * directory to the `mixins` of your `model-config.json`.
+ *
+ * @param {Function} Model The model class.
+ */
+module.exports = function StormpathUser(Model) {
+  var remoteResetPassword = typeof Model.resetPassword !== 'function';
+  var remoteConfirm = typeof Model.confirm !== 'function';
+  var replaceLogin = typeof Model.login === 'function';
+
+  /**
+   * Get the Stormpath connector the model is attached to.
+   *
+   * @return {Object} The connector.
+   */
+  function getConnector() {
+    return Model.getDataSource().connector;
+  }
+
+  /**
+   * Create the error for a missing email address, as Loopback does.
+   *
+   * @return {Error} The error.
+   */
+  function emailRequiredError() {
+    var err = new Error('Email is required');
+
+    err.statusCode = 400;
+    err.code = 'EMAIL_REQUIRED';
+
+    return err;
+  }
+
+  /**
+   * Send a password reset email.
+   *
+   * @param {Object} options The options.
+   * @param {String} options.email The user's email address or username.
+   * @param {Function} callback The callback function.
+   */
+  Model.resetPassword = function(options, callback) {
+    options = options || {};
+
+    if (typeof options.email !== 'string') {
+      return process.nextTick(function() {
+        callback(emailRequiredError());
+      });
+    }
+
+    getConnector().sendPasswordResetEmail(Model.modelName, options.email, function(err, result) {
+      if (err) return callback(err);
+
+      callback();
+
+      Model.emit('resetPasswordRequest', {
+        email: result.email,
+        userId: result.accountId,
+        token: result.token,
+        options: options
+      });
+    });
+  };
+
+  /**
+   * Verify a password reset token.
+   *
+   * @param {String} token The password reset token.
+   * @param {Function} callback The callback function, called with the user.
+   */
+  Model.verifyPasswordResetToken = function(token, callback) {
+    getConnector().verifyPasswordResetToken(Model.modelName, token, function(err, json) {
+      if (err) return callback(err);
+      callback(null, new Model(json, { persisted: true }));
+    });
+  };
+
+  /**
+   * Set a user's password with a password reset token.
+   *
+   * @param {String} token The password reset token.
+   * @param {String} newPassword The new password.
+   * @param {Function} callback The callback function.
+   */
+  Model.setPasswordWithToken = function(token, newPassword, callback) {
+    getConnector().resetPassword(Model.modelName, token, newPassword, function(err) {
+      callback(err || null);
+    });
+  };
+
+  /**
+   * Verify a user's email address.  As with Loopback's `User.confirm`, unknown
+   * users result in a `USER_NOT_FOUND` error, and tokens which don't belong to
+   * the user in an `INVALID_TOKEN` error.
+   *
+   * @param {String} uid The user id.
+   * @param {String} token The email verification token.
+   * @param {String} [redirect] The URL to redirect to once verified (used by
+   *  the remote method).
+   * @param {Function} callback The callback function.
+   */
+  Model.confirm = function(uid, token, redirect, callback) {
+    var connector = getConnector();
+
+    if (typeof redirect === 'function') {
+      callback = redirect;
+    }
+
+    connector.exists(Model.modelName, uid, function(err, exists) {
+      if (err) return callback(err);
+
+      if (!exists) {
+        err = new Error('User not found: ' + uid);
+        err.statusCode = 404;
+        err.code = 'USER_NOT_FOUND';
+        return callback(err);
+      }
+
+      // Verifying consumes the token, so we make sure it's the user's own
+      // (ie: the one Stormpath links their Account to) beforehand.
+      connector.getById(Model.modelName, uid, function(err, account) {
+        if (err) return callback(err);
+
+        var pending = account.emailVerificationToken;
+
+        if (!pending || !pending.href || pending.href.split('/').pop() !== String(token)) {
+          return callback(errors.invalidTokenError(token));
+        }
+
+        connector.verifyEmail(Model.modelName, token, function(err) {
+          callback(err || null);
+        });
+      });
+    });
+  };
+
+  /**
+   * Send a new verification email.
+   *
+   * @param {Object} options The options.
+   * @param {String} options.email The user's email address or username.
+   * @param {Function} callback The callback function.
+   */
+  Model.resendVerificationEmail = function(options, callback) {
+    options = options || {};
+
+    if (typeof options.email !== 'string') {
+      return process.nextTick(function() {
+        callback(emailRequiredError());
+      });
+    }
+
+    getConnector().resendVerificationEmail(Model.modelName, options.email, callback);
+  };
+
+  /**
+   * Log a user in, with their email address (or username) and password.  As
+   * with Loopback's `User.login`, the callback receives the new access token,
+   * with the user included when `include` is `'user'`.
+   *
+   * If the model's access tokens are stored in Stormpath (see the connector's
+   * `accessToken` resource), the access token is a Stormpath OAuth token,
+   * and `credentials.ttl` is ignored in favour of the Application's OAuth
+   * policy.  Otherwise a Loopback access token is created as usual.
+   *
+   * @param {Object} credentials The `email` (or `username`), `password` and
+   *  optional `ttl`.
+   * @param {String|Array} [include] Related models to include, only `'user'`
+   *  is supported.
+   * @param {Function} callback The callback function, called with the access
+   *  token.
+   */
+  function login(credentials, include, callback) {
+    var connector = getConnector();
+    var AccessToken = Model.relations.accessTokens && Model.relations.accessTokens.modelTo;
+
+    if (typeof include === 'function') {
+      callback = include;
+      include = undefined;
+    }
+
+    credentials = credentials || {};
+    include = [].concat(include || []).map(function(name) {
+      return String(name).toLowerCase();
+    });
+
+    var username = credentials.email || credentials.username;
+
+    if (typeof username !== 'string') {
+      var err = new Error('username or email is required');
+      err.statusCode = 400;
+      err.code = 'USERNAME_EMAIL_REQUIRED';
+
+      return process.nextTick(function() {
+        callback(err);
+      });
+    }
+
+    connector.authenticate(Model.modelName, { username: username, password: credentials.password }, function(err, json) {
+      if (err) return callback(err);
+
+      var user = new Model(json, { persisted: true });
+
+      var done = function(err, token) {
+        if (err) return callback(err);
+
+        // As Loopback does, since `token.user` is the relation method.
+        if (include.indexOf('user') > -1) {
+          token.__data.user = user;
+        }
+
+        callback(null, token);
+      };
+
+      var tokenSource = AccessToken && AccessToken.getDataSource();
+
+      if (!tokenSource || tokenSource.connector !== connector || !connector.storesAccessTokens(AccessToken.modelName)) {
+        return user.createAccessToken(credentials.ttl, done);
+      }
+
+      connector.issueToken(Model.modelName, {
+        grantType: 'password',
+        username: username,
+        password: credentials.password
+      }, function(err, response) {
+        if (err) return callback(err);
+
+        AccessToken.create({
+          id: response.access_token,
+          ttl: response.expires_in,
+          created: new Date(),
+          userId: user.id
+        }, done);
+      });
+    });
+  }
+
+  if (replaceLogin) {
+    Model.login = login;
+  }
+
+  if (typeof Model.remoteMethod !== 'function') {
+    return;
+  }
+
+  // Models based on Loopback's `User` already expose `resetPassword`.
+  if (remoteResetPassword) {
+    Model.remoteMethod('resetPassword', {
+      description: 'Reset password for a user with email.',
+      accepts: [
+        { arg: 'options', type: 'object', required: true, http: { source: 'body' } }
+      ],
+      http: { verb: 'post', path: '/reset' }
+    });
+  }
+
+  // Models based on Loopback's `User` already expose `confirm`, along with
+  // the redirect.
+  if (remoteConfirm) {
+    Model.remoteMethod('confirm', {
+      description: 'Confirm a user registration with email verification token.',
+      accepts: [
+        { arg: 'uid', type: 'string', required: true },
+        { arg: 'token', type: 'string', required: true },
+        { arg: 'redirect', type: 'string' }
+      ],
+      http: { verb: 'get', path: '/confirm' }
+    });
+
+    Model.afterRemote('confirm', function(ctx, result, next) {
+      if (ctx.args.redirect !== undefined) {
+        ctx.res.location(ctx.args.redirect);
+        ctx.res.status(302);
+      }
+      next();
+    });
+  }
+
+  Model.remoteMethod('resendVerificationEmail', {
+    description: 'Send a new verification email to an unverified user.',
+    accepts: [
+      { arg: 'options', type: 'object', required: true, http: { source: 'body' } }
+    ],
+    http: { verb: 'post', path: '/resend-verification' }
+  });
+
+  Model.remoteMethod('verifyPasswordResetToken', {
+    description: 'Verify a password reset token, returning the user it belongs to.',
+    accepts: [
+      { arg: 'token', type: 'string', required: true }
+    ],
+    returns: { arg: 'data', type: Model.modelName, root: true },
+    http: { verb: 'get', path: '/reset-password' }
+  });
+
+  Model.remoteMethod('setPasswordWithToken', {
+    description: 'Set the password of a user with a password reset token.',
+    accepts: [
+      { arg: 'token', type: 'string', required: true },
+      { arg: 'newPassword', type: 'string', required: true }
+    ],
+    http: { verb: 'post', path: '/reset-password' }
+  });
+};
@@ -0,0 +1,924 @@
+'use strict';
+
+var crypto = require('crypto');
+var http = require('http');
+var https = require('https');
+var url = require('url');
+
+var async = require('async');
+
+var BASE_URL = require('./resources').BASE_URL;
+var resourceError = require('./errors').resourceError;
+var COLLECTION_PARAMS = require('./query').COLLECTION_PARAMS;
+var searchCollection = require('./query').searchCollection;
+var retry = require('./retry');
+
+/**
+ * The Stormpath Account fields which are stored in Okta user profile
+ * attributes, and the attributes they're stored in.  Every other profile
+ * attribute is exposed as customData.
+ */
+var PROFILE_FIELDS = {
+  username: 'login',
+  email: 'email',
+  givenName: 'firstName',
+  middleName: 'middleName',
+  surname: 'lastName'
+};
+
+/**
+ * The Account attributes Stormpath allows searching on.
+ */
+var SEARCHABLE_ATTRS = ['givenName', 'middleName', 'surname', 'username', 'email', 'status', 'createdAt', 'modifiedAt'];
+
+/**
+ * The Account attributes whose exact matches are pushed down to Okta as user
+ * list filters.  Okta compares these case insensitively, like Stormpath.
+ */
+var FILTER_ATTRS = {
+  username: 'profile.login',
+  email: 'profile.email'
+};
+
+/**
+ * How Okta user statuses map onto Stormpath Account statuses.
+ */
+var STATUSES = {
+  STAGED: 'UNVERIFIED',
+  PROVISIONED: 'UNVERIFIED',
+  ACTIVE: 'ENABLED',
+  RECOVERY: 'ENABLED',
+  PASSWORD_EXPIRED: 'ENABLED',
+  LOCKED_OUT: 'DISABLED',
+  SUSPENDED: 'DISABLED',
+  DEPROVISIONED: 'DISABLED'
+};
+
+/**
+ * The Okta lifecycle operations which give a user each Stormpath Account
+ * status, keyed by the user's current Okta status.
+ */
+var LIFECYCLE_OPERATIONS = {
+  ENABLED: {
+    STAGED: 'activate',
+    PROVISIONED: 'activate',
+    DEPROVISIONED: 'activate',
+    SUSPENDED: 'unsuspend',
+    LOCKED_OUT: 'unlock'
+  },
+  DISABLED: {
+    ACTIVE: 'suspend',
+    RECOVERY: 'suspend',
+    PASSWORD_EXPIRED: 'suspend',
+    STAGED: 'deactivate',
+    PROVISIONED: 'deactivate'
+  }
+};
+
+/**
+ * The customData fields Stormpath manages itself.
+ */
+var RESERVED_FIELDS = ['href', 'createdAt', 'modifiedAt'];
+
+/**
+ * The largest page of users Okta returns in a single request.
+ */
+var PAGE_SIZE = 200;
+
+/**
+ * Check whether a Stormpath `expand` parameter expands the given link.
+ *
+ * @param {Object} query The query parameters.
+ * @param {String} name The link name, eg: `customData`.
+ * @return {Boolean} Whether the link is expanded.
+ */
+function expands(query, name) {
+  return String(query.expand || '').split(',').some(function(part) {
+    return part.split('(')[0].trim() === name;
+  });
+}
+
+/**
+ * Check whether the given Okta profile attribute holds a standard Account
+ * field, rather than customData.
+ *
+ * @param {String} attribute The profile attribute name.
+ * @return {Boolean} Whether the attribute is mapped onto an Account field.
+ */
+function isMapped(attribute) {
+  return Object.keys(PROFILE_FIELDS).some(function(field) {
+    return PROFILE_FIELDS[field] === attribute;
+  });
+}
+
+/**
+ * Get the URL of the next page of results from an Okta `Link` header.
+ *
+ * @param {String|Array} header The `Link` header(s).
+ * @return {String} The URL of the next page, or `null` for the last page.
+ */
+function nextLink(header) {
+  var links = [].concat(header || []).join(',').split(',');
+
+  for (var i = 0; i < links.length; i++) {
+    var match = /<([^>]+)>\s*;\s*rel="?next"?/.exec(links[i]);
+
+    if (match) {
+      return match[1];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Quote a value for an Okta filter expression.
+ *
+ * @param {String} value The value.
+ * @return {String} The quoted value, eg: `"randall@stormpath.com"`.
+ */
+function quote(value) {
+  return '"' + String(value).replace(/["\\]/g, '\\$&') + '"';
+}
+
+/**
+ * Translate an Okta error response into a Stormpath style error.
+ *
+ * @param {Number} status The HTTP status code.
+ * @param {Object} [body] The Okta error (`errorCode`, `errorSummary` and
+ *  `errorCauses`).
+ * @return {Error} The error.
+ */
+function translateError(status, body) {
+  body = body || {};
+
+  var causes = (body.errorCauses || []).map(function(cause) {
+    return cause.errorSummary;
+  });
+  var message = [body.errorSummary || 'Okta request failed.'].concat(causes).join(' ');
+
+  if (status === 404) {
+    return resourceError(404, 404, 'The requested resource does not exist.');
+  }
+
+  for (var i = 0; i < causes.length; i++) {
+    var attribute = String(causes[i]).split(':')[0].trim();
+
+    if (/already exists/i.test(causes[i])) {
+      var field = attribute === 'login' ? 'username' : attribute;
+      return resourceError(409, 2001, 'Account with that ' + field + ' already exists.  Please choose another ' + field + '.');
+    }
+
+    if (attribute === 'password') {
+      return resourceError(400, 400, message);
+    }
+  }
+
+  if (status === 400) {
+    return resourceError(400, 2000, message);
+  }
+
+  return resourceError(status, status, message);
+}
+
+/**
+ * A stand-in for the Stormpath REST API, backed by Okta's Users API.
+ *
+ * This implements the `RequestExecutor` interface used by the Stormpath SDK's
+ * data store (see `MemoryBackend`), translating the requests the connector
+ * makes for Accounts into requests against an Okta org:
+ *
+ * - Accounts are Okta users.  `username`, `email`, `givenName`, `middleName`
+ *   and `surname` are stored in the `login`, `email`, `firstName`,
+ *   `middleName` and `lastName` profile attributes, and every other (custom)
+ *   profile attribute is exposed as customData.
+ * - Account statuses are changed through Okta's lifecycle operations, eg:
+ *   disabling an Account suspends the user.
+ * - Logins go through Okta's authentication API.
+ * - The application the connector talks to is a synthetic one, containing
+ *   every user in the org.
+ *
+ * Searches, ordering and pagination follow Stormpath's semantics.  Exact
+ * email and username searches are handed to Okta as filters, everything else
+ * is evaluated after listing users.  Logins of disabled users, which Okta
+ * rejects as it does wrong passwords, are reported as such.  Groups, directories and organizations
+ * aren't supported.
+ *
+ * @param {Object} options The backend options.
+ * @param {String} options.orgUrl The URL of the Okta org, eg:
+ *  `https://dev-123456.okta.com`.
+ * @param {String} options.token An Okta API token.
+ * @param {String} [options.baseUrl] The base URL used to build hrefs.
+ * @param {Object} [options.apiKey] The Stormpath API key (`id` and `secret`).
+ * @constructor
+ */
+function OktaBackend(options) {
+  options = options || {};
+
+  if (!options.orgUrl || !options.token) {
+    throw new Error('The Okta backend requires an org URL and an API token.');
+  }
+
+  this.orgUrl = options.orgUrl.replace(/\/+$/, '');
+  this.token = options.token;
+  this.baseUrl = (options.baseUrl || BASE_URL).replace(/\/+$/, '');
+  this.options = {
+    apiKey: options.apiKey && options.apiKey.secret ? options.apiKey : {
+      id: 'okta',
+      secret: crypto.randomBytes(30).toString('base64')
+    }
+  };
+  this.applicationHref = this.baseUrl + '/applications/okta';
+  this.tenantHref = this.baseUrl + '/tenants/okta';
+
+  // The pagination links of the last user list filter (see `listUsers`),
+  // dropped whenever users are changed.
+  this.cursors = null;
+}
+
+/**
+ * Execute a request against Okta.
+ *
+ * @param {Object} req The request (`uri`, `method`, `query` and `body`).
+ * @param {Function} callback The callback function.
+ */
+OktaBackend.prototype.execute = function(req, callback) {
+  var parsed = url.parse(req.uri, true);
+  var query = {};
+  var key;
+
+  for (key in parsed.query) {
+    query[key] = parsed.query[key];
+  }
+  for (key in req.query || {}) {
+    query[key] = req.query[key];
+  }
+
+  /**
+   * Deliver the response asynchronously, even when it didn't need a request.
+   */
+  function respond(err, result) {
+    process.nextTick(function() {
+      if (err) return callback(err);
+      callback(null, result === undefined ? null : result);
+    });
+  }
+
+  try {
+    this.handle((req.method || 'GET').toUpperCase(), this.qualify(req.uri), query, req.body || {}, respond);
+  } catch (err) {
+    if (!err.status) {
+      throw err;
+    }
+    respond(err);
+  }
+};
+
+/**
+ * Turn a (possibly relative) URI into an href.
+ *
+ * @param {String} uri The URI.
+ * @return {String} The href.
+ */
+OktaBackend.prototype.qualify = function(uri) {
+  var href = uri.split('?')[0];
+
+  if (url.parse(href).protocol) {
+    return href;
+  }
+
+  return this.baseUrl + (href.charAt(0) === '/' ? '' : '/') + href;
+};
+
+/**
+ * Dispatch a request.
+ *
+ * @param {String} method The HTTP method.
+ * @param {String} href The requested href.
+ * @param {Object} query The query parameters.
+ * @param {Object} body The request body.
+ * @param {Function} callback The callback function.
+ */
+OktaBackend.prototype.handle = function(method, href, query, body, callback) {
+  var parts = href.indexOf(this.baseUrl + '/') === 0 ? href.substr(this.baseUrl.length + 1).split('/') : [];
+
+  if (parts[0] === 'tenants' && parts.length === 2 && method === 'GET') {
+    return callback(null, this.renderTenant());
+  }
+
+  if (parts[0] === 'applications' && parts[1] === 'okta') {
+    if (parts.length === 2 && method === 'GET') {
+      return callback(null, this.renderApplication());
+    }
+
+    if (parts.length === 3 && parts[2] === 'accounts') {
+      if (method === 'POST') {
+        return this.createAccount(body, query, callback);
+      }
+      return this.listAccounts(href, query, callback);
+    }
+
+    if (parts.length === 3 && parts[2] === 'loginAttempts' && method === 'POST') {
+      return this.attemptLogin(body, query, callback);
+    }
+  }
+
+  if (parts[0] === 'accounts' && parts[1]) {
+    if (parts.length === 2) {
+      return this.handleAccount(method, parts[1], query, body, callback);
+    }
+
+    if (parts[2] === 'customData' && parts.length <= 4) {
+      return this.handleCustomData(method, parts[1], parts[3], body, callback);
+    }
+  }
+
+  throw resourceError(501, 501, method + ' ' + href + ' is not supported by the Okta backend.');
+};
+
+/**
+ * Send a request to the Okta API.
+ *
+ * @param {String} method The HTTP method.
+ * @param {String} path The path (or URL) of the Okta endpoint, eg:
+ *  `/api/v1/users`.
+ * @param {Object} [body] The request body.
+ * @param {Function} callback The callback function, called with the error (if
+ *  any), the response body and the response itself.
+ */
+OktaBackend.prototype.request = function(method, path, body, callback) {
+  var target = url.parse(/^https?:\/\//.test(path) ? path : this.orgUrl + path);
+  var payload = body === undefined ? null : JSON.stringify(body);
+
+  if (method !== 'GET') {
+    this.cursors = null;
+  }
+
+  var headers = {
+    'Accept': 'application/json',
+    'Authorization': 'SSWS ' + this.token
+  };
+
+  if (payload !== null) {
+    headers['Content-Type'] = 'application/json';
+    headers['Content-Length'] = Buffer.byteLength(payload);
+  }
+
+  var req = (target.protocol === 'https:' ? https : http).request({
+    method: method,
+    hostname: target.hostname,
+    port: target.port,
+    path: target.path,
+    headers: headers
+  }, function(res) {
+    var chunks = [];
+
+    res.on('data', function(chunk) {
+      chunks.push(chunk);
+    });
+
+    res.on('end', function() {
+      var text = Buffer.concat(chunks).toString('utf8');
+      var data = null;
+
+      if (text) {
+        try {
+          data = JSON.parse(text);
+        } catch (err) {
+          // Error pages (eg: from a gateway) are reported by their status.
+          if (res.statusCode < 400) {
+            return callback(resourceError(502, 502, 'Okta returned an invalid response.'));
+          }
+        }
+      }
+
+      if (res.statusCode >= 400) {
+        var error = translateError(res.statusCode, data);
+
+        error.retryAfter = retry.parseRetryAfter(res.headers['retry-after']);
+        return callback(error);
+      }
+
+      callback(null, data, res);
+    });
+  });
+
+  req.on('error', callback);
+
+  if (payload !== null) {
+    req.write(payload);
+  }
+
+  req.end();
+};
+
+/**
+ * List the Okta users matching the given filter, in Okta's order, following
+ * Okta's pagination links.
+ *
+ * Okta paginates with cursors rather than offsets, so the links to the pages
+ * of the last filter listed are kept (see `cursors`), by the position of the
+ * first user they list.  Listing from a later position then resumes from the
+ * closest page already reached, rather than listing every user before it
+ * again.  Listing from the first user always goes through every page, which
+ * gives the number of matching users.
+ *
+ * @param {String} [filter] An Okta user filter expression, eg:
+ *  `profile.email eq "randall@stormpath.com"`.
+ * @param {Number} offset The position of the first user to list.
+ * @param {Number} limit The number of users to list, or `0` for every user.
+ * @param {Function} callback The callback function, receiving the users and
+ *  the number of users matching the filter.
+ */
+OktaBackend.prototype.listUsers = function(filter, offset, limit, callback) {
+  var self = this;
+  var first = '/api/v1/users?limit=' + PAGE_SIZE + (filter ? '&filter=' + encodeURIComponent(filter) : '');
+
+  if (!this.cursors || this.cursors.filter !== filter) {
+    this.cursors = { filter: filter, links: { 0: first }, size: undefined };
+  }
+
+  var cursors = this.cursors;
+  var start = 0;
+  var users = [];
+
+  // Without the number of matching users, or when starting over, every page
+  // is listed.
+  var partial = limit && offset && cursors.size !== undefined;
+
+  Object.keys(cursors.links).forEach(function(position) {
+    position = Number(position);
+
+    if (position <= offset && position > start) {
+      start = position;
+    }
+  });
+
+  var next = cursors.links[start];
+
+  async.whilst(function() {
+    return next !== null && !(partial && start + users.length >= offset + limit);
+  }, function(cb) {
+    self.request('GET', next, undefined, function(err, page, res) {
+      if (err) return cb(err);
+
+      users = users.concat(page || []);
+      next = nextLink(res.headers.link);
+
+      if (next !== null) {
+        cursors.links[start + users.length] = next;
+      } else {
+        cursors.size = start + users.length;
+      }
+
+      cb();
+    });
+  }, function(err) {
+    if (err) return callback(err);
+
+    users = users.slice(offset - start);
+    callback(null, limit ? users.slice(0, limit) : users, cursors.size);
+  });
+};
+
+/**
+ * Build the Okta profile for the given Account data.  Standard fields are
+ * mapped onto their profile attributes, and customData fields are stored as
+ * profile attributes of their own.
+ *
+ * @param {Object} body The Account data.
+ * @return {Object} The profile attributes.
+ */
+OktaBackend.prototype.buildProfile = function(body) {
+  var profile = {};
+  var customData = body.customData && typeof body.customData === 'object' ? body.customData : {};
+
+  for (var key in customData) {
+    if (RESERVED_FIELDS.indexOf(key) === -1 && !isMapped(key) && customData[key] !== undefined) {
+      profile[key] = customData[key];
+    }
+  }
+
+  for (var field in PROFILE_FIELDS) {
+    if (body[field] !== undefined) {
+      profile[PROFILE_FIELDS[field]] = body[field];
+    }
+  }
+
+  return profile;
+};
+
+/**
+ * Move an Okta user to the given Stormpath Account status, through Okta's
+ * lifecycle operations.
+ *
+ * @param {Object} user The Okta user.
+ * @param {String} [status] The Account status, eg: `DISABLED`.
+ * @param {Function} callback The callback function, called with the updated
+ *  user.
+ */
+OktaBackend.prototype.setStatus = function(user, status, callback) {
+  var self = this;
+  var path = '/api/v1/users/' + encodeURIComponent(user.id);
+
+  if (status === undefined || status === null || STATUSES[user.status] === status) {
+    return callback(null, user);
+  }
+
+  var operation = (LIFECYCLE_OPERATIONS[status] || {})[user.status];
+
+  if (!operation) {
+    return callback(resourceError(400, 2002, 'status has an invalid value: Okta users which are ' + user.status +
+      ' cannot be made ' + status + '.'));
+  }
+
+  path += '/lifecycle/' + operation + (operation === 'activate' ? '?sendEmail=false' : '');
+
+  self.request('POST', path, {}, function(err) {
+    if (err) return callback(err);
+    self.request('GET', '/api/v1/users/' + encodeURIComponent(user.id), undefined, callback);
+  });
+};
+
+/**
+ * Create an Okta user for a new Account.  Users are activated right away,
+ * like Stormpath Accounts in a directory without a verification workflow,
+ * unless the Account is `UNVERIFIED`.  `DISABLED` Accounts are suspended.
+ *
+ * @param {Object} body The Account data.
+ * @param {Object} query The query parameters.
+ * @param {Function} callback The callback function.
+ */
+OktaBackend.prototype.createAccount = function(body, query, callback) {
+  var self = this;
+  var user = { profile: self.buildProfile(body) };
+
+  user.profile.login = user.profile.login || user.profile.email;
+
+  if (body.password !== undefined) {
+    user.credentials = { password: { value: String(body.password) } };
+  }
+
+  var activate = body.status !== 'UNVERIFIED';
+
+  self.request('POST', '/api/v1/users?activate=' + activate, user, function(err, created) {
+    if (err) return callback(err);
+
+    self.setStatus(created, body.status, function(err, user) {
+      if (err) return callback(err);
+      callback(null, self.renderAccount(user, expands(query, 'customData')));
+    });
+  });
+};
+
+/**
+ * Search the Accounts of the application, applying Stormpath's search,
+ * ordering and pagination semantics.  Searches Okta evaluates entirely, in
+ * Okta's order, only list the requested page of users (see `listUsers`).
+ *
+ * @param {String} href The collection href.
+ * @param {Object} query The query parameters.
+ * @param {Function} callback The callback function.
+ */
+OktaBackend.prototype.listAccounts = function(href, query, callback) {
+  var self = this;
+  var offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+  var limit = Math.min(Math.max(parseInt(query.limit, 10) || 25, 1), 100);
+  var filters = [];
+  var local = query.orderBy !== undefined || query.q !== undefined;
+
+  Object.keys(query).forEach(function(name) {
+    if (COLLECTION_PARAMS.indexOf(name) === -1 && SEARCHABLE_ATTRS.indexOf(name) === -1) {
+      throw resourceError(400, 2105, name + ' is not a searchable attribute.');
+    }
+
+    var value = String(query[name]);
+
+    if (FILTER_ATTRS[name] && value.indexOf('*') === -1) {
+      filters.push(FILTER_ATTRS[name] + ' eq ' + quote(value));
+    } else if (COLLECTION_PARAMS.indexOf(name) === -1) {
+      local = true;
+    }
+  });
+
+  if (!local) {
+    return self.listUsers(filters.join(' and '), offset, limit, function(err, users, size) {
+      if (err) return callback(err);
+
+      callback(null, {
+        href: href,
+        offset: offset,
+        limit: limit,
+        size: size,
+        items: users.map(function(user) {
+          return self.renderAccount(user, expands(query, 'customData'));
+        })
+      });
+    });
+  }
+
+  self.listUsers(filters.join(' and '), 0, 0, function(err, users) {
+    if (err) return callback(err);
+
+    var accounts = searchCollection(users.map(function(user) {
+      return self.renderAccount(user, true);
+    }), query, {
+      searchableAttrs: SEARCHABLE_ATTRS,
+      getValue: function(account, name) {
+        return account[name];
+      }
+    });
+
+    callback(null, {
+      href: href,
+      offset: offset,
+      limit: limit,
+      size: accounts.length,
+      items: accounts.slice(offset, offset + limit).map(function(account) {
+        if (!expands(query, 'customData')) {
+          account.customData = { href: account.customData.href };
+        }
+        return account;
+      })
+    });
+  });
+};
+
+/**
+ * Handle a request against a single Account.
+ *
+ * @param {String} method The HTTP method.
+ * @param {String} id The Okta user id.
+ * @param {Object} query The query parameters.
+ * @param {Object} body The request body.
+ * @param {Function} callback The callback function.
+ */
+OktaBackend.prototype.handleAccount = function(method, id, query, body, callback) {
+  var self = this;
+  var path = '/api/v1/users/' + encodeURIComponent(id);
+
+  if (method === 'DELETE') {
+    // Okta deactivates active users on the first delete, and only deletes
+    // them (for good) on the second.
+    return self.request('GET', path, undefined, function(err, user) {
+      if (err) return callback(err);
+
+      async.timesSeries(user.status === 'DEPROVISIONED' ? 1 : 2, function(n, cb) {
+        self.request('DELETE', path, undefined, function(err) {
+          cb(err || null);
+        });
+      }, function(err) {
+        callback(err || null);
+      });
+    });
+  }
+
+  if (method === 'POST') {
+    var update = { profile: self.buildProfile(body) };
+
+    if (body.password !== undefined) {
+      update.credentials = { password: { value: String(body.password) } };
+    }
+
+    return self.request('POST', path, update, function(err, user) {
+      if (err) return callback(err);
+
+      self.setStatus(user, body.status, function(err, user) {
+        if (err) return callback(err);
+        callback(null, self.renderAccount(user, expands(query, 'customData')));
+      });
+    });
+  }
+
+  self.request('GET', path, undefined, function(err, user) {
+    if (err) return callback(err);
+    callback(null, self.renderAccount(user, expands(query, 'customData')));
+  });
+};
+
+/**
+ * Handle a request against an Account's customData, ie: its custom profile
+ * attributes.
+ *
+ * @param {String} method The HTTP method.
+ * @param {String} id The Okta user id.
+ * @param {String} [field] The customData field, when deleting a single field.
+ * @param {Object} body The request body.
+ * @param {Function} callback The callback function.
+ */
+OktaBackend.prototype.handleCustomData = function(method, id, field, body, callback) {
+  var self = this;
+  var path = '/api/v1/users/' + encodeURIComponent(id);
+
+  if (method === 'DELETE') {
+    // Okta has no way of removing a profile attribute from a single user, so
+    // removed fields are nulled out instead (and null attributes are left out
+    // of customData).
+    return self.request('GET', path, undefined, function(err, user) {
+      if (err) return callback(err);
+
+      var profile = {};
+      var customData = self.renderCustomData(user);
+
+      for (var key in customData) {
+        if (RESERVED_FIELDS.indexOf(key) === -1 && (!field || key === field)) {
+          profile[key] = null;
+        }
+      }
+
+      self.request('POST', path, { profile: profile }, function(err) {
+        callback(err || null);
+      });
+    });
+  }
+
+  if (method === 'POST') {
+    return self.request('POST', path, { profile: self.buildProfile({ customData: body }) }, function(err, user) {
+      if (err) return callback(err);
+      callback(null, self.renderCustomData(user));
+    });
+  }
+
+  self.request('GET', path, undefined, function(err, user) {
+    if (err) return callback(err);
+    callback(null, self.renderCustomData(user));
+  });
+};
+
+/**
+ * Handle an application login attempt through Okta's authentication API.
+ *
+ * @param {Object} body The login attempt (`type` and base64 `value`).
+ * @param {Object} query The query parameters.
+ * @param {Function} callback The callback function.
+ */
+OktaBackend.prototype.attemptLogin = function(body, query, callback) {
+  var self = this;
+  var decoded = new Buffer(String(body.value || ''), 'base64').toString('utf8');
+  var separator = decoded.indexOf(':');
+  var credentials = {
+    username: decoded.substr(0, separator),
+    password: decoded.substr(separator + 1)
+  };
+
+  if (separator === -1) {
+    return callback(resourceError(400, 7100, 'Invalid username or password.'));
+  }
+
+  self.request('POST', '/api/v1/authn', credentials, function(err, result) {
+    if (err && err.status === 401) {
+      return self.findDisabledUser(credentials.username, function(err, user) {
+        if (err) return callback(err);
+        if (user) return callback(resourceError(400, 7101, 'Login attempt failed because the Account is disabled.'));
+        callback(resourceError(400, 7100, 'Invalid username or password.'));
+      });
+    }
+    if (err) return callback(err);
+
+    if (result.status === 'LOCKED_OUT') {
+      return callback(resourceError(400, 7101, 'Login attempt failed because the Account is locked.'));
+    }
+
+    if (result.status !== 'SUCCESS') {
+      return callback(resourceError(400, 7100, 'Login attempt failed with Okta status ' + result.status + '.'));
+    }
+
+    var id = result._embedded.user.id;
+
+    if (!expands(query, 'account')) {
+      return callback(null, { account: { href: self.baseUrl + '/accounts/' + id } });
+    }
+
+    self.handleAccount('GET', id, {}, {}, function(err, account) {
+      if (err) return callback(err);
+      callback(null, { account: account });
+    });
+  });
+};
+
+/**
+ * Find the disabled (ie: suspended or deprovisioned) Okta user with the given
+ * login, if there is one.  Okta's authentication API rejects these users as it
+ * does wrong passwords, so this tells them apart.
+ *
+ * @param {String} login The user's login.
+ * @param {Function} callback The callback function, receiving the user, or
+ *  `null`.
+ */
+OktaBackend.prototype.findDisabledUser = function(login, callback) {
+  var self = this;
+  var found = null;
+
+  // Okta only lists deprovisioned users when they're filtered by status.
+  async.eachSeries(['SUSPENDED', 'DEPROVISIONED'], function(status, cb) {
+    if (found) return cb();
+
+    var filter = 'profile.login eq ' + quote(login) + ' and status eq ' + quote(status);
+
+    self.request('GET', '/api/v1/users?limit=1&filter=' + encodeURIComponent(filter), undefined, function(err, users) {
+      if (err) return cb(err);
+
+      found = (users || [])[0] || null;
+      cb();
+    });
+  }, function(err) {
+    callback(err || null, found);
+  });
+};
+
+/**
+ * Render the (synthetic) tenant.
+ *
+ * @return {Object} The tenant representation.
+ */
+OktaBackend.prototype.renderTenant = function() {
+  return {
+    href: this.tenantHref,
+    name: 'okta',
+    key: 'okta',
+    applications: { href: this.tenantHref + '/applications' },
+    directories: { href: this.tenantHref + '/directories' },
+    organizations: { href: this.tenantHref + '/organizations' },
+    accounts: { href: this.tenantHref + '/accounts' },
+    groups: { href: this.tenantHref + '/groups' },
+    customData: { href: this.tenantHref + '/customData' }
+  };
+};
+
+/**
+ * Render the (synthetic) application, which every user in the org belongs
+ * to.
+ *
+ * @return {Object} The application representation.
+ */
+OktaBackend.prototype.renderApplication = function() {
+  return {
+    href: this.applicationHref,
+    name: 'okta',
+    description: 'The users of the Okta org at ' + this.orgUrl + '.',
+    status: 'ENABLED',
+    accounts: { href: this.applicationHref + '/accounts' },
+    groups: { href: this.applicationHref + '/groups' },
+    loginAttempts: { href: this.applicationHref + '/loginAttempts' },
+    passwordResetTokens: { href: this.applicationHref + '/passwordResetTokens' },
+    verificationEmails: { href: this.applicationHref + '/verificationEmails' },
+    accountStoreMappings: { href: this.applicationHref + '/accountStoreMappings' },
+    apiKeys: { href: this.applicationHref + '/apiKeys' },
+    customData: { href: this.applicationHref + '/customData' },
+    tenant: { href: this.tenantHref }
+  };
+};
+
+/**
+ * Render an Okta user as an Account.
+ *
+ * @param {Object} user The Okta user.
+ * @param {Boolean} [expandCustomData] Whether to expand customData.
+ * @return {Object} The Account representation.
+ */
+OktaBackend.prototype.renderAccount = function(user, expandCustomData) {
+  var profile = user.profile || {};
+  var json = { href: this.baseUrl + '/accounts/' + user.id };
+
+  for (var field in PROFILE_FIELDS) {
+    if (profile[PROFILE_FIELDS[field]] !== undefined && profile[PROFILE_FIELDS[field]] !== null) {
+      json[field] = profile[PROFILE_FIELDS[field]];
+    }
+  }
+
+  json.fullName = [json.givenName, json.middleName, json.surname].filter(Boolean).join(' ');
+  json.status = STATUSES[user.status] || 'DISABLED';
+  json.createdAt = user.created;
+  json.modifiedAt = user.lastUpdated;
+  json.passwordModifiedAt = user.passwordChanged || null;
+  json.customData = expandCustomData ? this.renderCustomData(user) : { href: json.href + '/customData' };
+  json.apiKeys = { href: json.href + '/apiKeys' };
+  json.tenant = { href: this.tenantHref };
+
+  return json;
+};
+
+/**
+ * Render the custom profile attributes of an Okta user as customData.
+ *
+ * @param {Object} user The Okta user.
+ * @return {Object} The customData representation.
+ */
+OktaBackend.prototype.renderCustomData = function(user) {
+  var profile = user.profile || {};
+  var json = {};
+
+  for (var key in profile) {
+    if (!isMapped(key) && RESERVED_FIELDS.indexOf(key) === -1 && profile[key] !== null && profile[key] !== undefined) {
+      json[key] = profile[key];
+    }
+  }
+
+  json.href = this.baseUrl + '/accounts/' + user.id + '/customData';
+  json.createdAt = user.created;
+  json.modifiedAt = user.lastUpdated;
+
+  return json;
+};
+
+module.exports = OktaBackend;
@@ -0,0 +1,1019 @@
+'use strict';
+
+/**
+ * The attributes Stormpath supports date range searches on.
+ */
+var RANGE_ATTRS = ['createdAt', 'modifiedAt'];
+
+/**
+ * The Stormpath collection query parameters which aren't attribute searches.
+ */
+var COLLECTION_PARAMS = ['offset', 'limit', 'orderBy', 'expand', 'q'];
+
+/**
+ * The maximum number of Stormpath searches a single where filter may fan out
+ * into (via `or` and `inq`).
+ */
+var MAX_QUERIES = 10;
+
+/**
+ * Create the error returned for where filters that can't be translated into a
+ * Stormpath search.
+ *
+ * @param {String} message A description of the unsupported filter.
+ * @return {Error} The error.
+ */
+function unsupported(message) {
+  var err = new Error('Unsupported Stormpath query: ' + message);
+
+  err.statusCode = 400;
+  err.code = 'STORMPATH_UNSUPPORTED_QUERY';
+
+  return err;
+}
+
+/**
+ * Unwrap a where object.  Older callers (and our own test suite) pass a
+ * `{ where: {...} }` filter rather than the where object itself.
+ *
+ * @param {Object} where The Loopback where object, or a filter containing one.
+ * @return {Object} The where object.
+ */
+function normalizeWhere(where) {
+  if (where && typeof where.where === 'object' && Object.keys(where).length === 1) {
+    return where.where || {};
+  }
+
+  return where || {};
+}
+
+/**
+ * Convert a value into a Stormpath search value.
+ *
+ * @param {String} key The attribute name.
+ * @param {*} value The value.
+ * @return {String} The search value.
+ */
+function toSearchValue(key, value) {
+  if (typeof value === 'string') {
+    return value;
+  }
+
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return String(value);
+  }
+
+  throw unsupported('cannot search ' + key + ' for ' + JSON.stringify(value) + '.');
+}
+
+/**
+ * Convert a SQL style `like` pattern (eg: `%@acme.com`) or a regular
+ * expression (eg: `/^randall/`) into a Stormpath wildcard search value.
+ * Stormpath only supports wildcards at the start and end of a value.
+ *
+ * @param {String} key The attribute name.
+ * @param {String|RegExp} pattern The pattern.
+ * @return {String} The search value.
+ */
+function toWildcard(key, pattern) {
+  var term;
+  var startsWild;
+  var endsWild;
+
+  if (pattern instanceof RegExp || /^\/.*\/[a-z]*$/.test(pattern)) {
+    var source = pattern instanceof RegExp ? pattern.source : pattern.replace(/^\/(.*)\/[a-z]*$/, '$1');
+
+    startsWild = source.charAt(0) !== '^';
+    endsWild = source.charAt(source.length - 1) !== '$';
+    term = source.substring(startsWild ? 0 : 1, endsWild ? source.length : source.length - 1)
+      .replace(/^\.\*/, '')
+      .replace(/\.\*$/, '');
+
+    if (/[\\^$.|?*+()\[\]{}]/.test(term.replace(/\\[.\-@+]/g, ''))) {
+      throw unsupported('the regular expression ' + source + ' on ' + key + ' is not a simple prefix, suffix or substring match.');
+    }
+
+    term = term.replace(/\\([.\-@+])/g, '$1');
+  } else if (typeof pattern === 'string') {
+    startsWild = pattern.charAt(0) === '%';
+    endsWild = pattern.length > 1 && pattern.charAt(pattern.length - 1) === '%';
+    term = pattern.substring(startsWild ? 1 : 0, endsWild ? pattern.length - 1 : pattern.length);
+
+    if (/[%_]/.test(term)) {
+      throw unsupported('the like pattern ' + pattern + ' on ' + key + ' can only have wildcards at its start or end.');
+    }
+  } else {
+    throw unsupported('cannot match ' + key + ' against ' + JSON.stringify(pattern) + '.');
+  }
+
+  if (!term) {
+    throw unsupported('the pattern on ' + key + ' matches everything.');
+  }
+
+  return (startsWild ? '*' : '') + term + (endsWild ? '*' : '');
+}
+
+/**
+ * Convert a date (or date string) into an ISO 8601 string.
+ *
+ * @param {String} key The attribute name.
+ * @param {Date|String|Number} value The date.
+ * @return {String} The ISO 8601 date.
+ */
+function toIsoDate(key, value) {
+  var date = value instanceof Date ? value : new Date(value);
+
+  if (value === null || isNaN(date.getTime())) {
+    throw unsupported(key + ' must be compared against a date, got ' + JSON.stringify(value) + '.');
+  }
+
+  return date.toISOString();
+}
+
+/**
+ * Intersect two date ranges.  Ranges are `{ start, startInclusive, end,
+ * endInclusive }` objects, where missing bounds are open.
+ *
+ * @param {Object} a The first range.
+ * @param {Object} b The second range.
+ * @return {Object} The intersection.
+ */
+function intersectRanges(a, b) {
+  var range = {
+    start: a.start,
+    startInclusive: a.startInclusive,
+    end: a.end,
+    endInclusive: a.endInclusive
+  };
+
+  if (b.start && (!range.start || b.start > range.start || (b.start === range.start && !b.startInclusive))) {
+    range.start = b.start;
+    range.startInclusive = b.startInclusive;
+  }
+
+  if (b.end && (!range.end || b.end < range.end || (b.end === range.end && !b.endInclusive))) {
+    range.end = b.end;
+    range.endInclusive = b.endInclusive;
+  }
+
+  return range;
+}
+
+/**
+ * Format a date range as a Stormpath search value, eg:
+ * `[2015-01-01T00:00:00.000Z,2016-01-01T00:00:00.000Z)`.
+ *
+ * @param {Object} range The range.
+ * @return {String} The search value.
+ */
+function formatRange(range) {
+  return (range.startInclusive ? '[' : '(') + (range.start || '') + ',' +
+    (range.end || '') + (range.endInclusive ? ']' : ')');
+}
+
+/**
+ * Merge two conjunctions of search conditions into one.
+ *
+ * A conjunction is `{ search: {}, ranges: {}, ids: null|Array }`, where
+ * `search` holds plain Stormpath search values, `ranges` holds date ranges and
+ * `ids` (if not null) restricts the results to the given resource ids.
+ *
+ * @param {Object} a The first conjunction.
+ * @param {Object} b The second conjunction.
+ * @return {Object} The merged conjunction.
+ */
+function mergeConjunctions(a, b) {
+  var merged = { search: {}, ranges: {}, ids: a.ids };
+  var key;
+
+  for (key in a.search) {
+    merged.search[key] = a.search[key];
+  }
+
+  for (key in b.search) {
+    if (merged.search.hasOwnProperty(key) && merged.search[key] !== b.search[key]) {
+      throw unsupported('multiple conditions on ' + key + ' cannot be combined into one Stormpath search.');
+    }
+    merged.search[key] = b.search[key];
+  }
+
+  for (key in a.ranges) {
+    merged.ranges[key] = a.ranges[key];
+  }
+
+  for (key in b.ranges) {
+    merged.ranges[key] = merged.ranges[key] ? intersectRanges(merged.ranges[key], b.ranges[key]) : b.ranges[key];
+  }
+
+  if (b.ids) {
+    merged.ids = !merged.ids ? b.ids : merged.ids.filter(function(id) {
+      return b.ids.indexOf(id) > -1;
+    });
+  }
+
+  return merged;
+}
+
+/**
+ * AND two lists of conjunctions together.
+ *
+ * @param {Array} left The first list of conjunctions (OR'd together).
+ * @param {Array} right The second list of conjunctions (OR'd together).
+ * @return {Array} The combined list of conjunctions.
+ */
+function combine(left, right) {
+  var result = [];
+
+  left.forEach(function(a) {
+    right.forEach(function(b) {
+      result.push(mergeConjunctions(a, b));
+    });
+  });
+
+  if (result.length > MAX_QUERIES) {
+    throw unsupported('the filter expands into more than ' + MAX_QUERIES + ' Stormpath searches.');
+  }
+
+  return result;
+}
+
+/**
+ * Create a conjunction holding a single condition.
+ *
+ * @param {String} kind One of `search`, `ranges` or `ids`.
+ * @param {String} [key] The attribute name.
+ * @param {*} value The condition value.
+ * @return {Object} The conjunction.
+ */
+function conjunction(kind, key, value) {
+  var conj = { search: {}, ranges: {}, ids: null };
+
+  if (kind === 'ids') {
+    conj.ids = value;
+  } else {
+    conj[kind][key] = value;
+  }
+
+  return conj;
+}
+
+/**
+ * Translate the condition on a single date attribute into conjunctions.
+ *
+ * @param {String} key The attribute name.
+ * @param {*} cond The Loopback condition.
+ * @return {Array} The list of conjunctions (OR'd together).
+ */
+function translateRange(key, cond) {
+  if (cond === null || typeof cond !== 'object' || cond instanceof Date) {
+    var date = toIsoDate(key, cond);
+    return [conjunction('ranges', key, { start: date, startInclusive: true, end: date, endInclusive: true })];
+  }
+
+  var range = {};
+
+  Object.keys(cond).forEach(function(op) {
+    var value = cond[op];
+    var bound;
+
+    switch (op) {
+      case 'gt':
+      case 'gte':
+        bound = { start: toIsoDate(key, value), startInclusive: op === 'gte' };
+        break;
+      case 'lt':
+      case 'lte':
+        bound = { end: toIsoDate(key, value), endInclusive: op === 'lte' };
+        break;
+      case 'between':
+        if (!Array.isArray(value) || value.length !== 2) {
+          throw unsupported('between on ' + key + ' requires two dates.');
+        }
+        bound = {
+          start: toIsoDate(key, value[0]),
+          startInclusive: true,
+          end: toIsoDate(key, value[1]),
+          endInclusive: true
+        };
+        break;
+      default:
+        throw unsupported('the ' + op + ' operator is not supported on ' + key + '.');
+    }
+
+    range = intersectRanges(range, bound);
+  });
+
+  return [conjunction('ranges', key, range)];
+}
+
+/**
+ * Translate the condition on a single attribute into conjunctions.
+ *
+ * @param {String} key The attribute name.
+ * @param {*} cond The Loopback condition.
+ * @param {Object} options The translation options.
+ * @return {Array} The list of conjunctions (OR'd together).
+ */
+function translateCondition(key, cond, options) {
+  var isOperator = cond !== null && typeof cond === 'object' && !(cond instanceof Date) && !(cond instanceof RegExp);
+
+  if (key === options.idName) {
+    if (isOperator && Array.isArray(cond.inq) && Object.keys(cond).length === 1) {
+      return [conjunction('ids', null, cond.inq.map(String))];
+    }
+    if (isOperator || cond === null || cond === undefined) {
+      throw unsupported(key + ' can only be matched exactly or with inq.');
+    }
+    return [conjunction('ids', null, [String(cond)])];
+  }
+
+  if (key === 'q') {
+    return [conjunction('search', 'q', toSearchValue(key, cond))];
+  }
+
+  if (RANGE_ATTRS.indexOf(key) > -1) {
+    if (isOperator && cond.inq) {
+      throw unsupported('inq is not supported on ' + key + '.');
+    }
+    return translateRange(key, cond);
+  }
+
+  if (options.searchableAttrs.indexOf(key) === -1) {
+    throw unsupported(key + ' is not a searchable attribute.');
+  }
+
+  if (cond instanceof RegExp) {
+    return [conjunction('search', key, toWildcard(key, cond))];
+  }
+
+  if (!isOperator) {
+    return [conjunction('search', key, toSearchValue(key, cond))];
+  }
+
+  var ops = Object.keys(cond);
+
+  if (ops.length !== 1) {
+    throw unsupported('multiple operators on ' + key + ' cannot be combined into one Stormpath search.');
+  }
+
+  switch (ops[0]) {
+    case 'like':
+    case 'ilike':
+    case 'regexp':
+      return [conjunction('search', key, toWildcard(key, cond[ops[0]]))];
+    case 'inq':
+      if (!Array.isArray(cond.inq)) {
+        throw unsupported('inq on ' + key + ' requires an array.');
+      }
+      return cond.inq.map(function(value) {
+        return conjunction('search', key, toSearchValue(key, value));
+      });
+    default:
+      throw unsupported('the ' + ops[0] + ' operator is not supported on ' + key + '.');
+  }
+}
+
+/**
+ * Translate a where object into conjunctions.
+ *
+ * @param {Object} where The Loopback where object.
+ * @param {Object} options The translation options.
+ * @return {Array} The list of conjunctions (OR'd together).
+ */
+function translateWhere(where, options) {
+  var result = [{ search: {}, ranges: {}, ids: null }];
+
+  Object.keys(where).forEach(function(key) {
+    var cond = where[key];
+
+    if (cond === undefined) {
+      return;
+    }
+
+    if (key === 'and' || key === 'or') {
+      if (!Array.isArray(cond)) {
+        throw unsupported(key + ' requires an array of conditions.');
+      }
+
+      var parts = cond.map(function(clause) {
+        return translateWhere(clause || {}, options);
+      });
+
+      if (key === 'and') {
+        parts.forEach(function(part) {
+          result = combine(result, part);
+        });
+      } else {
+        result = combine(result, Array.prototype.concat.apply([], parts));
+      }
+    } else {
+      result = combine(result, translateCondition(key, cond, options));
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Flatten a where object into a list of clauses that are AND'd together, so
+ * that each clause can be pushed down to Stormpath (or not) on its own.
+ *
+ * @param {Object} where The Loopback where object.
+ * @return {Array} The where clauses.
+ */
+function flattenWhere(where) {
+  var clauses = [];
+
+  Object.keys(where).forEach(function(key) {
+    var cond = where[key];
+
+    if (cond === undefined) {
+      return;
+    }
+
+    if (key === 'and' && Array.isArray(cond)) {
+      cond.forEach(function(clause) {
+        clauses = clauses.concat(flattenWhere(clause || {}));
+      });
+    } else {
+      var clause = {};
+      clause[key] = cond;
+      clauses.push(clause);
+    }
+  });
+
+  return clauses;
+}
+
+/**
+ * Translate a Loopback where object into a list of Stormpath searches, along
+ * with whatever part of the where object Stormpath can't search on.
+ *
+ * As much of the where object as possible is pushed down to Stormpath.  The
+ * results of all searches must be merged, and then checked against the
+ * returned `filter` (see `compileWhere`) to get the matching resources.
+ *
+ * Each search is an object with:
+ *
+ * - `query`: the Stormpath search parameters, eg: `{ email: '*@acme.com' }`.
+ * - `ids`: `null`, or a list of resource ids the results are restricted to.
+ *
+ * The conditions that can be pushed down are:
+ *
+ * - Exact matches on searchable attributes (Stormpath `*` wildcards are
+ *   passed through as-is).
+ * - `like`, `ilike` and `regexp` conditions that only have wildcards at the
+ *   start or end of the pattern.
+ * - `inq` on searchable attributes and ids.
+ * - `gt`, `gte`, `lt`, `lte` and `between` on `createdAt` and `modifiedAt`.
+ * - A `q` key, which is passed through as a Stormpath full text search.
+ * - `and` and `or` combinations of the above.
+ *
+ * @param {Object} where The Loopback where object.
+ * @param {Object} options The translation options.
+ * @param {Array} options.searchableAttrs The searchable attributes.
+ * @param {String} [options.idName] The name of the id property (defaults to
+ *  `id`).
+ * @return {Object} The Stormpath `searches`, and the `filter` (a where
+ *  object, or null) to evaluate locally.
+ */
+function buildQueries(where, options) {
+  var translateOptions = {
+    searchableAttrs: options.searchableAttrs,
+    idName: options.idName || 'id'
+  };
+  var pushed = [];
+  var residual = [];
+  var conjunctions = translateWhere({}, translateOptions);
+
+  // Greedily push down every clause that can be combined with the clauses
+  // pushed down so far, and keep the rest for local evaluation.
+  flattenWhere(normalizeWhere(where)).forEach(function(clause) {
+    try {
+      var result = translateWhere({ and: pushed.concat([clause]) }, translateOptions);
+
+      pushed.push(clause);
+      conjunctions = result;
+    } catch (err) {
+      if (err.code !== 'STORMPATH_UNSUPPORTED_QUERY') {
+        throw err;
+      }
+      residual.push(clause);
+    }
+  });
+
+  var searches = conjunctions.filter(function(conj) {
+    return !conj.ids || conj.ids.length > 0;
+  }).map(function(conj) {
+    var query = {};
+
+    for (var key in conj.search) {
+      query[key] = conj.search[key];
+    }
+
+    for (key in conj.ranges) {
+      query[key] = formatRange(conj.ranges[key]);
+    }
+
+    return { query: query, ids: conj.ids };
+  });
+
+  return {
+    searches: searches,
+    filter: residual.length ? { and: residual } : null
+  };
+}
+
+/**
+ * Convert a SQL style `like` pattern into a regular expression.
+ *
+ * @param {String|RegExp} pattern The pattern.
+ * @param {Boolean} ignoreCase Whether the match is case insensitive.
+ * @return {RegExp} The regular expression.
+ */
+function likeToRegExp(pattern, ignoreCase) {
+  if (pattern instanceof RegExp) {
+    return pattern;
+  }
+
+  var source = String(pattern).replace(/[\\^$.|?*+()\[\]{}]/g, '\\$&')
+    .replace(/%/g, '.*')
+    .replace(/_/g, '.');
+
+  return new RegExp('^' + source + '$', ignoreCase ? 'i' : '');
+}
+
+/**
+ * Convert a `regexp` condition (a RegExp, or a string like `/^foo/i`) into a
+ * regular expression.
+ *
+ * @param {String|RegExp} pattern The pattern.
+ * @return {RegExp} The regular expression.
+ */
+function toRegExp(pattern) {
+  if (pattern instanceof RegExp) {
+    return pattern;
+  }
+
+  var match = /^\/(.*)\/([a-z]*)$/.exec(String(pattern));
+  return match ? new RegExp(match[1], match[2].replace(/g/g, '')) : new RegExp(String(pattern));
+}
+
+/**
+ * Normalize a value for comparisons, so that dates (and ISO 8601 strings)
+ * compare by time.
+ *
+ * @param {*} value The value.
+ * @param {*} example The value it is compared against.
+ * @return {*} The normalized value.
+ */
+function comparable(value, example) {
+  if (value instanceof Date || example instanceof Date) {
+    return new Date(value).getTime();
+  }
+
+  if (typeof example === 'number' && typeof value === 'string' && value !== '') {
+    return Number(value);
+  }
+
+  return value;
+}
+
+/**
+ * Check whether two values are equal, the way Loopback's memory connector
+ * does.
+ *
+ * @param {*} value The value.
+ * @param {*} example The value it is compared against.
+ * @return {Boolean} Whether the values are equal.
+ */
+function equals(value, example) {
+  if (example === null || example === undefined) {
+    return value === null || value === undefined;
+  }
+
+  if (value === null || value === undefined) {
+    return false;
+  }
+
+  var a = comparable(value, example);
+  var b = comparable(example, value);
+
+  return a === b || (typeof a !== 'object' && typeof b !== 'object' && String(a) === String(b));
+}
+
+/**
+ * Compile the test for a single operator.
+ *
+ * @param {String} key The attribute name.
+ * @param {String} op The operator.
+ * @param {*} example The operator's argument.
+ * @return {Function} A function testing a single value.
+ */
+function compileOperator(key, op, example) {
+  var pattern;
+
+  switch (op) {
+    case 'neq':
+      return function(value) {
+        return !equals(value, example);
+      };
+    case 'gt':
+    case 'gte':
+    case 'lt':
+    case 'lte':
+      return function(value) {
+        if (value === null || value === undefined) {
+          return false;
+        }
+
+        var a = comparable(value, example);
+        var b = comparable(example, value);
+
+        return op === 'gt' ? a > b : op === 'gte' ? a >= b : op === 'lt' ? a < b : a <= b;
+      };
+    case 'between':
+      if (!Array.isArray(example) || example.length !== 2) {
+        throw unsupported('between on ' + key + ' requires two values.');
+      }
+      return function(value) {
+        return compileOperator(key, 'gte', example[0])(value) && compileOperator(key, 'lte', example[1])(value);
+      };
+    case 'inq':
+    case 'nin':
+      if (!Array.isArray(example)) {
+        throw unsupported(op + ' on ' + key + ' requires an array.');
+      }
+      return function(value) {
+        var found = example.some(function(item) {
+          return equals(value, item);
+        });
+        return op === 'inq' ? found : !found;
+      };
+    case 'like':
+    case 'nlike':
+    case 'ilike':
+    case 'nilike':
+      pattern = likeToRegExp(example, op === 'ilike' || op === 'nilike');
+      return function(value) {
+        var found = value !== null && value !== undefined && pattern.test(String(value));
+        return op.charAt(0) === 'n' ? !found : found;
+      };
+    case 'regexp':
+      pattern = toRegExp(example);
+      return function(value) {
+        return value !== null && value !== undefined && pattern.test(String(value));
+      };
+    case 'exists':
+      return function(value) {
+        return (value !== null && value !== undefined) === !!example;
+      };
+    default:
+      throw unsupported('the ' + op + ' operator is not supported on ' + key + '.');
+  }
+}
+
+/**
+ * Compile the condition on a single attribute.
+ *
+ * @param {String} key The attribute name.
+ * @param {*} cond The Loopback condition.
+ * @return {Function} A function testing a single value.
+ */
+function compileCondition(key, cond) {
+  if (cond instanceof RegExp) {
+    return compileOperator(key, 'regexp', cond);
+  }
+
+  if (cond === null || typeof cond !== 'object' || cond instanceof Date) {
+    return function(value) {
+      return equals(value, cond);
+    };
+  }
+
+  var tests = Object.keys(cond).map(function(op) {
+    // The `options` key holds flags for `like` and `regexp` conditions.
+    if (op === 'options') {
+      return function() {
+        return true;
+      };
+    }
+
+    var example = cond[op];
+
+    if ((op === 'like' || op === 'nlike' || op === 'regexp') && typeof cond.options === 'string' &&
+        cond.options.indexOf('i') > -1 && typeof example === 'string') {
+      example = op === 'regexp' ? new RegExp(example, 'i') : likeToRegExp(example, true);
+    }
+
+    return compileOperator(key, op, example);
+  });
+
+  return function(value) {
+    return tests.every(function(test) {
+      return test(value);
+    });
+  };
+}
+
+/**
+ * Compile a Loopback where object into a function that tests whether a
+ * resource matches it, following the semantics of Loopback's memory
+ * connector.  Conditions on array values match if any element matches.
+ *
+ * Unknown operators throw an error up front, rather than being ignored.
+ *
+ * @param {Object} where The Loopback where object.
+ * @param {Object} options The compile options.
+ * @param {Function} options.getValue A function `(resource, key)` returning
+ *  the value of an attribute of a resource.
+ * @param {Array} options.searchableAttrs The attributes a `q` condition
+ *  searches.
+ * @return {Function} A function `(resource)` returning whether the resource
+ *  matches.
+ */
+function compileWhere(where, options) {
+  where = normalizeWhere(where);
+
+  var tests = Object.keys(where).map(function(key) {
+    var cond = where[key];
+
+    if (cond === undefined) {
+      return function() {
+        return true;
+      };
+    }
+
+    if (key === 'and' || key === 'or') {
+      if (!Array.isArray(cond)) {
+        throw unsupported(key + ' requires an array of conditions.');
+      }
+
+      var clauses = cond.map(function(clause) {
+        return compileWhere(clause || {}, options);
+      });
+
+      return function(resource) {
+        return key === 'and' ? clauses.every(function(clause) {
+          return clause(resource);
+        }) : clauses.some(function(clause) {
+          return clause(resource);
+        });
+      };
+    }
+
+    if (key === 'q') {
+      var term = String(cond).toLowerCase();
+
+      return function(resource) {
+        return options.searchableAttrs.some(function(attr) {
+          var value = options.getValue(resource, attr);
+          return value !== null && value !== undefined && String(value).toLowerCase().indexOf(term) > -1;
+        });
+      };
+    }
+
+    var test = compileCondition(key, cond);
+
+    return function(resource) {
+      var value = options.getValue(resource, key);
+
+      if (Array.isArray(value)) {
+        return value.some(test);
+      }
+
+      return test(value);
+    };
+  });
+
+  return function(resource) {
+    return tests.every(function(test) {
+      return test(resource);
+    });
+  };
+}
+
+/**
+ * Parse a Loopback order filter, eg: `'surname DESC'`,
+ * `'surname DESC, givenName'` or `['surname DESC', 'givenName ASC']`.
+ *
+ * @param {String|Array} order The Loopback order filter.
+ * @return {Array} An array of `{ key, desc }` objects, in order of precedence.
+ */
+function parseOrder(order) {
+  if (!order) {
+    return [];
+  }
+
+  if (!Array.isArray(order)) {
+    order = String(order).split(',');
+  }
+
+  return order.map(function(part) {
+    var words = String(part).trim().split(/\s+/);
+    var direction = (words[1] || 'ASC').toUpperCase();
+
+    if (!words[0] || words.length > 2 || (direction !== 'ASC' && direction !== 'DESC')) {
+      throw unsupported('invalid order "' + part + '".');
+    }
+
+    return { key: words[0], desc: direction === 'DESC' };
+  });
+}
+
+/**
+ * Build the Stormpath `orderBy` parameter for a parsed order, eg:
+ * `surname desc,givenName asc`.
+ *
+ * @param {Array} order The parsed order (see `parseOrder`).
+ * @param {Object} options The build options.
+ * @param {Array} options.searchableAttrs The attributes Stormpath can search
+ *  (and sort) on.
+ * @return {String|null} The orderBy parameter, or null if Stormpath can't
+ *  sort on one of the keys, in which case results must be sorted locally.
+ */
+function buildOrderBy(order, options) {
+  var sortable = options.searchableAttrs.concat(RANGE_ATTRS);
+
+  for (var i = 0; i < order.length; i++) {
+    if (sortable.indexOf(order[i].key) === -1) {
+      return null;
+    }
+  }
+
+  return order.map(function(part) {
+    return part.key + (part.desc ? ' desc' : ' asc');
+  }).join(',');
+}
+
+/**
+ * Compile a parsed order into a comparison function, for sorting results
+ * locally.  Missing values sort first, as with Loopback's memory connector.
+ *
+ * @param {Array} order The parsed order (see `parseOrder`).
+ * @param {Object} options The compile options.
+ * @param {Function} options.getValue A function `(resource, key)` returning
+ *  the value of an attribute of a resource.
+ * @return {Function} A function `(a, b)` suitable for `Array#sort`.
+ */
+function compileOrder(order, options) {
+  return function(a, b) {
+    for (var i = 0; i < order.length; i++) {
+      var x = options.getValue(a, order[i].key);
+      var y = options.getValue(b, order[i].key);
+      var result = 0;
+
+      if (x === undefined || x === null) {
+        result = y === undefined || y === null ? 0 : -1;
+      } else if (y === undefined || y === null) {
+        result = 1;
+      } else {
+        x = comparable(x, y);
+        y = comparable(y, x);
+        result = x < y ? -1 : x > y ? 1 : 0;
+      }
+
+      if (result !== 0) {
+        return order[i].desc ? -result : result;
+      }
+    }
+
+    return 0;
+  };
+}
+
+/**
+ * Check whether the given value matches a Stormpath attribute search value.
+ * Matching is case insensitive, a leading or trailing `*` is a wildcard, and
+ * `[start,end)` style values are date ranges.
+ *
+ * @param {*} value The attribute value.
+ * @param {String} search The search value.
+ * @return {Boolean} Whether the value matches.
+ */
+function matchesSearch(value, search) {
+  var range = /^([\[\(])\s*([^,]*)\s*,\s*([^\]\)]*)\s*([\]\)])$/.exec(search);
+
+  if (range) {
+    var time = new Date(value).getTime();
+    var start = range[2] ? new Date(range[2]).getTime() : -Infinity;
+    var end = range[3] ? new Date(range[3]).getTime() : Infinity;
+
+    return (range[1] === '[' ? time >= start : time > start) &&
+      (range[4] === ']' ? time <= end : time < end);
+  }
+
+  if (value === undefined || value === null) {
+    return false;
+  }
+
+  value = String(value).toLowerCase();
+  search = String(search).toLowerCase();
+
+  var startsWild = search.charAt(0) === '*';
+  var endsWild = search.length > 1 && search.charAt(search.length - 1) === '*';
+  var term = search.substring(startsWild ? 1 : 0, endsWild ? search.length - 1 : search.length);
+
+  if (startsWild && endsWild) {
+    return value.indexOf(term) > -1;
+  } else if (startsWild) {
+    return value.substr(value.length - term.length) === term;
+  } else if (endsWild) {
+    return value.indexOf(term) === 0;
+  }
+
+  return value === term;
+}
+
+/**
+ * Compare two attribute values for sorting.
+ *
+ * @param {*} a The first value.
+ * @param {*} b The second value.
+ * @return {Number} The comparison result.
+ */
+function compareValues(a, b) {
+  if (a === b) {
+    return 0;
+  }
+  if (a === undefined || a === null) {
+    return -1;
+  }
+  if (b === undefined || b === null) {
+    return 1;
+  }
+  if (typeof a === 'string' && typeof b === 'string') {
+    a = a.toLowerCase();
+    b = b.toLowerCase();
+  }
+
+  return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+/**
+ * Apply the search and ordering parameters of a Stormpath collection query
+ * (attribute searches, `q` and `orderBy`) to a list of resources, the way
+ * Stormpath does.  This is the reverse of `buildQueries`, and is used by the
+ * backends standing in for the Stormpath API.
+ *
+ * @param {Array} items The resources.
+ * @param {Object} params The collection query parameters.
+ * @param {Object} options The search options.
+ * @param {Array} options.searchableAttrs The attributes a `q` parameter
+ *  searches.
+ * @param {Function} options.getValue A function `(item, name)` returning the
+ *  value of an attribute of a resource.
+ * @return {Array} The matching resources, in order.
+ */
+function searchCollection(items, params, options) {
+  Object.keys(params).forEach(function(name) {
+    if (COLLECTION_PARAMS.indexOf(name) > -1) {
+      return;
+    }
+
+    items = items.filter(function(item) {
+      return matchesSearch(options.getValue(item, name), params[name]);
+    });
+  });
+
+  if (params.q) {
+    var term = String(params.q).toLowerCase();
+
+    items = items.filter(function(item) {
+      return options.searchableAttrs.some(function(name) {
+        var value = options.getValue(item, name);
+        return value !== undefined && value !== null && String(value).toLowerCase().indexOf(term) > -1;
+      });
+    });
+  }
+
+  if (params.orderBy) {
+    var order = String(params.orderBy).split(',').map(function(part) {
+      var words = part.trim().split(/\s+/);
+      return { name: words[0], desc: (words[1] || '').toLowerCase() === 'desc' };
+    });
+
+    items = items.slice().sort(function(a, b) {
+      for (var i = 0; i < order.length; i++) {
+        var result = compareValues(options.getValue(a, order[i].name), options.getValue(b, order[i].name));
+
+        if (result !== 0) {
+          return order[i].desc ? -result : result;
+        }
+      }
+      return 0;
+    });
+  }
+
+  return items;
+}
+
+exports.COLLECTION_PARAMS = COLLECTION_PARAMS;
+exports.buildQueries = buildQueries;
+exports.buildOrderBy = buildOrderBy;
+exports.compileOrder = compileOrder;
+exports.compileWhere = compileWhere;
+exports.normalizeWhere = normalizeWhere;
+exports.parseOrder = parseOrder;
+exports.searchCollection = searchCollection;
+exports.unsupported = unsupported;
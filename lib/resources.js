@@ -0,0 +1,567 @@
+'use strict';
+
+var crypto = require('crypto');
+var url = require('url');
+var util = require('util');
+
+var Account = require('stormpath/lib/resource/Account');
+var SdkApiKey = require('stormpath/lib/resource/ApiKey');
+var ApiKeyEncryptedOptions = require('stormpath/lib/authc/ApiKeyEncryptedOptions');
+
+/**
+ * The base URL of the Stormpath REST API.
+ */
+var BASE_URL = 'https://api.stormpath.com/v1';
+
+/**
+ * The customData fields Stormpath manages itself.
+ */
+var RESERVED_CUSTOM_DATA_FIELDS = ['href', 'createdAt', 'modifiedAt'];
+
+/**
+ * Convert a Stormpath href into an ID.
+ *
+ * @param {String} href The resource href.
+ * @return {String} id The resource id.
+ */
+function convertHrefToId(href) {
+  var parsedUrl = url.parse(href);
+  var parts = parsedUrl.pathname.split('/');
+
+  return parts[parts.length - 1];
+}
+
+/**
+ * A Stormpath resource type that Loopback models can be mapped to.
+ *
+ * @param {String} name The resource type name, eg: `account`.
+ * @param {Object} options The resource type definition.
+ * @param {String} options.collection The top level collection resources of
+ *  this type live in, eg: `accounts`.
+ * @param {String} options.lookupField The field that identifies a resource
+ *  when no id is known, eg: an Account's `email`.
+ * @param {Array} options.fields The fields of the resource itself, which are
+ *  included in the JSON representation.
+ * @param {Array} options.standardFields The fields that can be written
+ *  directly, everything else lives in customData.
+ * @param {Array} options.searchableAttrs The fields Stormpath can search on.
+ * @param {Object} [options.computedFields] Read-only fields derived from the
+ *  resource, keyed by name, eg: an Account's `emailVerified`.  Each is a
+ *  function of the resource, returning `undefined` when it can't be derived.
+ * @param {Object} [options.relations] The collections of related resources
+ *  which can be included (expanded), keyed by name, eg: an Account's `groups`.
+ *  Each gives the resource `type` of the related resources, and a
+ *  `listMembers(connector, href, query, cb)` function which searches the
+ *  resources of this type related to the one with the given href.
+ * @param {Function} options.create Create a resource: `(connector, data, cb)`.
+ * @param {Function} options.list Search resources: `(connector, query, cb)`.
+ * @param {Function} options.get Fetch a resource by href:
+ *  `(connector, href, options, cb)`.
+ * @constructor
+ */
+function ResourceType(name, options) {
+  this.name = name;
+  this.collection = options.collection;
+  this.lookupField = options.lookupField;
+  this.fields = options.fields;
+  this.standardFields = options.standardFields;
+  this.searchableAttrs = options.searchableAttrs;
+  this.computedFields = options.computedFields || {};
+  this.relations = options.relations || {};
+  this.create = options.create;
+  this.list = options.list;
+  this.get = options.get;
+}
+
+/**
+ * Convert a resource href into an ID.
+ *
+ * @param {String} href The resource href.
+ * @return {String} id The resource id.
+ */
+ResourceType.prototype.toId = function(href) {
+  return convertHrefToId(href);
+};
+
+/**
+ * Convert a resource ID into an href.
+ *
+ * @param {String} id The resource ID.
+ * @param {String} [baseUrl] The base URL of the Stormpath REST API.
+ * @return {String} href The resource href.
+ */
+ResourceType.prototype.toHref = function(id, baseUrl) {
+  return this.collectionHref(baseUrl) + '/' + id.toString();
+};
+
+/**
+ * Get the href of the top level collection resources of this type live in.
+ *
+ * @param {String} [baseUrl] The base URL of the Stormpath REST API.
+ * @return {String} The collection href.
+ */
+ResourceType.prototype.collectionHref = function(baseUrl) {
+  return (baseUrl || BASE_URL) + '/' + this.collection;
+};
+
+/**
+ * Convert a Stormpath resource into JSON.
+ *
+ * All of the resource's own fields (and computed fields) are included, as are
+ * the related resources which have been expanded, eg: an Account's `groups`.
+ * Any other properties the model defines are read from the resource's
+ * customData, provided it has been expanded.
+ *
+ * The raw customData itself is only included when asked for, as it holds
+ * whatever was ever stored there (along with Stormpath's own `href` and
+ * timestamps).
+ *
+ * @param {Object} resource The Stormpath resource object.
+ * @param {Array} [properties] The names of the model's properties.
+ * @param {Boolean} [includeCustomData] Whether to include the customData.
+ * @return {Object} The JSON representation of this resource.
+ */
+ResourceType.prototype.toJson = function(resource, properties, includeCustomData) {
+  var json = { id: this.toId(resource.href) };
+  var customProperties = this.customProperties(properties || []);
+
+  for (var i = 0; i < this.fields.length; i++) {
+    if (resource[this.fields[i]] !== undefined) {
+      json[this.fields[i]] = resource[this.fields[i]];
+    }
+  }
+
+  for (var name in this.computedFields) {
+    var value = this.computedFields[name](resource);
+
+    if (value !== undefined) {
+      json[name] = value;
+    }
+  }
+
+  for (var relation in this.relations) {
+    var collection = resource[relation];
+    var relatedType = types[this.relations[relation].type];
+
+    if (collection && Array.isArray(collection.items)) {
+      json[relation] = collection.items.map(function(item) {
+        return relatedType.toJson(item);
+      });
+    }
+  }
+
+  if (resource.customData) {
+    if (includeCustomData) {
+      json.customData = customDataToJson(resource.customData);
+    }
+
+    for (var j = 0; j < customProperties.length; j++) {
+      if (resource.customData[customProperties[j]] !== undefined) {
+        json[customProperties[j]] = resource.customData[customProperties[j]];
+      }
+    }
+  }
+
+  return json;
+};
+
+/**
+ * Convert an expanded customData resource into a plain object of the values
+ * stored in it, without Stormpath's own `href`, `createdAt` and `modifiedAt`.
+ *
+ * @param {Object} customData The customData resource.
+ * @return {Object} The stored values.
+ */
+function customDataToJson(customData) {
+  var json = {};
+
+  Object.keys(customData).forEach(function(key) {
+    if (RESERVED_CUSTOM_DATA_FIELDS.indexOf(key) === -1 && typeof customData[key] !== 'function') {
+      json[key] = customData[key];
+    }
+  });
+
+  return json;
+}
+
+/**
+ * Get the model properties that are stored in customData, rather than being
+ * fields of the resource itself.
+ *
+ * @param {Array} properties The names of the model's properties.
+ * @return {Array} The names of the properties stored in customData.
+ */
+ResourceType.prototype.customProperties = function(properties) {
+  var fields = this.fields;
+  var computedFields = this.computedFields;
+  var relations = this.relations;
+
+  return properties.filter(function(property) {
+    return fields.indexOf(property) === -1 && !computedFields.hasOwnProperty(property) &&
+      !relations.hasOwnProperty(property) &&
+      ['id', 'password', 'customData'].indexOf(property) === -1;
+  });
+};
+
+/**
+ * Get the value of an attribute of a Stormpath resource, as seen by a Loopback
+ * where filter.  Standard fields are read from the resource itself, anything
+ * else from its (expanded) customData.  Dotted keys, eg: `customData.plan`,
+ * are followed into nested objects.
+ *
+ * @param {Object} resource The Stormpath resource object.
+ * @param {String} key The attribute name.
+ * @return {*} The attribute value.
+ */
+ResourceType.prototype.getValue = function(resource, key) {
+  if (key === 'id') {
+    return this.toId(resource.href);
+  }
+
+  var path = key.split('.');
+  var value = resource;
+
+  if (resource[path[0]] === undefined && resource.customData) {
+    value = resource.customData;
+  }
+
+  for (var i = 0; i < path.length; i++) {
+    if (value === null || value === undefined) {
+      return undefined;
+    }
+    value = value[path[i]];
+  }
+
+  return value;
+};
+
+/**
+ * Check whether the given field is one of the resource's own fields that
+ * Stormpath manages, eg: `createdAt` or an Account's `fullName`, a computed
+ * field or a relation.  These are never written, and never end up in
+ * customData either.
+ *
+ * @param {String} key The field name.
+ * @return {Boolean} Whether the field is read-only.
+ */
+ResourceType.prototype.isReadOnly = function(key) {
+  return this.fields.indexOf(key) > -1 && this.standardFields.indexOf(key) === -1 ||
+    this.computedFields.hasOwnProperty(key) || this.relations.hasOwnProperty(key);
+};
+
+/**
+ * Build the data used to create a new resource.  Standard fields are copied
+ * over as-is, read-only fields are skipped, and everything else is stored in
+ * customData.
+ *
+ * @param {Object} data The Loopback model data.
+ * @return {Object} The data to send to Stormpath.
+ */
+ResourceType.prototype.buildData = function(data) {
+  var resource = { customData: {} };
+
+  for (var key in data) {
+    if (data[key] === undefined || key === 'id') {
+      continue;
+    }
+
+    if (key === 'customData' && data[key] && typeof data[key] === 'object') {
+      for (var field in data[key]) {
+        if (field !== 'href') {
+          resource.customData[field] = data[key][field];
+        }
+      }
+    } else if (key === 'password' || this.standardFields.indexOf(key) > -1) {
+      resource[key] = data[key];
+    } else if (!this.isReadOnly(key)) {
+      resource.customData[key] = data[key];
+    }
+  }
+
+  return resource;
+};
+
+/**
+ * Merge the given data into the given resource.  This takes all customData
+ * fields into account.
+ *
+ * NOTE: The resource *MUST* have already expanded customData for this to work!
+ *
+ * @param {Object} resource The Stormpath resource object.
+ * @param {Object} data The Loopback model object containing newer resource
+ *  information.
+ */
+ResourceType.prototype.update = function(resource, data) {
+  var standardFields = this.standardFields;
+
+  for (var i = 0; i < standardFields.length; i++) {
+    resource[standardFields[i]] = data[standardFields[i]] || resource[standardFields[i]];
+  }
+
+  if (data.password) {
+    resource.password = data.password;
+  }
+
+  for (var key in data) {
+    if (key === 'customData' && data[key] && typeof data[key] === 'object') {
+      for (var field in data[key]) {
+        if (field !== 'href') {
+          resource.customData[field] = data[key][field];
+        }
+      }
+    } else if (key !== 'password' && key !== 'id' && standardFields.indexOf(key) === -1 && !this.isReadOnly(key)) {
+      resource.customData[key] = data[key];
+    }
+  }
+};
+
+/**
+ * Replace the given resource's data.  Standard fields are merged as with
+ * `update`, but customData fields missing from the data are removed.
+ *
+ * NOTE: The resource *MUST* have already expanded customData for this to work!
+ *
+ * @param {Object} resource The Stormpath resource object.
+ * @param {Object} data The Loopback model object replacing the resource.
+ */
+ResourceType.prototype.replace = function(resource, data) {
+  var replacement = this.buildData(data).customData;
+  var current = JSON.parse(JSON.stringify(resource.customData));
+
+  for (var key in current) {
+    if (RESERVED_CUSTOM_DATA_FIELDS.indexOf(key) === -1 && !replacement.hasOwnProperty(key)) {
+      resource.customData.remove(key);
+    }
+  }
+
+  this.update(resource, data);
+};
+
+/**
+ * Look up the current tenant's collection of the given name, eg:
+ * `organizations`, and run a search against it.
+ *
+ * @param {Object} connector The Stormpath connector.
+ * @param {String} name The tenant collection name.
+ * @param {Object} query The search query.
+ * @param {Function} callback The callback function.
+ */
+function getTenantCollection(connector, name, query, callback) {
+  connector.client.getCurrentTenant(function(err, tenant) {
+    if (err) return callback(err);
+    connector.client.getResource(tenant[name].href, query, callback);
+  });
+}
+
+/**
+ * Derive the key API key secrets are encrypted with, when a request asks
+ * Stormpath to encrypt them: PBKDF2 (HMAC-SHA1) of the tenant's API key
+ * secret, with the salt, key size (in bits) and iterations of the request.
+ *
+ * Node 0.10 takes no digest (and always uses SHA-1), while Node 8 and up
+ * require one.
+ *
+ * @param {String} secret The tenant's API key secret.
+ * @param {Object} options The encryption options (`encryptionKeySalt`,
+ *  `encryptionKeySize` and `encryptionKeyIterations`).
+ * @return {Buffer} The key.
+ */
+function secretEncryptionKey(secret, options) {
+  var args = [
+    new Buffer(String(secret)),
+    new Buffer(String(options.encryptionKeySalt || ''), 'base64'),
+    parseInt(options.encryptionKeyIterations, 10) || 1024,
+    (parseInt(options.encryptionKeySize, 10) || 256) / 8
+  ];
+
+  if (crypto.pbkdf2Sync.length > 4) {
+    args.push('sha1');
+  }
+
+  return crypto.pbkdf2Sync.apply(crypto, args);
+}
+
+/**
+ * The name of the cipher API key secrets are encrypted with.
+ *
+ * @param {Object} options The encryption options (`encryptionKeySize`).
+ * @return {String} The cipher name.
+ */
+function secretCipher(options) {
+  return parseInt(options.encryptionKeySize, 10) === 128 ? 'aes-128-cbc' : 'aes-256-cbc';
+}
+
+/**
+ * A Stormpath API key, as returned by the SDK's API key methods: the data
+ * store decrypts its secret, which Stormpath encrypts in transit when asked
+ * to (see `ApiKey.encryptedOptions`).
+ *
+ * This only differs from the SDK's `ApiKey` in how the key is derived: the
+ * SDK's leaves out the PBKDF2 digest, which Node 8 and up require.
+ *
+ * @constructor
+ */
+function ApiKey() {
+  SdkApiKey.apply(this, arguments);
+}
+
+util.inherits(ApiKey, SdkApiKey);
+
+/**
+ * Decrypt the API key's secret, see the SDK's `ApiKey#_getDecryptedSecret`.
+ *
+ * @param {Function} callback The callback function, called with the secret.
+ */
+ApiKey.prototype._getDecryptedSecret = function(callback) {
+  var secret;
+
+  try {
+    var options = this.apiKeyMetaData;
+    var key = secretEncryptionKey(this.dataStore.requestExecutor.options.apiKey.secret, options);
+    var encrypted = new Buffer(this.secret, 'base64');
+    var decipher = crypto.createDecipheriv(secretCipher(options), key, encrypted.slice(0, 16));
+
+    secret = decipher.update(encrypted.slice(16), null, 'utf8') + decipher.final('utf8');
+  } catch (err) {
+    return process.nextTick(function() {
+      callback(err);
+    });
+  }
+
+  process.nextTick(function() {
+    callback(null, secret);
+  });
+};
+
+/**
+ * The query options asking Stormpath to encrypt API key secrets (with a new
+ * salt each time), and to expand each key's account, as the SDK's API key
+ * methods send them.
+ *
+ * @param {Object} [query] More query options, eg: `{ id: apiKeyId }`.
+ * @return {Object} The query options.
+ */
+ApiKey.encryptedOptions = function(query) {
+  return new ApiKeyEncryptedOptions(query || {});
+};
+
+/**
+ * Refuse to create, search or fetch access tokens as ordinary resources.  The
+ * connector handles access token models itself (see `access-tokens.js`), so
+ * this is only reached when updating one, which Stormpath doesn't allow.
+ */
+function readOnlyAccessToken() {
+  var callback = arguments[arguments.length - 1];
+  var err = new Error('Stormpath access tokens are read-only.');
+
+  err.statusCode = 400;
+
+  process.nextTick(function() {
+    callback(err);
+  });
+}
+
+/**
+ * The Stormpath resource types a Loopback model can be mapped to, keyed by the
+ * value of the model's `stormpath.resource` setting.
+ */
+var types = {
+  account: new ResourceType('account', {
+    collection: 'accounts',
+    lookupField: 'email',
+    fields: [
+      'username', 'email', 'givenName', 'middleName', 'surname', 'fullName',
+      'status', 'createdAt', 'modifiedAt', 'passwordModifiedAt'
+    ],
+    standardFields: ['givenName', 'surname', 'middleName', 'email', 'username', 'status'],
+    searchableAttrs: ['givenName', 'middleName', 'surname', 'username', 'email', 'status'],
+    computedFields: {
+      // Accounts stay UNVERIFIED until their email address is verified.
+      emailVerified: function(resource) {
+        return resource.status === undefined ? undefined : resource.status !== 'UNVERIFIED';
+      }
+    },
+    relations: {
+      groups: {
+        type: 'group',
+        listMembers: function(connector, href, query, callback) {
+          connector.client.getResource(href + '/accounts', query, Account, callback);
+        }
+      }
+    },
+    create: function(connector, data, callback) {
+      connector.application.createAccount(data, callback);
+    },
+    list: function(connector, query, callback) {
+      connector.application.getAccounts(query, callback);
+    },
+    get: function(connector, href, options, callback) {
+      connector.client.getAccount(href, options, callback);
+    }
+  }),
+  group: new ResourceType('group', {
+    collection: 'groups',
+    lookupField: 'name',
+    fields: ['name', 'description', 'status', 'createdAt', 'modifiedAt'],
+    standardFields: ['name', 'description', 'status'],
+    searchableAttrs: ['name', 'description', 'status'],
+    create: function(connector, data, callback) {
+      connector.application.createGroup(data, callback);
+    },
+    list: function(connector, query, callback) {
+      connector.application.getGroups(query, callback);
+    },
+    get: function(connector, href, options, callback) {
+      connector.client.getGroup(href, options, callback);
+    }
+  }),
+  directory: new ResourceType('directory', {
+    collection: 'directories',
+    lookupField: 'name',
+    fields: ['name', 'description', 'status', 'createdAt', 'modifiedAt'],
+    standardFields: ['name', 'description', 'status'],
+    searchableAttrs: ['name', 'description', 'status'],
+    create: function(connector, data, callback) {
+      connector.client.createDirectory(data, callback);
+    },
+    list: function(connector, query, callback) {
+      connector.client.getDirectories(query, callback);
+    },
+    get: function(connector, href, options, callback) {
+      connector.client.getDirectory(href, options, callback);
+    }
+  }),
+  organization: new ResourceType('organization', {
+    collection: 'organizations',
+    lookupField: 'nameKey',
+    fields: ['name', 'nameKey', 'description', 'status', 'createdAt', 'modifiedAt'],
+    standardFields: ['name', 'nameKey', 'description', 'status'],
+    searchableAttrs: ['name', 'nameKey', 'description', 'status'],
+    create: function(connector, data, callback) {
+      connector.client.createResource(this.collectionHref(connector.baseUrl), data, callback);
+    },
+    list: function(connector, query, callback) {
+      getTenantCollection(connector, 'organizations', query, callback);
+    },
+    get: function(connector, href, options, callback) {
+      connector.client.getResource(href, options, callback);
+    }
+  }),
+  accessToken: new ResourceType('accessToken', {
+    collection: 'accessTokens',
+    fields: ['ttl', 'created', 'userId'],
+    standardFields: [],
+    searchableAttrs: [],
+    create: readOnlyAccessToken,
+    list: readOnlyAccessToken,
+    get: readOnlyAccessToken
+  })
+};
+
+exports.ApiKey = ApiKey;
+exports.BASE_URL = BASE_URL;
+exports.ResourceType = ResourceType;
+exports.types = types;
+exports.convertHrefToId = convertHrefToId;
+exports.secretCipher = secretCipher;
+exports.secretEncryptionKey = secretEncryptionKey;
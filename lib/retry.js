@@ -0,0 +1,158 @@
+'use strict';
+
+var debug = require('debug')('loopback:connector:stormpath');
+
+/**
+ * The default retry settings: how many times a failed request is retried,
+ * and the bounds (in milliseconds) of the delay before each retry.
+ */
+var DEFAULTS = {
+  retries: 3,
+  minDelay: 100,
+  maxDelay: 10000,
+  nonIdempotent: false
+};
+
+/**
+ * The HTTP status codes of responses worth retrying: rate limits, and
+ * gateways and servers which are temporarily unavailable.
+ */
+var RETRY_STATUSES = [429, 502, 503, 504];
+
+/**
+ * The codes of network errors worth retrying, ie: dropped connections.
+ */
+var RETRY_NETWORK_ERRORS = ['ECONNRESET', 'EPIPE', 'ETIMEDOUT', 'ESOCKETTIMEDOUT'];
+
+/**
+ * The HTTP methods which can safely be sent twice.
+ */
+var IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+/**
+ * Parse the value of a `Retry-After` header: either a number of seconds, or
+ * an HTTP date.
+ *
+ * @param {String} [value] The header value.
+ * @return {Number} The delay in milliseconds, or `undefined` if there's no
+ *  (valid) header.
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+
+  if (/^\s*\d+\s*$/.test(value)) {
+    return parseInt(value, 10) * 1000;
+  }
+
+  var date = Date.parse(value);
+
+  return isNaN(date) ? undefined : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Normalize the `retry` data source setting.
+ *
+ * @param {Boolean|Object} [settings] The setting: `false` to disable retries,
+ *  or an object overriding any of the `DEFAULTS`.
+ * @return {Object} The retry options, or `null` if retries are disabled.
+ */
+function normalizeOptions(settings) {
+  if (settings === false) {
+    return null;
+  }
+
+  var options = {};
+
+  for (var key in DEFAULTS) {
+    options[key] = settings && settings[key] !== undefined ? settings[key] : DEFAULTS[key];
+  }
+
+  return options.retries > 0 ? options : null;
+}
+
+/**
+ * Check whether a failed request is worth retrying: it failed with one of the
+ * `RETRY_STATUSES` or `RETRY_NETWORK_ERRORS`, and is idempotent (unless
+ * retrying other requests is allowed).
+ *
+ * @param {Object} req The request.
+ * @param {Error} err The error.
+ * @param {Object} options The retry options.
+ * @return {Boolean} Whether to retry the request.
+ */
+function isRetryable(req, err, options) {
+  var method = String(req.method || (req.form ? 'POST' : 'GET')).toUpperCase();
+  var cause = err.inner || err;
+
+  if (!options.nonIdempotent && IDEMPOTENT_METHODS.indexOf(method) === -1) {
+    return false;
+  }
+
+  return RETRY_STATUSES.indexOf(err.status) > -1 || RETRY_NETWORK_ERRORS.indexOf(cause.code) > -1;
+}
+
+/**
+ * Compute the delay before retrying a request: the `Retry-After` the server
+ * asked for, or an exponential backoff with full jitter, ie: a random delay of
+ * up to `minDelay * 2^attempt`, capped at `maxDelay`.
+ *
+ * @param {Number} attempt The number of retries so far.
+ * @param {Error} err The error of the failed request.
+ * @param {Object} options The retry options.
+ * @return {Number} The delay in milliseconds, or `-1` if the server asked for
+ *  a longer delay than `maxDelay`.
+ */
+function computeDelay(attempt, err, options) {
+  if (err.retryAfter !== undefined) {
+    return err.retryAfter > options.maxDelay ? -1 : err.retryAfter;
+  }
+
+  return Math.floor(Math.random() * Math.min(options.minDelay * Math.pow(2, attempt), options.maxDelay));
+}
+
+/**
+ * Wrap a request executor (see `RequestExecutor`) so that failed requests are
+ * retried.  The wrapper inherits everything else (eg: the executor's
+ * `options`) from the executor.
+ *
+ * @param {Object} executor The request executor.
+ * @param {Object} options The retry options (see `normalizeOptions`).
+ * @return {Object} The retrying request executor.
+ */
+function withRetries(executor, options) {
+  var retrying = Object.create(executor);
+
+  retrying.execute = function(req, callback) {
+    var attempt = 0;
+
+    var send = function() {
+      executor.execute(req, function(err, body) {
+        if (!err || attempt >= options.retries || !isRetryable(req, err, options)) {
+          return callback(err || null, body);
+        }
+
+        var delay = computeDelay(attempt, err, options);
+
+        if (delay < 0) {
+          return callback(err);
+        }
+
+        attempt += 1;
+        debug('Retrying %s %s in %dms (retry %d of %d): %s', req.method || 'GET', req.uri, delay, attempt,
+          options.retries, err.message);
+        setTimeout(send, delay);
+      });
+    };
+
+    send();
+  };
+
+  return retrying;
+}
+
+exports.computeDelay = computeDelay;
+exports.normalizeOptions = normalizeOptions;
+exports.parseRetryAfter = parseRetryAfter;
+exports.withRetries = withRetries;
@@ -0,0 +1,266 @@
+'use strict';
+
+var async = require('async');
+
+var resources = require('./resources');
+
+/**
+ * The property holding the Group names of the users looked up during a
+ * request, on the request (or, outside of a remote call, the access context).
+ */
+var CACHE_PROPERTY = '__stormpathGroupNames';
+
+/**
+ * Normalize the Group to Role name mapping: a list of names is used as is
+ * (each Group grants the Role of the same name), and Group names are matched
+ * case insensitively, as Stormpath compares them.
+ *
+ * @param {Array|Object} roles The Group names, or the Role names keyed by
+ *  Group name, eg: `{ "Administrators": "admin" }`.
+ * @return {Object} The Role names, keyed by lower case Group name.
+ */
+function normalizeMapping(roles) {
+  var mapping = {};
+
+  if (Array.isArray(roles)) {
+    roles.forEach(function(name) {
+      mapping[String(name).toLowerCase()] = String(name);
+    });
+  } else {
+    Object.keys(roles || {}).forEach(function(name) {
+      mapping[name.toLowerCase()] = String(roles[name]);
+    });
+  }
+
+  return mapping;
+}
+
+/**
+ * Get the model of the user an access context is for, from the `user`
+ * relation of its access token, if that's the token of the user.
+ *
+ * @param {Object} context The Loopback access context.
+ * @param {String} userId The user id.
+ * @return {Function} The user model, or nothing if it isn't known.
+ */
+function getUserModel(context, userId) {
+  var token = context.accessToken;
+  var relation = token && token.constructor.relations && token.constructor.relations.user;
+
+  if (relation && token.userId !== null && token.userId !== undefined && String(token.userId) === String(userId)) {
+    return relation.modelTo;
+  }
+}
+
+/**
+ * Check whether the given model stores Stormpath Accounts, through the given
+ * connector.
+ *
+ * @param {Object} connector The Stormpath connector.
+ * @param {Function} Model The model.
+ * @return {Boolean} Whether the model is an Account model of the connector.
+ */
+function isAccountModel(connector, Model) {
+  var dataSource = typeof Model.getDataSource === 'function' && Model.getDataSource();
+
+  return !!dataSource && dataSource.connector === connector &&
+    connector.getResourceType(Model.modelName).name === 'account';
+}
+
+/**
+ * List the names of the Groups an Account belongs to.  Unknown Accounts (eg:
+ * users stored elsewhere, whose ids Stormpath doesn't know or accept) belong
+ * to none.
+ *
+ * @param {Object} connector The Stormpath connector.
+ * @param {String} userId The Account's model id.
+ * @param {Function} callback The callback function, receiving an array of
+ *  lower case Group names.
+ */
+function listGroupNames(connector, userId, callback) {
+  var href = resources.types.account.toHref(userId, connector.baseUrl) + '/groups';
+
+  connector.client.getResource(href, { limit: 100 }, function(err, collection) {
+    if (err && (err.status === 404 || err.status === 400)) return callback(null, []);
+    if (err) return callback(err);
+
+    var names = [];
+
+    collection.each(function(group, cb) {
+      names.push(String(group.name).toLowerCase());
+      cb();
+    }, function(err) {
+      if (err) return callback(err);
+      callback(null, names);
+    });
+  });
+}
+
+/**
+ * List the names of the Groups the user of an access context belongs to,
+ * looking them up only once per request, however many Roles are checked.
+ * Users of models stored elsewhere belong to none.
+ *
+ * @param {Object} connector The Stormpath connector.
+ * @param {Object} context The Loopback access context.
+ * @param {Function} callback The callback function, receiving an array of
+ *  lower case Group names.
+ */
+function getGroupNames(connector, context, callback) {
+  var userId = context.getUserId();
+  var remotingContext = context.remotingContext;
+  var key = remotingContext && remotingContext.req || context;
+  var entries = key[CACHE_PROPERTY];
+
+  var Model = userId === null || userId === undefined ? null : getUserModel(context, userId);
+
+  if (userId === null || userId === undefined || Model && !isAccountModel(connector, Model)) {
+    return process.nextTick(function() {
+      callback(null, []);
+    });
+  }
+
+  if (!entries) {
+    entries = {};
+
+    // The cache is hidden from anything enumerating the request.
+    Object.defineProperty(key, CACHE_PROPERTY, { value: entries, configurable: true });
+  }
+
+  var entry = entries[userId];
+
+  if (entry && entry.names) {
+    return process.nextTick(function() {
+      callback(null, entry.names);
+    });
+  }
+
+  // Roles are checked concurrently, so lookups already under way are shared.
+  if (entry) {
+    return entry.waiting.push(callback);
+  }
+
+  entry = entries[userId] = { names: null, waiting: [callback] };
+
+  listGroupNames(connector, String(userId), function(err, names) {
+    var waiting = entry.waiting;
+
+    entry.waiting = [];
+
+    // Failed lookups aren't cached, so the next check tries again.
+    if (err) {
+      delete entries[userId];
+    } else {
+      entry.names = names;
+    }
+
+    waiting.forEach(function(cb) {
+      cb(err || null, names);
+    });
+  });
+}
+
+/**
+ * Check whether an access context is in the given Role through Loopback's own
+ * role mappings, ie: a principal of the context is the Role itself, or mapped
+ * to it by a `RoleMapping`.  Loopback doesn't check these for Roles which
+ * have a resolver, so the resolvers registered here do.
+ *
+ * @param {Function} Role Loopback's `Role` model.
+ * @param {String} role The Role name.
+ * @param {Object} context The Loopback access context.
+ * @param {Function} callback The callback function, receiving whether the
+ *  context is in the Role.
+ */
+function hasRoleMapping(Role, role, context, callback) {
+  var principals = context.principals || [];
+  var mapped = false;
+
+  if (typeof Role.resolveRelatedModels === 'function') {
+    Role.resolveRelatedModels();
+  }
+
+  var RoleMapping = Role.roleMappingModel;
+
+  if (RoleMapping && principals.some(function(principal) {
+    return principal.type === RoleMapping.ROLE && principal.id === role;
+  })) {
+    return process.nextTick(function() {
+      callback(null, true);
+    });
+  }
+
+  // Without data sources, there are no role mappings to look up.
+  if (!principals.length || !Role.dataSource || !RoleMapping || !RoleMapping.dataSource) {
+    return process.nextTick(function() {
+      callback(null, false);
+    });
+  }
+
+  Role.findOne({ where: { name: role } }, function(err, found) {
+    if (err) return callback(err);
+    if (!found) return callback(null, false);
+
+    async.eachSeries(principals, function(principal, cb) {
+      if (mapped || !principal.type || principal.id === null || principal.id === undefined) {
+        return cb();
+      }
+
+      RoleMapping.findOne({
+        where: { roleId: String(found.id), principalType: principal.type, principalId: String(principal.id) }
+      }, function(err, mapping) {
+        if (err) return cb(err);
+
+        mapped = !!mapping;
+        cb();
+      });
+    }, function(err) {
+      if (err) return callback(err);
+      callback(null, mapped);
+    });
+  });
+}
+
+/**
+ * Register a Loopback Role resolver for each Role the given Groups grant, so
+ * that users are in a Role when their Account belongs to one of the Groups
+ * mapped to it, or when Loopback's own role mappings put them in it.
+ *
+ * @param {Object} connector The Stormpath connector.
+ * @param {Function} Role Loopback's `Role` model.
+ * @param {Array|Object} roles The Group names, or the Role names keyed by
+ *  Group name (see `normalizeMapping`).
+ * @return {Array} The names of the Roles registered.
+ */
+function register(connector, Role, roles) {
+  var mapping = normalizeMapping(roles);
+  var registered = [];
+
+  Object.keys(mapping).forEach(function(group) {
+    var role = mapping[group];
+
+    if (registered.indexOf(role) > -1) {
+      return;
+    }
+
+    registered.push(role);
+
+    Role.registerResolver(role, function(role, context, callback) {
+      getGroupNames(connector, context, function(err, names) {
+        if (err) return callback(err);
+
+        var granted = names.some(function(name) {
+          return mapping[name] === role;
+        });
+
+        if (granted) return callback(null, true);
+
+        hasRoleMapping(Role, role, context, callback);
+      });
+    });
+  });
+
+  return registered;
+}
+
+exports.register = register;
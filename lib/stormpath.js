@@ -1,6 +1,6 @@
 'use strict';
 
-var url = require('url');
+var crypto = require('crypto');
 var util = require('util');
 
 var async = require('async');
@@ -8,80 +8,323 @@ var debug = require('debug')('loopback:connector:stormpath');
 var stormpath = require('stormpath');
 var Connector = require('loopback-connector').Connector;
 
+var MemoryBackend = require('./memory');
+var accessTokens = require('./access-tokens');
+var bulk = require('./bulk');
+var OktaBackend = require('./okta');
+var RequestExecutor = require('./executor');
+var errors = require('./errors');
+var query = require('./query');
+var resources = require('./resources');
+var retry = require('./retry');
+var roles = require('./roles');
+var tokens = require('./tokens');
+
+/**
+ * The largest page of a collection Stormpath returns in a single request.
+ */
+var MAX_PAGE_SIZE = 100;
+
+/**
+ * The Loopback style errors returned for failed login attempts: wrong
+ * credentials, and Accounts which can't log in, keyed by Stormpath error code.
+ */
+var AUTHENTICATION_ERRORS = {
+  7100: { code: 'LOGIN_FAILED', message: 'login failed' },
+  7101: { code: 'LOGIN_FAILED_ACCOUNT_DISABLED', message: 'login failed as the account is disabled' },
+  7102: { code: 'LOGIN_FAILED_EMAIL_NOT_VERIFIED', message: 'login failed as the email has not been verified' }
+};
+
+/**
+ * The Stormpath error codes of the Account statuses which can't log in.
+ */
+var STATUS_LOGIN_ERRORS = {
+  DISABLED: 7101,
+  UNVERIFIED: 7102
+};
+
+/**
+ * The customData field soft-deleted Accounts are stamped with.
+ */
+var DELETED_AT = 'deletedAt';
+
+/**
+ * How many days soft-deleted Accounts are kept before `purge` deletes them,
+ * unless the `softDelete.retentionDays` setting says otherwise.
+ */
+var DEFAULT_RETENTION_DAYS = 30;
+
+/**
+ * Save the given resource along with its expanded customData.
+ *
+ * The resource is saved first: Accounts and Groups delete removed customData
+ * fields themselves when saved, and doing so twice at once would fail.
+ *
+ * @param {Object} resource The Stormpath resource object.
+ * @param {Function} callback The callback function.
+ */
+function saveResource(resource, callback) {
+  async.series([
+    function(cb) {
+      resource.save(function(err) {
+        cb(err || null);
+      });
+    },
+    function(cb) {
+      // This gets rid of all 'hidden' fields except the href.
+      var customData = JSON.parse(JSON.stringify(resource.customData));
+      var removed = resource.customData._removedFields || [];
+
+      if (Object.keys(customData).length > 1 || removed.length) {
+        resource.customData.save(function(err) {
+          cb(err || null);
+        });
+      } else {
+        cb();
+      }
+    }
+  ], function(err) {
+    callback(err || null);
+  });
+}
+
 /**
- * Convert a Stormpath href into an ID.
+ * Soft-delete the given Account: it's disabled, and stamped with the time it
+ * was deleted.
  *
- * @param {String} href The Account href.
- * @return {String} id The Account id.
+ * @param {Object} resource The Stormpath Account, with customData expanded.
+ * @param {Function} callback The callback function.
  */
-function convertHrefToId(href) {
-  var parsedUrl = url.parse(href);
-  var parts = parsedUrl.pathname.split('/');
+function softDeleteResource(resource, callback) {
+  resource.status = 'DISABLED';
+  resource.customData[DELETED_AT] = new Date().toISOString();
+  saveResource(resource, callback);
+}
 
-  return parts[parts.length - 1];
+/**
+ * Check whether the given Account has been soft-deleted, ie: it's disabled and
+ * stamped with the time it was deleted (see `softDeleteResource`).
+ *
+ * @param {Object} resource The Stormpath Account, with customData expanded.
+ * @return {Boolean} Whether the Account has been soft-deleted.
+ */
+function isDeleted(resource) {
+  return resource.status === 'DISABLED' && !!(resource.customData && resource.customData[DELETED_AT]);
 }
 
 /**
- * Convert a Stormpath ID into an href.
+ * Get the status to search for the soft-deleted Accounts among the results of
+ * a Stormpath search.  Stormpath can't search customData, but soft-deleted
+ * Accounts are always disabled.
  *
- * @param {String} id The Account ID.
- * @return {String} href The Account href.
+ * @param {Object} params The Stormpath query parameters of the search.
+ * @return {String} The status, or `null` if the search can't match any
+ *  soft-deleted Account (it's for another status).  Wildcard searches (eg:
+ *  `DIS*`) are kept as they are.
  */
-function convertIdToHref(id) {
-  return 'https://api.stormpath.com/v1/accounts/' + id.toString();
+function deletedStatus(params) {
+  var status = params.status === undefined ? 'DISABLED' : String(params.status);
+
+  if (status.toUpperCase() !== 'DISABLED' && status.indexOf('*') === -1) {
+    return null;
+  }
+
+  return status;
 }
 
 /**
- * Convert a Stormpath Account into JSON.
+ * Count the soft-deleted Accounts among the results of a Stormpath search.
+ * Only the disabled Accounts the search matches are fetched (all of them).
  *
- * @param {Object} account The Stormpath Account object.
- * @return {Object} The JSON representation of this Account.
+ * @param {Function} list The function listing the searched collection, called
+ *  with the Stormpath query parameters and a callback.
+ * @param {Object} params The Stormpath query parameters of the search.
+ * @param {Function} callback The callback function, receiving the count.
  */
-function convertAccountToJson(account) {
-  if (account.customData) {
-    return {
-      id: convertHrefToId(account.id || account.href),
-      givenName: account.givenName,
-      surname: account.surname,
-      email: account.email,
-      customData: account.customData
-    };
-  } else {
-    return {
-      id: convertHrefToId(account.id || account.href),
-      givenName: account.givenName,
-      surname: account.surname,
-      email: account.email
-    };
+function countDeleted(list, params, callback) {
+  var status = deletedStatus(params);
+  var deletedParams = {};
+  var count = 0;
+
+  if (status === null) {
+    return process.nextTick(function() {
+      callback(null, count);
+    });
+  }
+
+  for (var key in params) {
+    if (['expand', 'offset', 'limit', 'orderBy'].indexOf(key) === -1) {
+      deletedParams[key] = params[key];
+    }
+  }
+
+  deletedParams.status = status;
+  deletedParams.expand = 'customData';
+
+  list(deletedParams, function(err, collection) {
+    if (err) return callback(err);
+
+    collection.each(function(resource, cb) {
+      if (isDeleted(resource)) {
+        count++;
+      }
+      cb();
+    }, function(err) {
+      if (err) return callback(err);
+      callback(null, count);
+    });
+  });
+}
+
+/**
+ * Check whether a Loopback where object matches everything.  This is decided
+ * on the searches it translates into (see `query.buildQueries`), rather than
+ * on its shape, since eg: `{ and: [] }` has no conditions either: it's
+ * unscoped when one of the searches has neither a query nor ids, and nothing
+ * is left to evaluate locally, or to resolve through related resources.
+ *
+ * @param {ResourceType} type The resource type.
+ * @param {Object} [where] The Loopback where object.
+ * @return {Boolean} Whether the where object is unscoped.
+ * @throws {Error} If the where object isn't supported.
+ */
+function isUnscoped(type, where) {
+  if (extractRelated(type, where)) {
+    return false;
+  }
+
+  var plan = query.buildQueries(where, { searchableAttrs: type.searchableAttrs });
+
+  return !plan.filter && plan.searches.some(function(search) {
+    return !search.ids && !Object.keys(search.query).length;
+  });
+}
+
+/**
+ * Translate the errors Stormpath returns for failed login attempts into
+ * Loopback style errors, with a `401` status code: `LOGIN_FAILED` for wrong
+ * credentials, and distinct codes for disabled and unverified Accounts.  The
+ * Stormpath error details are kept.  Other errors are returned as-is.
+ *
+ * @param {Error} err The Stormpath error.
+ * @return {Error} The translated error.
+ */
+function authenticationError(err) {
+  var known = err && AUTHENTICATION_ERRORS[err.code];
+
+  if (!known) {
+    return err;
   }
+
+  return errors.keepStormpathDetails(loginFailedError(known.code, known.message), err);
 }
 
 /**
- * Merge the given data into the given account.  This takes all customData
- * fields into account.
+ * Create a Loopback style login error, with a `401` status code.
  *
- * NOTE: The account *MUST* have already expanded customData for this to work!
+ * @param {String} [code] The error code.  Defaults to `LOGIN_FAILED`.
+ * @param {String} [message] The error message.
+ * @return {Error} The error.
+ */
+function loginFailedError(code, message) {
+  var err = new Error(message || 'login failed');
+
+  err.statusCode = 401;
+  err.code = code || 'LOGIN_FAILED';
+
+  return err;
+}
+
+/**
+ * Get the API key credentials from an `authenticate` credentials object,
+ * which holds either an `apiKeyId` and `apiKeySecret`, or the value of an
+ * `authorization` header using Basic authentication.
  *
- * @param {Object} account The Stormpath Account object.
- * @param {Object} data The Loopback User object containing newer account
- *  information.
+ * @param {Object} credentials The credentials.
+ * @return {Object} The `apiKeyId` and `apiKeySecret`, if any.
  */
-function updateAccount(account, data) {
-  var standardFields = ['givenName', 'surname', 'middleName', 'email'];
+function parseApiKeyCredentials(credentials) {
+  var match = /^Basic\s+(\S+)$/i.exec(credentials.authorization || '');
 
-  for (var i = 0; i < standardFields.length; i++) {
-    account[standardFields[i]] = data[standardFields[i]] || account[standardFields[i]];
+  if (!match) {
+    return { apiKeyId: credentials.apiKeyId, apiKeySecret: credentials.apiKeySecret };
   }
 
-  if (data.password) {
-    account.password = data.password;
+  var decoded = new Buffer(match[1], 'base64').toString('utf8');
+  var separator = decoded.indexOf(':');
+
+  return separator === -1 ? {} : {
+    apiKeyId: decoded.substr(0, separator),
+    apiKeySecret: decoded.substr(separator + 1)
+  };
+}
+
+/**
+ * Compare two secrets in constant time.
+ *
+ * @param {String} a The first secret.
+ * @param {String} b The second secret.
+ * @return {Boolean} Whether the secrets match.
+ */
+function secretsMatch(a, b) {
+  var digest = function(value) {
+    return crypto.createHash('sha256').update(String(value)).digest('hex');
+  };
+
+  return tokens.safeEqual(digest(a), digest(b));
+}
+
+/**
+ * Convert a Stormpath API key into its JSON representation.  The secret is
+ * only included when asked for, ie: when the key has just been created.
+ *
+ * @param {Object} apiKey The Stormpath API key.
+ * @param {Boolean} [includeSecret] Whether to include the secret.
+ * @return {Object} The `id`, `status`, `name`, `description` and `accountId`
+ *  of the key, and possibly its `secret`.
+ */
+function apiKeyToJson(apiKey, includeSecret) {
+  var json = { id: apiKey.id };
+
+  if (includeSecret) {
+    json.secret = apiKey.secret;
   }
 
-  for (var key in data) {
-    if (key !== 'password' && key !== 'id' && standardFields.indexOf(key) === -1) {
-      account.customData[key] = data[key];
+  json.status = apiKey.status;
+
+  ['name', 'description'].forEach(function(field) {
+    if (apiKey[field] !== undefined && apiKey[field] !== null) {
+      json[field] = apiKey[field];
     }
+  });
+
+  json.accountId = resources.convertHrefToId(apiKey.account.href);
+
+  return json;
+}
+
+/**
+ * Translate the error Stormpath returns for a failed OAuth token request
+ * (`{ error: 'invalid_grant', message: ... }`) into a Loopback style error,
+ * whose code is the upper cased OAuth error, eg: `INVALID_GRANT`.  The OAuth
+ * `error` is kept too.  Other errors are returned as-is.
+ *
+ * @param {Error} err The Stormpath error.
+ * @return {Error} The translated error.
+ */
+function oauthTokenError(err) {
+  if (!err || !err.error) {
+    return err;
   }
+
+  var error = new Error(err.userMessage || err.developerMessage || err.error);
+
+  error.statusCode = err.status || 400;
+  error.code = String(err.error).toUpperCase();
+  error.error = err.error;
+  error.developerMessage = err.developerMessage;
+
+  return error;
 }
 
 /**
@@ -103,6 +346,150 @@ exports.initialize = function initializeDataSource(dataSource, callback) {
   }
 };
 
+/**
+ * Normalize a Loopback fields filter into the names of the included fields.
+ * Juggler normally does this for us, but the connector may be called with any
+ * of the forms it accepts: `'email'`, `['email', 'surname']`,
+ * `{ email: true }` or `{ password: false }`.
+ *
+ * @param {Array|Object|String} fields The Loopback fields filter.
+ * @param {Array} keys The available field names.
+ * @return {Array} The names of the included fields.
+ */
+function fieldsToArray(fields, keys) {
+  if (typeof fields === 'string') {
+    return [fields];
+  }
+
+  if (Array.isArray(fields)) {
+    return fields.length ? fields : keys;
+  }
+
+  var included = Object.keys(fields).filter(function(key) {
+    return fields[key];
+  });
+
+  if (included.length) {
+    return included;
+  }
+
+  return keys.filter(function(key) {
+    return !(key in fields);
+  });
+}
+
+/**
+ * Check whether the raw customData belongs in the JSON representation of
+ * model instances: the model declares a `customData` property, or the filter
+ * asks for it, eg: `{ include: 'customData' }` or
+ * `{ fields: { customData: true } }`.
+ *
+ * @param {Array} properties The names of the model's properties.
+ * @param {Object} [filter] The Loopback filter.
+ * @return {Boolean} Whether to include the customData.
+ */
+function includesCustomData(properties, filter) {
+  var include = filter && filter.include;
+  var fields = filter && filter.fields;
+
+  return properties.indexOf('customData') > -1 ||
+    (Array.isArray(include) ? include.indexOf('customData') > -1 : include === 'customData') ||
+    (!!fields && fieldsToArray(fields, []).indexOf('customData') > -1);
+}
+
+/**
+ * Restrict a model instance's JSON representation to the given fields.
+ *
+ * @param {Object} json The JSON representation.
+ * @param {Array|Object|String} fields The Loopback fields filter.
+ * @return {Object} A copy of the JSON containing only the given fields.
+ */
+function selectFields(json, fields) {
+  var result = {};
+  var names = fieldsToArray(fields, Object.keys(json));
+
+  for (var i = 0; i < names.length; i++) {
+    if (json[names[i]] !== undefined) {
+      result[names[i]] = json[names[i]];
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Get the resources of a page of Stormpath search results whose value of the
+ * searched field is exactly (case insensitively) the searched value.
+ * Stormpath treats `*` as a wildcard, so a search for a value containing one
+ * may match other values too.
+ *
+ * @param {Object} collection The Stormpath collection.
+ * @param {String} field The searched field, eg: `email`.
+ * @param {String} value The searched value.
+ * @return {Array} The matching resources.
+ */
+function exactMatches(collection, field, value) {
+  value = String(value).toLowerCase();
+
+  return (collection.items || []).filter(function(resource) {
+    return String(resource[field]).toLowerCase() === value;
+  });
+}
+
+/**
+ * Check that the given model is mapped to Stormpath Accounts, which the
+ * account workflows (password resets, etc.) need.  If it isn't, the callback
+ * receives an error with a `400` status code (on the next tick).
+ *
+ * @param {Object} connector The Stormpath connector.
+ * @param {String} model The model name.
+ * @param {String} action What's being done, for the error message.
+ * @param {Function} callback The callback function of the workflow.
+ * @return {Boolean} Whether the model is mapped to Accounts.
+ */
+function requireAccountModel(connector, model, action, callback) {
+  if (connector.getResourceType(model).name === 'account') {
+    return true;
+  }
+
+  var err = new Error('Cannot ' + action + ' for ' + model + ', which is not mapped to Stormpath Accounts.');
+  err.statusCode = 400;
+
+  process.nextTick(function() {
+    callback(err);
+  });
+
+  return false;
+}
+
+/**
+ * Check whether the given model is Loopback's `AccessToken` model, or is based
+ * on it.
+ *
+ * @param {Function} Model The model class.
+ * @return {Boolean} Whether the model is an access token model.
+ */
+function isAccessTokenModel(Model) {
+  for (; Model; Model = Model.base) {
+    if (Model.modelName === 'AccessToken') {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Translate the error Stormpath returns for an unknown email address or
+ * username (which it reports as invalid input) into Loopback's own.
+ *
+ * @param {Error} err The Stormpath error.
+ * @return {Error} The translated error.
+ */
+function loginError(err) {
+  return err && err.code === 2016 ? errors.emailNotFoundError() : err;
+}
+
 /**
  * The constructor for Stormpath connector
  * @param {Object} settings The settings object
@@ -120,10 +507,189 @@ function Stormpath(settings, dataSource) {
 
   this.dataSource = dataSource;
 
+  // The base URL of the Stormpath REST API, which can be changed for
+  // enterprise and private deployments.
+  this.baseUrl = (settings.baseUrl || resources.BASE_URL).replace(/\/+$/, '');
+
+  // The Stormpath resource type of each model, keyed by model name.
+  this.resourceTypes = {};
+
+  // With soft deletes on, destroying an Account only disables it, until it's
+  // purged once the retention period is over.
+  this.softDelete = settings.softDelete ? {
+    retentionDays: settings.softDelete.retentionDays || DEFAULT_RETENTION_DAYS
+  } : null;
+
+  // The guards for bulk mutations (`destroyAll` and `updateAll`), which can be
+  // overridden per call.
+  this.allowUnscopedBulk = !!settings.allowUnscopedBulk;
+  this.maxBulkAffected = settings.maxBulkAffected || 0;
+
+  // How many requests bulk operations (`create` with an array, `destroyAll`,
+  // `updateAll` and `purge`) send at once.
+  this.concurrency = bulk.normalizeConcurrency(settings.concurrency);
+
+  // Rate limited and temporarily failing requests are retried (with a
+  // backoff), unless retries are turned off.
+  this.retryOptions = retry.normalizeOptions(settings.retry);
+
+  // The Loopback Role models resolvers have been registered with, for the
+  // Roles granted by Stormpath Groups.
+  this.roleModels = [];
 }
 
 util.inherits(Stormpath, Connector);
 
+exports.Stormpath = Stormpath;
+exports.StormpathUser = require('./mixins/stormpath-user');
+
+/**
+ * Hook called by the data source when a model is attached to it.  This looks
+ * up the Stormpath resource type named by the model's `stormpath.resource`
+ * setting, so that a typo fails fast instead of surfacing as a failed request
+ * later on.  Loopback's `AccessToken` model (and models based on it) default
+ * to Stormpath access tokens, everything else to Accounts.
+ *
+ * With the `roles` setting, this is also where the Role resolvers are
+ * registered, with the `Role` model of the model's Loopback registry.
+ *
+ * @param {Object} modelDefinition The model definition.
+ */
+Stormpath.prototype.define = function(modelDefinition) {
+  Connector.prototype.define.call(this, modelDefinition);
+
+  var modelName = modelDefinition.model.modelName;
+  var settings = modelDefinition.settings.stormpath || {};
+  var resource = settings.resource || (isAccessTokenModel(modelDefinition.model) ? 'accessToken' : 'account');
+
+  if (!resources.types.hasOwnProperty(resource)) {
+    throw new Error('Unsupported Stormpath resource "' + resource + '" for model ' +
+      modelName + '. Expected one of: ' + Object.keys(resources.types).join(', ') + '.');
+  }
+
+  this.resourceTypes[modelName] = resources.types[resource];
+
+  var registry = modelDefinition.model.registry;
+  var Role = this.settings.roles && registry && registry.findModel('Role');
+
+  if (Role && this.roleModels.indexOf(Role) === -1) {
+    this.registerRoleResolvers(Role);
+  }
+};
+
+/**
+ * Register Loopback Role resolvers, so that users are in a Role when their
+ * Account belongs to a Stormpath Group mapped to it.  Each user's Groups are
+ * only looked up once per request.
+ *
+ * @param {Function} Role Loopback's `Role` model.
+ * @param {Array|Object} [mapping] The Group names, each granting the Role of
+ *  the same name, or the Role names keyed by Group name, eg:
+ *  `{ "Administrators": "admin" }`.  Defaults to the `roles` setting.
+ * @return {Array} The names of the Roles registered.
+ */
+Stormpath.prototype.registerRoleResolvers = function(Role, mapping) {
+  if (this.roleModels.indexOf(Role) === -1) {
+    this.roleModels.push(Role);
+  }
+
+  return roles.register(this, Role, mapping || this.settings.roles);
+};
+
+/**
+ * Get the Stormpath resource type the given model is mapped to.
+ *
+ * @param {String} model The model name.
+ * @return {ResourceType} The resource type.
+ */
+Stormpath.prototype.getResourceType = function(model) {
+  return this.resourceTypes[model] || resources.types.account;
+};
+
+/**
+ * Check whether the given model is mapped to Stormpath access tokens, which
+ * the connector stores differently (see `access-tokens.js`).
+ *
+ * @param {String} model The model name.
+ * @return {Boolean} Whether the model stores access tokens.
+ */
+Stormpath.prototype.storesAccessTokens = function(model) {
+  return this.getResourceType(model).name === 'accessToken';
+};
+
+/**
+ * Check whether destroying instances of the given model soft-deletes them,
+ * which is the case for Account models when the `softDelete` setting is on.
+ *
+ * @param {String} model The model name.
+ * @return {Boolean} Whether instances are soft-deleted.
+ */
+Stormpath.prototype.softDeletes = function(model) {
+  return !!this.softDelete && this.getResourceType(model).name === 'account';
+};
+
+/**
+ * Build the search options (see `searchResources`) for the given model, which
+ * hide its soft-deleted instances, if it has any.
+ *
+ * @param {String} model The model name.
+ * @param {Object} [options] The search options.
+ * @return {Object} The search options, with `excludeDeleted` set if needed.
+ */
+Stormpath.prototype.visibleOptions = function(model, options) {
+  var visible = {};
+
+  for (var key in options) {
+    visible[key] = options[key];
+  }
+
+  if (this.softDeletes(model)) {
+    visible.excludeDeleted = true;
+  }
+
+  return visible;
+};
+
+/**
+ * Get the names of the properties the given model defines.
+ *
+ * @param {String} model The model name.
+ * @return {Array} The property names.
+ */
+Stormpath.prototype.getProperties = function(model) {
+  var definition = this._models[model];
+  return definition && definition.properties ? Object.keys(definition.properties) : [];
+};
+
+/**
+ * Convert a Stormpath resource into the JSON representation of a model
+ * instance, optionally restricted to the given fields.  The raw customData is
+ * only included when the model declares a `customData` property, or the
+ * filter includes it, eg: `{ include: 'customData' }`.
+ *
+ * @param {String} model The model name.
+ * @param {Object} resource The Stormpath resource object.
+ * @param {Object} [filter] The Loopback filter, whose `fields` and `include`
+ *  apply.
+ * @return {Object} The JSON representation of this resource.
+ */
+Stormpath.prototype.toJson = function(model, resource, filter) {
+  var properties = this.getProperties(model);
+  var fields = filter && filter.fields;
+  var json = this.getResourceType(model).toJson(resource, properties, includesCustomData(properties, filter));
+
+  // Stormpath returns timestamps as ISO 8601 strings.
+  for (var i = 0; i < properties.length; i++) {
+    var property = this._models[model].properties[properties[i]];
+
+    if (property.type === Date && typeof json[properties[i]] === 'string') {
+      json[properties[i]] = new Date(json[properties[i]]);
+    }
+  }
+
+  return fields ? selectFields(json, fields) : json;
+};
+
 /**
  * Connect to Stormpath
  * @param {Function} [callback] The callback function
@@ -139,279 +705,1655 @@ Stormpath.prototype.connect = function(callback) {
     process.nextTick(function () {
       callback && callback(null, self.client);
     });
+  } else if (self.pendingConnects) {
+    // The data source may call connect again while we're still connecting,
+    // in which case we wait for the first connection rather than starting
+    // another one (which, with an in-memory backend, would be a different
+    // store altogether).
+    self.pendingConnects.push(callback);
   } else {
+    self.pendingConnects = [callback];
+
+    /**
+     * Store the application, once it has been looked up (or created), and let
+     * everyone waiting on the connection know.
+     */
+    var done = function(err, app) {
+      var callbacks = self.pendingConnects;
+
+      self.pendingConnects = null;
+
+      if (err) {
+        if (self.debug) {
+          debug('Failed to initialize Stormpath Application.');
+        }
+      } else {
+        self.application = app;
+      }
+
+      callbacks.forEach(function(cb) {
+        if (err) return cb && cb(err);
+        return cb && cb(null, self.client);
+      });
+    };
+
     var apiKey = new stormpath.ApiKey(self.settings.apiKeyId, self.settings.apiKeySecret);
-    self.client = new stormpath.Client({ apiKey: apiKey });
+    var requestExecutor;
 
-    if (self.debug) {
-      debug('Initialized Stormpath Client.');
+    try {
+      requestExecutor = self.createRequestExecutor(apiKey);
+    } catch (err) {
+      return process.nextTick(function() {
+        done(err);
+      });
+    }
+
+    if (self.retryOptions) {
+      requestExecutor = retry.withRetries(requestExecutor, self.retryOptions);
+    }
+
+    self.requestExecutor = requestExecutor;
+    self.client = new stormpath.Client({
+      apiKey: apiKey,
+      requestExecutor: requestExecutor
+    });
+
+    if (self.debug) {
+      debug('Initialized Stormpath Client.');
+    }
+
+    // An in-memory backend starts out empty, so unless we're pointed at an
+    // existing application, we create one (along with its directory).  Other
+    // backends may provide an application of their own.
+    var applicationHref = self.settings.applicationHref || requestExecutor.applicationHref;
+
+    if (!applicationHref && requestExecutor instanceof MemoryBackend) {
+      self.client.createApplication({ name: 'loopback' }, { createDirectory: true }, done);
+    } else {
+      self.client.getApplication(applicationHref, done);
+    }
+  }
+};
+
+/**
+ * Create the request executor the Stormpath client sends its requests
+ * through, as configured by the `backend` setting:
+ *
+ * - `'stormpath'` (the default): The Stormpath REST API at `baseUrl`.
+ * - `'memory'`: A new, empty in-memory backend (see `MemoryBackend`).
+ * - `'okta'`: The users of the Okta org configured by the `okta` setting
+ *   (see `OktaBackend`).
+ * - An object with an `execute(request, callback)` method, eg: a
+ *   `MemoryBackend` instance shared with other clients.
+ *
+ * @param {ApiKey} apiKey The Stormpath API key.
+ * @return {Object} The request executor.
+ */
+Stormpath.prototype.createRequestExecutor = function(apiKey) {
+  var backend = this.settings.backend || 'stormpath';
+
+  if (typeof backend === 'object' && typeof backend.execute === 'function') {
+    return backend;
+  }
+
+  if (backend === 'memory') {
+    return new MemoryBackend({ apiKey: apiKey, baseUrl: this.baseUrl });
+  }
+
+  if (backend === 'okta') {
+    var okta = this.settings.okta || {};
+
+    return new OktaBackend({
+      apiKey: apiKey,
+      baseUrl: this.baseUrl,
+      orgUrl: okta.orgUrl,
+      token: okta.token
+    });
+  }
+
+  if (backend === 'stormpath') {
+    return new RequestExecutor({
+      apiKey: apiKey,
+      baseUrl: this.baseUrl,
+      proxy: this.settings.proxy
+    });
+  }
+
+  throw new Error('Unsupported Stormpath backend "' + backend + '". Expected one of: stormpath, memory, okta.');
+};
+
+/**
+ * Create a new model instance for the given data.  Given an array, every
+ * instance is created (`concurrency` at a time), and the callback receives
+ * their ids.  If some fail, it receives a `BULK_OPERATION_FAILED` error
+ * listing the ids which were created (`succeeded`) and the `index` and
+ * `error` of each item which failed (`failed`).
+ *
+ * @param {String} model The model name.
+ * @param {Object|Array} data The model data.
+ * @param {Function} [callback] The callback function.
+ */
+Stormpath.prototype.create = function(model, data, callback) {
+  var self = this;
+  var type = self.getResourceType(model);
+
+  if (this.storesAccessTokens(model)) {
+    return accessTokens.create(this, data, callback);
+  }
+
+  if (Array.isArray(data)) {
+    bulk.run(data, this.concurrency, function(item, index, cb) {
+      type.create(self, type.buildData(item), function(err, resource) {
+        if (err) return cb(errors.stormpathError(err, { model: model, field: type.lookupField }));
+        cb(null, type.toId(resource.href));
+      });
+    }, function(ids, failed) {
+      if (failed.length) return callback(errors.bulkOperationError('create', model, ids, failed));
+      callback(null, ids);
+    });
+  } else {
+    type.create(self, type.buildData(data), function(err, resource) {
+      if (err) return callback(errors.stormpathError(err, { model: model, field: type.lookupField }));
+      callback(null, type.toId(resource.href));
+    });
+  }
+};
+
+/**
+ * Authenticate an account, either with its username (or email) and password,
+ * or with one of its API keys.  Disabled and unverified accounts result in
+ * `LOGIN_FAILED_ACCOUNT_DISABLED` and `LOGIN_FAILED_EMAIL_NOT_VERIFIED` errors
+ * respectively, with a `401` status code.
+ *
+ * @param {String} model The model name.
+ * @param {String|Object} login Either the username or email, or the
+ *  credentials: a `username` (or `email`) and `password`, an `apiKeyId` and
+ *  `apiKeySecret`, or an `authorization` header using Basic authentication
+ *  with an API key.
+ * @param {String} [password] The password, when given a username or email.
+ * @param {Function} callback The callback function, called with the account.
+ */
+Stormpath.prototype.authenticate = function(model, login, password, callback) {
+  var self = this;
+
+  if (typeof password === 'function') {
+    callback = password;
+    password = login && login.password;
+
+    if (login && (login.apiKeyId !== undefined || login.authorization !== undefined)) {
+      var credentials = parseApiKeyCredentials(login);
+      return this.authenticateApiKey(model, credentials.apiKeyId, credentials.apiKeySecret, callback);
+    }
+
+    login = login && (login.username !== undefined ? login.username : login.email);
+  }
+
+  this.application.authenticateAccount({
+    username: login,
+    password: password
+  }, function(err, response) {
+    if (err) return callback(authenticationError(err));
+
+    response.getAccount(function(err, account) {
+      if (err) return callback(err);
+      callback(null, self.toJson(model, account));
+    });
+  });
+};
+
+/**
+ * Start the password reset workflow for an Account: Stormpath creates a
+ * password reset token, and emails it to the Account.
+ *
+ * @param {String} model The model name.
+ * @param {String} emailOrUsername The Account's email address or username.
+ * @param {Function} callback The callback function, called with the
+ *  Account's `email`, its `accountId`, and the password reset `token` (eg: for
+ *  sending a reset email of your own).
+ */
+Stormpath.prototype.sendPasswordResetEmail = function(model, emailOrUsername, callback) {
+  if (!requireAccountModel(this, model, 'reset passwords', callback)) return;
+
+  this.application.sendPasswordResetEmail(emailOrUsername, function(err, token) {
+    if (err) return callback(loginError(err));
+
+    callback(null, {
+      email: token.email,
+      accountId: resources.convertHrefToId(token.account.href),
+      token: resources.convertHrefToId(token.href)
+    });
+  });
+};
+
+/**
+ * Verify a password reset token, returning the Account it was created for.
+ * Unknown and expired tokens result in an `INVALID_TOKEN` error with a `400`
+ * status code.
+ *
+ * @param {String} model The model name.
+ * @param {String} token The password reset token.
+ * @param {Function} callback The callback function.
+ */
+Stormpath.prototype.verifyPasswordResetToken = function(model, token, callback) {
+  var self = this;
+  if (!requireAccountModel(this, model, 'reset passwords', callback)) return;
+
+  this.application.verifyPasswordResetToken(token, function(err, result) {
+    if (err && err.status === 404) return callback(errors.invalidTokenError(token));
+    if (err) return callback(err);
+
+    self.getById(model, resources.convertHrefToId(result.account.href), function(err, account) {
+      if (err) return callback(err);
+      callback(null, self.toJson(model, account));
+    });
+  });
+};
+
+/**
+ * Complete the password reset workflow, setting an Account's password with a
+ * password reset token.  The token can only be used once.
+ *
+ * @param {String} model The model name.
+ * @param {String} token The password reset token.
+ * @param {String} password The new password.
+ * @param {Function} callback The callback function, called with the Account.
+ */
+Stormpath.prototype.resetPassword = function(model, token, password, callback) {
+  var self = this;
+  if (!requireAccountModel(this, model, 'reset passwords', callback)) return;
+
+  this.application.resetPassword(token, password, function(err, result) {
+    if (err && err.status === 404) return callback(errors.invalidTokenError(token));
+    if (err) return callback(errors.stormpathError(err, { model: model }));
+
+    self.getById(model, resources.convertHrefToId(result.account.href), function(err, account) {
+      if (err) return callback(err);
+      callback(null, self.toJson(model, account));
+    });
+  });
+};
+
+/**
+ * Verify an Account's email address with the email verification token
+ * Stormpath emailed to it, enabling the Account.  Unknown and used tokens
+ * result in an `INVALID_TOKEN` error with a `400` status code.
+ *
+ * @param {String} model The model name.
+ * @param {String} token The email verification token.
+ * @param {Function} callback The callback function, called with the Account.
+ */
+Stormpath.prototype.verifyEmail = function(model, token, callback) {
+  var self = this;
+  if (!requireAccountModel(this, model, 'verify emails', callback)) return;
+
+  this.client.getCurrentTenant(function(err, tenant) {
+    if (err) return callback(err);
+
+    tenant.verifyAccountEmail(token, function(err, account) {
+      if (err && err.status === 404) return callback(errors.invalidTokenError(token));
+      if (err) return callback(err);
+
+      self.getById(model, resources.convertHrefToId(account.href), function(err, account) {
+        if (err) return callback(err);
+        callback(null, self.toJson(model, account));
+      });
+    });
+  });
+};
+
+/**
+ * Have Stormpath email a new email verification token to an unverified
+ * Account.
+ *
+ * @param {String} model The model name.
+ * @param {String} emailOrUsername The Account's email address or username.
+ * @param {Function} callback The callback function.
+ */
+Stormpath.prototype.resendVerificationEmail = function(model, emailOrUsername, callback) {
+  if (!requireAccountModel(this, model, 'verify emails', callback)) return;
+
+  this.application.resendVerificationEmail({ login: emailOrUsername }, function(err) {
+    callback(loginError(err) || null);
+  });
+};
+
+/**
+ * Authenticate an account with one of its API keys.  Unknown keys and wrong
+ * secrets result in a `LOGIN_FAILED` error, and disabled keys in a
+ * `LOGIN_FAILED_API_KEY_DISABLED` error, with a `401` status code.
+ *
+ * @param {String} model The model name.
+ * @param {String} apiKeyId The API key id.
+ * @param {String} apiKeySecret The API key secret.
+ * @param {Function} callback The callback function, called with the account.
+ */
+Stormpath.prototype.authenticateApiKey = function(model, apiKeyId, apiKeySecret, callback) {
+  var self = this;
+  if (!requireAccountModel(this, model, 'authenticate API keys', callback)) return;
+
+  if (!apiKeyId || !apiKeySecret) {
+    return process.nextTick(function() {
+      callback(loginFailedError());
+    });
+  }
+
+  this.findApiKey(this.application, apiKeyId, function(err, apiKey) {
+    if (err && err.code === 'API_KEY_NOT_FOUND') return callback(loginFailedError());
+    if (err) return callback(err);
+
+    if (!secretsMatch(apiKey.secret, apiKeySecret)) {
+      return callback(loginFailedError());
+    }
+
+    if (apiKey.status !== 'ENABLED') {
+      return callback(loginFailedError('LOGIN_FAILED_API_KEY_DISABLED', 'login failed as the API key is disabled'));
+    }
+
+    self.find(model, resources.convertHrefToId(apiKey.account.href), function(err, json) {
+      if (err) return callback(err);
+
+      var known = AUTHENTICATION_ERRORS[STATUS_LOGIN_ERRORS[json.status]];
+
+      if (known) {
+        return callback(loginFailedError(known.code, known.message));
+      }
+
+      callback(null, json);
+    });
+  });
+};
+
+/**
+ * Fetch an Account by model id, for the account workflows.
+ *
+ * @param {String} model The model name.
+ * @param {String} id The Account's model id.
+ * @param {String} action What's being done, for the error message if the
+ *  model isn't mapped to Accounts.
+ * @param {Function} callback The callback function, called with the Account.
+ */
+Stormpath.prototype.getAccount = function(model, id, action, callback) {
+  var type = resources.types.account;
+  if (!requireAccountModel(this, model, action, callback)) return;
+
+  type.get(this, type.toHref(id, this.baseUrl), null, function(err, account) {
+    if (err) return callback(errors.stormpathError(err, { model: model, id: id }));
+    callback(null, account);
+  });
+};
+
+/**
+ * Look up an API key by id, among the API keys of an Account or Application.
+ *
+ * Like the SDK's `Application#getApiKey` and `Account#getApiKeys`, this asks
+ * Stormpath to encrypt the secret, which the data store decrypts.
+ *
+ * @param {Object} owner The Stormpath Account or Application.
+ * @param {String} apiKeyId The API key id.
+ * @param {Function} callback The callback function, called with the API key,
+ *  or an `API_KEY_NOT_FOUND` error.
+ */
+Stormpath.prototype.findApiKey = function(owner, apiKeyId, callback) {
+  var query = resources.ApiKey.encryptedOptions({ id: apiKeyId });
+
+  this.client.getResource(owner.apiKeys.href, query, resources.ApiKey, function(err, collection) {
+    if (err) return callback(err);
+
+    var apiKey = exactMatches(collection, 'id', apiKeyId)[0];
+
+    if (!apiKey) return callback(errors.apiKeyNotFoundError(apiKeyId));
+    callback(null, apiKey);
+  });
+};
+
+/**
+ * Create an API key for an Account.  This is the only time the key's secret
+ * is returned.
+ *
+ * @param {String} model The model name.
+ * @param {String} id The Account's model id.
+ * @param {Object} [options] The key's `name` and `description`.
+ * @param {Function} callback The callback function, called with the API key.
+ */
+Stormpath.prototype.createApiKey = function(model, id, options, callback) {
+  var self = this;
+
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  this.getAccount(model, id, 'manage API keys', function(err, account) {
+    if (err) return callback(err);
+
+    var data = {};
+
+    ['name', 'description'].forEach(function(field) {
+      if (options && options[field] !== undefined) {
+        data[field] = options[field];
+      }
+    });
+
+    // Unlike the SDK's `Account#createApiKey`, this sends the key's name and
+    // description along.
+    var query = resources.ApiKey.encryptedOptions();
+
+    self.client.createResource(account.apiKeys.href, query, data, resources.ApiKey, function(err, apiKey) {
+      if (err) return callback(err);
+      callback(null, apiKeyToJson(apiKey, true));
+    });
+  });
+};
+
+/**
+ * List the API keys of an Account, without their secrets.
+ *
+ * @param {String} model The model name.
+ * @param {String} id The Account's model id.
+ * @param {Function} callback The callback function, called with an array of
+ *  API keys.
+ */
+Stormpath.prototype.listApiKeys = function(model, id, callback) {
+  var self = this;
+
+  this.getAccount(model, id, 'manage API keys', function(err, account) {
+    if (err) return callback(err);
+
+    var query = resources.ApiKey.encryptedOptions();
+
+    self.client.getResource(account.apiKeys.href, query, resources.ApiKey, function(err, collection) {
+      if (err) return callback(err);
+
+      var apiKeys = [];
+
+      collection.each(function(apiKey, cb) {
+        apiKeys.push(apiKeyToJson(apiKey));
+        cb();
+      }, function(err) {
+        if (err) return callback(err);
+        callback(null, apiKeys);
+      });
+    });
+  });
+};
+
+/**
+ * Disable one of an Account's API keys, so it can no longer be used to
+ * authenticate.
+ *
+ * @param {String} model The model name.
+ * @param {String} id The Account's model id.
+ * @param {String} apiKeyId The API key id.
+ * @param {Function} callback The callback function, called with the API key.
+ */
+Stormpath.prototype.disableApiKey = function(model, id, apiKeyId, callback) {
+  var self = this;
+
+  this.getAccount(model, id, 'manage API keys', function(err, account) {
+    if (err) return callback(err);
+
+    self.findApiKey(account, apiKeyId, function(err, apiKey) {
+      if (err) return callback(err);
+
+      apiKey.status = 'DISABLED';
+      apiKey.save(function(err) {
+        if (err) return callback(err);
+        callback(null, apiKeyToJson(apiKey));
+      });
+    });
+  });
+};
+
+/**
+ * Delete one of an Account's API keys.
+ *
+ * @param {String} model The model name.
+ * @param {String} id The Account's model id.
+ * @param {String} apiKeyId The API key id.
+ * @param {Function} callback The callback function.
+ */
+Stormpath.prototype.deleteApiKey = function(model, id, apiKeyId, callback) {
+  var self = this;
+
+  this.getAccount(model, id, 'manage API keys', function(err, account) {
+    if (err) return callback(err);
+
+    self.findApiKey(account, apiKeyId, function(err, apiKey) {
+      if (err) return callback(err);
+
+      apiKey.delete(function(err) {
+        callback(err || null);
+      });
+    });
+  });
+};
+
+/**
+ * Look up a Group the connector's Application can see, for the group
+ * membership methods.
+ *
+ * @param {String|Object} group The Group's model id, or an object with its
+ *  `id` or `name`.
+ * @param {Function} callback The callback function, called with the Group, or
+ *  a `GROUP_NOT_FOUND` error.
+ */
+Stormpath.prototype.findGroup = function(group, callback) {
+  var field = group && typeof group === 'object' && group.id === undefined ? 'name' : 'id';
+  var value = String(group && typeof group === 'object' ? group[field] : group);
+
+  findRelated(this, resources.types.group, field, [value], function(err, found) {
+    if (err) return callback(err);
+    if (!found.length) return callback(errors.groupNotFoundError(value));
+    callback(null, found[0]);
+  });
+};
+
+/**
+ * Find an Account's membership of a Group.
+ *
+ * @param {Object} account The Stormpath Account.
+ * @param {Object} group The Stormpath Group.
+ * @param {Function} callback The callback function, called with the group
+ *  membership, or `null` if the Account isn't a member.
+ */
+Stormpath.prototype.findGroupMembership = function(account, group, callback) {
+  this.client.getResource(account.groupMemberships.href, function(err, collection) {
+    if (err) return callback(err);
+
+    var found = null;
+
+    collection.each(function(membership, cb) {
+      if (membership.group && membership.group.href === group.href) {
+        found = membership;
+      }
+      cb();
+    }, function(err) {
+      if (err) return callback(err);
+      callback(null, found);
+    });
+  });
+};
+
+/**
+ * Add an Account to a Group.  Adding an Account to a Group it already belongs
+ * to does nothing.
+ *
+ * @param {String} model The model name.
+ * @param {String} id The Account's model id.
+ * @param {String|Object} group The Group's model id, or an object with its
+ *  `id` or `name`.
+ * @param {Function} callback The callback function, called with the Group.
+ */
+Stormpath.prototype.addToGroup = function(model, id, group, callback) {
+  var self = this;
+
+  this.getAccount(model, id, 'manage group memberships', function(err, account) {
+    if (err) return callback(err);
+
+    self.findGroup(group, function(err, group) {
+      if (err) return callback(err);
+
+      self.findGroupMembership(account, group, function(err, membership) {
+        if (err) return callback(err);
+
+        var done = function(err) {
+          if (err) return callback(err);
+          callback(null, resources.types.group.toJson(group));
+        };
+
+        if (membership) return done();
+        account.addToGroup(group.href, done);
+      });
+    });
+  });
+};
+
+/**
+ * Remove an Account from a Group.  Removing an Account from a Group it
+ * doesn't belong to does nothing.
+ *
+ * @param {String} model The model name.
+ * @param {String} id The Account's model id.
+ * @param {String|Object} group The Group's model id, or an object with its
+ *  `id` or `name`.
+ * @param {Function} callback The callback function.
+ */
+Stormpath.prototype.removeFromGroup = function(model, id, group, callback) {
+  var self = this;
+
+  this.getAccount(model, id, 'manage group memberships', function(err, account) {
+    if (err) return callback(err);
+
+    self.findGroup(group, function(err, group) {
+      if (err) return callback(err);
+
+      self.findGroupMembership(account, group, function(err, membership) {
+        if (err) return callback(err);
+        if (!membership) return callback(null);
+
+        membership.delete(function(err) {
+          callback(err || null);
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Exchange a grant for Stormpath OAuth tokens.  The grant is one of:
+ *
+ * - `{ grantType: 'password', username: ..., password: ... }`
+ * - `{ grantType: 'refresh_token', refreshToken: ... }`
+ * - `{ grantType: 'client_credentials', apiKeyId: ..., apiKeySecret: ... }`
+ *   (or an `authorization` header using Basic authentication), for one of an
+ *   Account's API keys.
+ *
+ * Failed requests result in an error whose code is the OAuth error, eg:
+ * `INVALID_GRANT`, with a `400` status code.
+ *
+ * @param {String} model The model name.
+ * @param {Object} grant The grant.
+ * @param {Function} callback The callback function, called with the OAuth
+ *  token response (`access_token`, `token_type`, `expires_in` and, except for
+ *  the `client_credentials` grant, `refresh_token`).
+ */
+Stormpath.prototype.issueToken = function(model, grant, callback) {
+  if (!requireAccountModel(this, model, 'issue OAuth tokens', callback)) return;
+
+  grant = grant || {};
+
+  var form = { grant_type: grant.grantType };
+
+  if (grant.grantType === 'password') {
+    form.username = grant.username;
+    form.password = grant.password;
+  } else if (grant.grantType === 'refresh_token') {
+    form.refresh_token = grant.refreshToken;
+  } else if (grant.grantType === 'client_credentials') {
+    var credentials = parseApiKeyCredentials(grant);
+
+    form.client_id = credentials.apiKeyId;
+    form.client_secret = credentials.apiKeySecret;
+  }
+
+  this.requestExecutor.execute({
+    uri: this.application.href + '/oauth/token',
+    method: 'POST',
+    form: form
+  }, function(err, response) {
+    if (err) return callback(oauthTokenError(err));
+    callback(null, response);
+  });
+};
+
+/**
+ * Validate a Stormpath access token, returning the Account it was issued to.
+ *
+ * The token is checked locally, without a request to Stormpath: it must be
+ * signed with our API key secret, not have expired, and have been issued by
+ * our Application.  Only then is the Account fetched (so deleted, disabled
+ * and unverified Accounts are refused).  Tokens which fail these checks
+ * result in an `INVALID_ACCESS_TOKEN` (or `ACCESS_TOKEN_EXPIRED`) error, with
+ * a `401` status code.
+ *
+ * Note that a revoked token remains valid until it expires, as Stormpath is
+ * never asked about it.
+ *
+ * @param {String} model The model name.
+ * @param {String} token The access token.
+ * @param {Function} callback The callback function, called with the Account
+ *  and the token's claims.
+ */
+Stormpath.prototype.validateAccessToken = function(model, token, callback) {
+  var decoded = tokens.decode(token);
+  if (!requireAccountModel(this, model, 'validate access tokens', callback)) return;
+
+  var err = accessTokens.check(this, decoded);
+
+  if (err) {
+    return process.nextTick(function() {
+      callback(err);
+    });
+  }
+
+  this.find(model, resources.convertHrefToId(decoded.claims.sub), function(err, json) {
+    if (err && err.statusCode === 404) return callback(errors.accessTokenError('Invalid access token'));
+    if (err) return callback(err);
+
+    var known = AUTHENTICATION_ERRORS[STATUS_LOGIN_ERRORS[json.status]];
+
+    if (known) {
+      return callback(loginFailedError(known.code, known.message));
+    }
+
+    callback(null, json, decoded.claims);
+  });
+};
+
+/**
+ * Save the model instance for the given data.
+ *
+ * @param {String} model The model name.
+ * @param {Object} data The model data.
+ * @param {Function} [callback] The callback function.
+ */
+Stormpath.prototype.save = function(model, data, callback) {
+  var self = this;
+
+  this.getById(model, data.id, function(err, resource) {
+    if (err) return callback && callback(errors.stormpathError(err, { model: model, id: data.id }));
+    self.writeResource(model, resource, data, false, callback);
+  });
+};
+
+/**
+ * Check if a model instance exists by id.  Only the resource itself is
+ * fetched, without its customData, unless it's needed to tell whether the
+ * instance has been soft-deleted.
+ *
+ * @param {String} model The model name.
+ * @param {String} id The id value.
+ * @param {Object} [options] The options object.
+ * @param {Function} [callback] The callback function.
+ */
+Stormpath.prototype.exists = function(model, id, options, callback) {
+  var type = this.getResourceType(model);
+
+  if (typeof options === 'function') {
+    callback = options;
+  }
+
+  if (this.storesAccessTokens(model)) {
+    return accessTokens.count(this, { id: id }, function(err, count) {
+      if (err) return callback && callback(err);
+      return callback && callback(null, count > 0);
+    });
+  }
+
+  var softDelete = this.softDeletes(model);
+
+  type.get(this, type.toHref(id, this.baseUrl), softDelete ? { expand: 'customData' } : null, function(err, resource) {
+    if (err && err.status === 404) return callback && callback(null, false);
+    if (err) return callback && callback(err);
+    return callback && callback(null, !softDelete || !isDeleted(resource));
+  });
+};
+
+/**
+ * Check if a model instance exists with the given value of a searchable field,
+ * eg: an Account's `email` or `username`.  This is useful for uniqueness
+ * checks, such as during signup.  Values are compared case insensitively, as
+ * Stormpath does.
+ *
+ * @param {String} model The model name.
+ * @param {String} field The field name.
+ * @param {String} value The field value.
+ * @param {Function} callback The callback function.
+ */
+Stormpath.prototype.existsBy = function(model, field, value, callback) {
+  var type = this.getResourceType(model);
+  var params = { limit: MAX_PAGE_SIZE };
+
+  if (type.searchableAttrs.indexOf(field) === -1) {
+    var err = new Error('Cannot check ' + model + ' existence by ' + field + '. Expected one of: ' +
+      type.searchableAttrs.join(', ') + '.');
+
+    err.statusCode = 400;
+
+    return process.nextTick(function() {
+      callback(err);
+    });
+  }
+
+  value = String(value).toLowerCase();
+  params[field] = value;
+
+  type.list(this, params, function(err, collection) {
+    if (err) return callback(err);
+
+    callback(null, exactMatches(collection, field, value).length > 0);
+  });
+};
+
+/**
+ * Find a model instance by ID.  Soft-deleted instances aren't found.
+ *
+ * @param {String} model The model name.
+ * @param {String} id The model ID.
+ * @param {Function} [callback] The callback function.
+ *
+ * NOTE: This is actually called `User.findById()` when called by the user due
+ * to some legacy Loopback code.
+ */
+Stormpath.prototype.find = function(model, id, callback) {
+  var self = this;
+  var type = this.getResourceType(model);
+  var softDelete = this.softDeletes(model);
+  var options = softDelete || type.customProperties(this.getProperties(model)).length ? { expand: 'customData' } : null;
+
+  type.get(this, type.toHref(id, this.baseUrl), options, function(err, resource) {
+    if (err) return callback && callback(errors.stormpathError(err, { model: model, id: id }));
+    if (softDelete && isDeleted(resource)) return callback && callback(errors.notFoundError(model, id));
+    return callback && callback(null, self.toJson(model, resource));
+  });
+};
+
+/**
+ * Fetch a resource by model id, with its customData expanded.
+ *
+ * @param {String} model The model name.
+ * @param {String} id The model id.
+ * @param {Function} callback The callback function.
+ */
+Stormpath.prototype.getById = function(model, id, callback) {
+  var type = this.getResourceType(model);
+  type.get(this, type.toHref(id, this.baseUrl), { expand: 'customData' }, callback);
+};
+
+/**
+ * Look up the existing resource for the given model data, by its id or, if it
+ * has none, its lookup field (eg: an Account's email).  The resource has its
+ * customData expanded.
+ *
+ * @param {String} model The model name.
+ * @param {Object} data The model instance data.
+ * @param {Function} callback The callback function, receiving the resource,
+ *  or nothing if there is no such resource.
+ */
+Stormpath.prototype.findExisting = function(model, data, callback) {
+  var type = this.getResourceType(model);
+  var lookupField = type.lookupField;
+
+  // If there is an id field present, it means this resource already exists, so
+  // we should attempt to look it up.
+  if (data.id) {
+    this.getById(model, data.id, function(err, resource) {
+      if (err && err.status !== 404) return callback(err);
+      callback(null, err ? undefined : resource);
+    });
+
+  // If there is a lookup field (eg: an Account email) present, we should
+  // attempt to look the resource up by it.
+  } else if (data[lookupField]) {
+    var query = { expand: 'customData' };
+    var value = lookupField === 'email' ? data[lookupField].toLowerCase() : data[lookupField];
+
+    query[lookupField] = value;
+
+    type.list(this, query, function(err, collection) {
+      if (err) return callback(err);
+      callback(null, exactMatches(collection, lookupField, data[lookupField])[0]);
+    });
+  } else {
+    process.nextTick(function() {
+      callback(new Error('An id or ' + lookupField + ' is required to update or create a ' + model + '.'));
+    });
+  }
+};
+
+/**
+ * Create a new resource for the given model data.
+ *
+ * @param {String} model The model name.
+ * @param {Object} data The model instance data.
+ * @param {Function} callback The callback function, receiving the JSON
+ *  representation of the new resource.
+ */
+Stormpath.prototype.createResource = function(model, data, callback) {
+  var self = this;
+  var type = this.getResourceType(model);
+  var resourceData = type.buildData(data);
+
+  type.create(this, resourceData, function(err, resource) {
+    if (err) return callback(errors.stormpathError(err, { model: model, field: type.lookupField }));
+
+    var json = self.toJson(model, resource);
+
+    // Stormpath doesn't expand customData when creating a resource, so we fill
+    // in the properties it holds from the data we sent.
+    type.customProperties(self.getProperties(model)).forEach(function(property) {
+      if (json[property] === undefined && resourceData.customData[property] !== undefined) {
+        json[property] = resourceData.customData[property];
+      }
+    });
+
+    callback(null, json);
+  });
+};
+
+/**
+ * Write the given model data to an existing resource, and save it along with
+ * its customData.
+ *
+ * When merging, customData fields missing from the data are left alone.  When
+ * replacing, they are removed.  Either way, standard fields missing from the
+ * data keep their current value, as Stormpath requires most of them.
+ *
+ * @param {String} model The model name.
+ * @param {Object} resource The Stormpath resource, with customData expanded.
+ * @param {Object} data The model instance data.
+ * @param {Boolean} replace Whether to replace customData rather than merge.
+ * @param {Function} [callback] The callback function, receiving the JSON
+ *  representation of the saved resource.
+ */
+Stormpath.prototype.writeResource = function(model, resource, data, replace, callback) {
+  var self = this;
+  var type = this.getResourceType(model);
+
+  if (replace) {
+    type.replace(resource, data);
+  } else {
+    type.update(resource, data);
+  }
+
+  saveResource(resource, function(err) {
+    if (err) {
+      err = errors.stormpathError(err, { model: model, id: type.toId(resource.href), field: type.lookupField });
+      return callback && callback(err);
+    }
+
+    return callback && callback(null, self.toJson(model, resource));
+  });
+};
+
+/**
+ * Update if the model instance exists with the same id or create a new
+ * instance.
+ *
+ * @param {String} model The model name.
+ * @param {Object} data The model instance data.
+ * @param {Function} [callback] The callback function.
+ */
+Stormpath.prototype.updateOrCreate = function(model, data, callback) {
+  var self = this;
+
+  this.findExisting(model, data, function(err, resource) {
+    if (err) return callback && callback(err);
+
+    // If this resource exists, then we'll merge in the new data and save our
+    // changes.
+    if (resource) {
+      return self.writeResource(model, resource, data, false, callback);
+    }
+
+    // If we get here, it means the resource doesn't exist, so we'll create it.
+    self.createResource(model, data, function(err, json) {
+      if (err) return callback && callback(err);
+      return callback && callback(null, json);
+    });
+  });
+};
+
+/**
+ * Replace the model instance if it exists with the same id (or lookup field),
+ * or create a new instance.
+ *
+ * @param {String} model The model name.
+ * @param {Object} data The model instance data.
+ * @param {Object} [options] The options object.
+ * @param {Function} [callback] The callback function.
+ */
+Stormpath.prototype.replaceOrCreate = function(model, data, options, callback) {
+  var self = this;
+
+  if (typeof options === 'function') {
+    callback = options;
+  }
+
+  this.findExisting(model, data, function(err, resource) {
+    if (err) return callback && callback(err);
+
+    if (resource) {
+      return self.writeResource(model, resource, data, true, function(err, json) {
+        if (err) return callback && callback(err);
+        return callback && callback(null, json, { isNewInstance: false });
+      });
+    }
+
+    self.createResource(model, data, function(err, json) {
+      if (err) return callback && callback(err);
+      return callback && callback(null, json, { isNewInstance: true });
+    });
+  });
+};
+
+/**
+ * Merge the given data into the model instance with the given id.
+ *
+ * @param {String} model The model name.
+ * @param {String} id The model id.
+ * @param {Object} data The data to merge in.
+ * @param {Object} [options] The options object.
+ * @param {Function} [callback] The callback function.
+ */
+Stormpath.prototype.updateAttributes = function(model, id, data, options, callback) {
+  var self = this;
+
+  if (typeof options === 'function') {
+    callback = options;
+  }
+
+  this.getById(model, id, function(err, resource) {
+    if (err) return callback && callback(errors.stormpathError(err, { model: model, id: id }));
+    self.writeResource(model, resource, data, false, callback);
+  });
+};
+
+/**
+ * Replace the model instance with the given id.  Unlike `updateAttributes`,
+ * customData fields missing from the data are removed.
+ *
+ * @param {String} model The model name.
+ * @param {String} id The model id.
+ * @param {Object} data The replacement data.
+ * @param {Object} [options] The options object.
+ * @param {Function} [callback] The callback function.
+ */
+Stormpath.prototype.replaceById = function(model, id, data, options, callback) {
+  var self = this;
+
+  if (typeof options === 'function') {
+    callback = options;
+  }
+
+  this.getById(model, id, function(err, resource) {
+    if (err) return callback && callback(errors.stormpathError(err, { model: model, id: id }));
+    self.writeResource(model, resource, data, true, callback);
+  });
+};
+
+/**
+ * Find the first model instance matching the filter, or create a new one from
+ * the given data if there is none.
+ *
+ * @param {String} model The model name.
+ * @param {Object} filter The Loopback filter.
+ * @param {Object} data The model instance data.
+ * @param {Object} [options] The options object.
+ * @param {Function} [callback] The callback function, receiving the model
+ *  instance data and whether it was created.
+ */
+Stormpath.prototype.findOrCreate = function(model, filter, data, options, callback) {
+  var self = this;
+  var query = {};
+
+  if (typeof options === 'function') {
+    callback = options;
+  }
+
+  for (var key in filter) {
+    query[key] = filter[key];
+  }
+
+  query.limit = 1;
+
+  this.all(model, query, function(err, results) {
+    if (err) return callback && callback(err);
+
+    if (results.length) {
+      return callback && callback(null, results[0], false);
+    }
+
+    self.createResource(model, data, function(err, json) {
+      if (err) return callback && callback(err);
+      return callback && callback(null, json, true);
+    });
+  });
+};
+
+/**
+ * Delete the model instance with the given id.  With soft deletes on, Accounts
+ * are soft-deleted instead (see `softDeleteResource`).
+ *
+ * @param {String} model The model name.
+ * @param {String} id The model id.
+ * @param {Object} [options] The options object.
+ * @param {Function} [callback] The callback function, receiving an object
+ *  with the number of deleted instances.
+ */
+Stormpath.prototype.destroy = Stormpath.prototype.deleteById = function(model, id, options, callback) {
+  var type = this.getResourceType(model);
+  var softDelete = this.softDeletes(model);
+
+  if (typeof options === 'function') {
+    callback = options;
+  }
+
+  if (this.storesAccessTokens(model)) {
+    return accessTokens.destroyAll(this, { id: id }, function(err, info) {
+      return callback && callback(err || null, info);
+    });
+  }
+
+  type.get(this, type.toHref(id, this.baseUrl), softDelete ? { expand: 'customData' } : null, function(err, resource) {
+    if (err && err.status === 404) return callback && callback(null, { count: 0 });
+    if (err) return callback && callback(err);
+
+    if (softDelete) {
+      if (isDeleted(resource)) {
+        return callback && callback(null, { count: 0 });
+      }
+
+      return softDeleteResource(resource, function(err) {
+        if (err) return callback && callback(err);
+        return callback && callback(null, { count: 1 });
+      });
+    }
+
+    resource.delete(function(err) {
+      if (err) return callback && callback(err);
+      return callback && callback(null, { count: 1 });
+    });
+  });
+};
+
+/**
+ * Get the values a where condition on a related resource allows, ie: a single
+ * value or an `inq` list.
+ *
+ * @param {String} key The attribute name, eg: `groups.name`.
+ * @param {*} cond The where condition.
+ * @return {Array} The values.
+ */
+function relatedValues(key, cond) {
+  if (typeof cond === 'string' || typeof cond === 'number') {
+    return [String(cond)];
+  }
+
+  if (cond && Array.isArray(cond.inq)) {
+    return cond.inq.map(String);
+  }
+
+  throw query.unsupported(key + ' only supports equality and inq conditions.');
+}
+
+/**
+ * Take the conditions on related resources, eg: `{ 'groups.name': 'admins' }`,
+ * out of a Loopback where object.  Stormpath can only search the resources
+ * related to given ones (eg: the Accounts of a Group), so these conditions
+ * can't be part of an `or`, and only one of them may be used.
+ *
+ * @param {ResourceType} type The resource type.
+ * @param {Object} [where] The Loopback where object.
+ * @return {Object} The `relation` name, the related resource `field` (`id` or
+ *  `name`) and the `values` it may have, along with the rest of the `where`
+ *  object, or `null` if there's no condition on related resources.
+ */
+function extractRelated(type, where) {
+  var found = [];
+
+  /**
+   * Copy a where object without its conditions on related resources, which
+   * are collected instead.
+   */
+  function strip(where, conjunction) {
+    var rest = {};
+
+    where = query.normalizeWhere(where);
+
+    Object.keys(where).forEach(function(key) {
+      var match = /^(\w+)\.(id|name)$/.exec(key);
+
+      if (match && type.relations.hasOwnProperty(match[1])) {
+        if (!conjunction) {
+          throw query.unsupported(key + ' can\'t be used in an or condition.');
+        }
+
+        found.push({ relation: match[1], field: match[2], values: relatedValues(key, where[key]) });
+      } else if ((key === 'and' || key === 'or') && Array.isArray(where[key])) {
+        rest[key] = where[key].map(function(clause) {
+          return strip(clause, conjunction && key === 'and');
+        });
+      } else {
+        rest[key] = where[key];
+      }
+    });
+
+    return rest;
+  }
+
+  var rest = strip(where, true);
+
+  if (found.length > 1) {
+    throw query.unsupported('only one condition on related resources may be used.');
+  }
+
+  if (!found.length) {
+    return null;
+  }
+
+  found[0].where = rest;
+
+  return found[0];
+}
+
+/**
+ * Find the related resources of the given type with one of the given ids or
+ * names.  Unknown ones are skipped.
+ *
+ * @param {Object} connector The Stormpath connector.
+ * @param {ResourceType} type The related resource type, eg: `group`.
+ * @param {String} field The field the values are for: `id` or `name`.
+ * @param {Array} values The ids or names.
+ * @param {Function} callback The callback function, receiving an array of
+ *  Stormpath resources.
+ */
+function findRelated(connector, type, field, values, callback) {
+  async.concatSeries(values, function(value, cb) {
+    if (field === 'id') {
+      return type.get(connector, type.toHref(value, connector.baseUrl), null, function(err, resource) {
+        if (err && err.status === 404) return cb(null, []);
+        if (err) return cb(err);
+        cb(null, [resource]);
+      });
+    }
+
+    type.list(connector, { name: value }, function(err, collection) {
+      if (err) return cb(err);
+
+      cb(null, exactMatches(collection, 'name', value));
+    });
+  }, callback);
+}
+
+/**
+ * Fetch the rest of the expanded collections of related resources which
+ * didn't fit in a single page, eg: the Groups of an Account which belongs to
+ * more than 100 of them.
+ *
+ * @param {Object} connector The Stormpath connector.
+ * @param {Array} resources The Stormpath resources.
+ * @param {Array} relations The names of the expanded relations.
+ * @param {Function} callback The callback function.
+ */
+function completeRelations(connector, resources, relations, callback) {
+  async.eachSeries(resources, function(resource, next) {
+    async.eachSeries(relations, function(name, cb) {
+      var collection = resource[name];
+
+      if (!collection || !Array.isArray(collection.items) || collection.items.length >= collection.size) {
+        return cb();
+      }
+
+      listPage(function(params, done) {
+        connector.client.getResource(collection.href, params, done);
+      }, {}, collection.items.length, 0, function(err, items) {
+        if (err) return cb(err);
+
+        collection.items = collection.items.concat(items);
+        cb();
+      });
+    }, next);
+  }, callback);
+}
+
+/**
+ * Fetch a single page of a resource collection, using Stormpath's `offset`
+ * and `limit` collection parameters.  Stormpath returns at most 100 resources
+ * per request, so larger pages are fetched in several requests.  Without a
+ * limit, every resource from the offset onwards is fetched.
+ *
+ * @param {Function} list The function searching the collection:
+ *  `(params, cb)`.
+ * @param {Object} params The Stormpath query parameters.
+ * @param {Number} offset The index of the first resource to fetch.
+ * @param {Number} limit The maximum number of resources to fetch, or 0 for
+ *  all of them.
+ * @param {Function} callback The callback function, receiving an array of
+ *  Stormpath resources.
+ */
+function listPage(list, params, offset, limit, callback) {
+  var results = [];
+  var done = false;
+
+  async.until(function() {
+    return done;
+  }, function(next) {
+    var pageParams = {};
+    var pageSize = limit ? Math.min(limit - results.length, MAX_PAGE_SIZE) : MAX_PAGE_SIZE;
+
+    for (var key in params) {
+      pageParams[key] = params[key];
+    }
+
+    pageParams.offset = offset + results.length;
+    pageParams.limit = pageSize;
+
+    list(pageParams, function(err, collection) {
+      if (err) return next(err);
+
+      var items = collection.items || [];
+
+      results = results.concat(items);
+      done = items.length < pageSize || (limit && results.length >= limit);
+      next();
+    });
+  }, function(err) {
+    if (err) return callback(err);
+    callback(null, results);
+  });
+}
+
+/**
+ * Fetch a single page of an Account collection, leaving soft-deleted Accounts
+ * out.  These may be anywhere in the results, so the collection is fetched
+ * from its start, up to the end of the page (see `listPage`), with customData
+ * expanded to tell them apart.
+ *
+ * @param {Function} list The function searching the collection:
+ *  `(params, cb)`.
+ * @param {Object} params The Stormpath query parameters.
+ * @param {Number} offset The number of Accounts (which haven't been deleted)
+ *  to skip.
+ * @param {Number} limit The maximum number of Accounts to fetch, or 0 for all
+ *  of them.
+ * @param {Function} callback The callback function, receiving an array of
+ *  Stormpath Accounts.
+ */
+function listVisiblePage(list, params, offset, limit, callback) {
+  var results = [];
+  var fetched = 0;
+  var done = false;
+
+  async.until(function() {
+    return done;
+  }, function(next) {
+    var pageParams = {};
+    var expand = params.expand ? params.expand.split(',') : [];
+    var pageSize = limit ? Math.min(offset + limit - results.length, MAX_PAGE_SIZE) : MAX_PAGE_SIZE;
+
+    for (var key in params) {
+      pageParams[key] = params[key];
+    }
+
+    if (expand.indexOf('customData') === -1) {
+      expand.push('customData');
     }
 
-    self.client.getApplication(self.settings.applicationHref, function(err, app) {
-      if (err) {
-        if (self.debug) {
-          debug('Failed to initialize Stormpath Application.');
+    pageParams.expand = expand.join(',');
+    pageParams.offset = fetched;
+    pageParams.limit = pageSize;
+
+    list(pageParams, function(err, collection) {
+      if (err) return next(err);
+
+      var items = collection.items || [];
+
+      fetched += items.length;
+      items.forEach(function(resource) {
+        if (!isDeleted(resource)) {
+          results.push(resource);
         }
+      });
 
-        callback && callback(err);
-      } else {
-        self.application = app;
-        callback && callback(null, self.client);
-      }
+      done = items.length < pageSize || (limit && results.length >= offset + limit);
+      next();
     });
-  }
-};
+  }, function(err) {
+    if (err) return callback(err);
+    callback(null, limit ? results.slice(offset, offset + limit) : results.slice(offset));
+  });
+}
 
 /**
- * Create a new model instance for the given data.
+ * Count the resources of the given type matching a Loopback where object.
  *
- * @param {String} model The model name.
- * @param {Object} data The model data.
- * @param {Function} [callback] The callback function.
+ * When the where object translates into a single Stormpath search, with
+ * nothing left to evaluate locally, the count is the `size` of a one resource
+ * page of the search results, less the soft-deleted Accounts it matches if
+ * they're excluded.  Otherwise, the matching resources are enumerated (see
+ * `searchResources`).
+ *
+ * @param {ResourceType} type The resource type.
+ * @param {Object} where The Loopback where object.
+ * @param {Object} [options] The search options.
+ * @param {Boolean} [options.excludeDeleted] Don't count soft-deleted Accounts.
+ * @param {Function} callback The callback function, receiving the count.
  */
-Stormpath.prototype.create = function(model, data, callback) {
+Stormpath.prototype.countResources = function(type, where, options, callback) {
   var self = this;
+  var plan;
 
-  if (Array.isArray(data)) {
-    async.map(
-      data,
-      function(item, cb) {
-        self.application.createAccount(item, function(err, account) {
-          if (err) return cb(err);
-          cb(null, convertHrefToId(account.href));
-        });
-      },
-      function(err, hrefs) {
-        if (err) return callback(err);
-        callback(null, hrefs);
-      }
-    );
-  } else {
-    self.application.createAccount(data, function(err, account) {
+  options = options || {};
+
+  try {
+    plan = extractRelated(type, where) ? null : query.buildQueries(where, { searchableAttrs: type.searchableAttrs });
+  } catch (err) {
+    return process.nextTick(function() {
+      callback(err);
+    });
+  }
+
+  if (!plan || plan.filter || plan.searches.length !== 1 || plan.searches[0].ids) {
+    return this.searchResources(type, where, { excludeDeleted: options.excludeDeleted }, function(err, resources) {
       if (err) return callback(err);
-      callback(null, convertHrefToId(account.href));
+      callback(null, resources.length);
     });
   }
-};
 
-/**
- * Authenticate an account.
- *
- * @param {String} login Either the username or password.
- * @param {String} password The password.
- * @param {Function} callback The callback function.
- */
-Stormpath.prototype.authenticate = function(model, login, password, callback) {
-  this.application.authenticateAccount({
-    username: login,
-    password: password
-  }, function(err, response) {
+  var params = { offset: 0, limit: 1 };
+
+  for (var key in plan.searches[0].query) {
+    params[key] = plan.searches[0].query[key];
+  }
+
+  type.list(this, params, function(err, collection) {
     if (err) return callback(err);
+    if (!options.excludeDeleted) return callback(null, collection.size);
 
-    response.getAccount(function(err, account) {
+    countDeleted(function(params, cb) {
+      type.list(self, params, cb);
+    }, params, function(err, deleted) {
       if (err) return callback(err);
-      callback(null, convertAccountToJson(account));
+      callback(null, collection.size - deleted);
     });
   });
 };
 
 /**
- * Save the model instance for the given data.
- *
- * @param {String} model The model name.
- * @param {Object} data The model data.
- * @param {Function} [callback] The callback function.
- */
-Stormpath.prototype.save = function(model, data, callback) {
-  this.client.getAccount(convertIdToHref(data.id), function(err, account) {
-    if (err) return callback(err);
-    callback && callback(null, true);
-  });
-};
-
-/**
- * Check if a model instance exists by id.
+ * Search the resources of the given type matching a Loopback where object.
  *
- * @param {String} model The model name.
- * @param {String} id The id value.
- * @param {Function} [callback] The callback function.
+ * As much of the where object as possible is translated into Stormpath
+ * searches (see `query.buildQueries`), the results of which are merged.  The
+ * rest of the where object (eg: conditions on customData) is then evaluated
+ * locally against each resource found, with customData expanded.
  *
- */
-Stormpath.prototype.exists = function(model, id, callback) {
-  this.client.getAccount(function(err, account) {
-    if (err && err.status >= 500) return callback(err);
-    callback(null, false ? err : true);
-  });
-};
-
-/**
- * Find a model instance by ID.
+ * Conditions on related resources, eg: `{ 'groups.name': 'admins' }`, are
+ * resolved by searching the collections of the related resources instead,
+ * eg: the Accounts of the `admins` Group.
  *
- * @param {String} model The model name.
- * @param {String} id The model ID.
- * @param {Function} [callback] The callback function.
+ * When the where object translates into a single Stormpath search of a single
+ * collection, and the order only uses attributes Stormpath can sort on, only
+ * the requested page is fetched from Stormpath.  Otherwise all matching
+ * resources are fetched, then sorted and paginated locally.
  *
- * NOTE: This is actually called `User.findById()` when called by the user due
- * to some legacy Loopback code.
- */
-Stormpath.prototype.find = function(model, id, callback) {
-  this.client.getAccount(convertIdToHref(id), function(err, account) {
-    if (err) return callback && callback(err);
-    return callback && callback(null, convertAccountToJson(account));
-  });
-};
-
-/**
- * Update if the model instance exists with the same id or create a new
- * instance.
+ * Soft-deleted Accounts can be excluded.  Paginated searches which may match
+ * them are then fetched from their start up to the end of the page (see
+ * `listVisiblePage`), rather than in full.
  *
- * @param {String} model The model name.
- * @param {Object} data The model instance data.
- * @param {Function} [callback] The callback function.
+ * @param {ResourceType} type The resource type.
+ * @param {Object} where The Loopback where object.
+ * @param {Object} [options] The search options.
+ * @param {String} [options.expand] The Stormpath `expand` parameter.
+ * @param {String|Array} [options.order] The Loopback order filter.
+ * @param {Number} [options.offset] The number of results to skip.
+ * @param {Number} [options.limit] The maximum number of results.
+ * @param {Boolean} [options.excludeDeleted] Leave soft-deleted Accounts out.
+ * @param {Object} [options.related] The `relation` and `hrefs` of the related
+ *  resources whose collections are searched, once resolved.
+ * @param {Function} callback The callback function, receiving an array of
+ *  Stormpath resources.
  */
-Stormpath.prototype.updateOrCreate = function(model, data, callback) {
+Stormpath.prototype.searchResources = function(type, where, options, callback) {
   var self = this;
-
-  // If no id or email is supplied, we need to create this user.
-  if (!(data.id || data.email)) {
-    self.application.createAccount(data, function(err, account) {
-      if (err) return callback && callback(err);
-      return callback && callback(null, convertAccountToJson(account));
-    })
+  var related;
+  var plan;
+  var matches;
+  var order;
+  var orderBy;
+
+  options = options || {};
+
+  try {
+    related = options.related ? null : extractRelated(type, where);
+  } catch (err) {
+    return process.nextTick(function() {
+      callback(err);
+    });
   }
 
-  // If there is an id field present, it means this user already exists, so we
-  // should attempt to look them up.
-  if (data.id) {
-    self.client.getAccount(convertIdToHref(data.id), { expand: 'customData' }, function(err, account) {
-      if (err && err.status >= 500) return callback && callback(err);
-
-      // If this account exists, then we'll merge in the new data and save our
-      // changes.
-      if (account) {
-        updateAccount(account, data);
-
-        // This merges in the ID field so we can comply with Loopback's
-        // structured stuff.
-        account.id = data.id;
-
-        async.parallel([
-          function(cb) {
-            account.save(function(err) {
-              cb(err || null);
-            });
-          },
-          function(cb) {
-            // This gets rid of all 'hidden' fields except the href.
-            var customData = JSON.parse(JSON.stringify(account.customData));
-
-            if (Object.keys(customData).length > 1) {
-              account.customData.save(function(err) {
-                cb(err || null);
-              });
-            } else {
-              cb();
-            }
-          }
-        ], function(err) {
-          if (err) return callback && callback(err);
-          return callback && callback(null, convertAccountToJson(account));
-        });
+  if (related) {
+    var relation = type.relations[related.relation];
 
-      // If we get here, it means the account doesn't exist, so we'll create it.
-      } else {
-        self.application.createAccount(data, function(err, account) {
-          if (err) return callback && callback(err);
-          return callback && callback(null, convertAccountToJson(account));
-        })
+    return findRelated(this, resources.types[relation.type], related.field, related.values, function(err, found) {
+      if (err) return callback(err);
+
+      var relatedOptions = {};
+
+      for (var key in options) {
+        relatedOptions[key] = options[key];
       }
-    });
 
-  // If there is an email field present, we should attempt to look this user up.
-  } else if (data.email) {
-    self.client.getAccounts(data.email.toLowerCase(), { expand: 'customData' }, function(err, accounts) {
-      if (err && err.status >= 500) return callback(err);
+      relatedOptions.related = {
+        relation: relation,
+        hrefs: found.map(function(resource) {
+          return resource.href;
+        })
+      };
 
-      var account;
+      self.searchResources(type, related.where, relatedOptions, callback);
+    });
+  }
 
-      accounts.each(function(acc, cb) {
-        if (acc.email === data.email.toLowerCase()) {
-          account = acc;
-        }
-        cb();
-      }, function(err) {
-        if (err) return callback(err);
+  // The collections to search: the top level collection, or the collections
+  // of the related resources the where object names.
+  var sources = !options.related ? [function(params, cb) {
+    type.list(self, params, cb);
+  }] : options.related.hrefs.map(function(href) {
+    return function(params, cb) {
+      options.related.relation.listMembers(self, href, params, cb);
+    };
+  });
 
-        // If this account exists, then we'll merge in the new data and save our
-        // changes.
-        if (account) {
-          updateAccount(account, data);
-
-          async.parallel([
-            function(cb) {
-              account.save(function(err) {
-                cb(err || null);
-              });
-            },
-            function(cb) {
-              account.customData.save(function(err) {
-                cb(err || null);
-              });
-            }
-          ], function(err) {
-            if (err) return callback(err);
-            return callback && callback(null, convertAccountToJson(account));
-          });
-
-        // If we get here, it means the account doesn't exist, so we'll create it.
-        } else {
-          self.application.createAccount(data, function(err, account) {
-            if (err) return callback && callback(err);
-            return callback && callback(null, convertAccountToJson(account));
-          });
-        }
+  try {
+    plan = query.buildQueries(where, { searchableAttrs: type.searchableAttrs });
+    order = query.parseOrder(options.order);
+    orderBy = query.buildOrderBy(order, { searchableAttrs: type.searchableAttrs });
+
+    if (plan.filter) {
+      matches = query.compileWhere(plan.filter, {
+        searchableAttrs: type.searchableAttrs,
+        getValue: type.getValue.bind(type)
       });
+    }
+  } catch (err) {
+    return process.nextTick(function() {
+      callback(err);
     });
-  } else {
-    return callback && callback(new Error('Oops! Something bad happened.'));
   }
-};
 
-/**
- * Build a query to be used with application.getAccounts(...);
- *
- * @param {Object} where The Loopback where object.
- * @returns {Object} query An appropriate Stormpath query.
- */
-function buildWhere(where) {
-  var searchableAttrs = ['givenName', 'middleName', 'surname', 'username', 'email'];
-  var query = {};
+  var offset = options.offset || 0;
+  var limit = options.limit || 0;
+  var paginated = plan.searches.length === 1 && sources.length === 1 && !plan.searches[0].ids && !matches &&
+    orderBy !== null;
+  var params = {};
+  var results = [];
+  var seen = {};
 
-  if (where === null || (typeof where !== 'object')) {
-    return query;
+  if (options.expand) {
+    params.expand = options.expand;
   }
 
-  Object.keys(where).forEach(function(key) {
-    var cond = where[key];
+  // Conditions evaluated and orders sorted locally may well be on customData
+  // fields, as is the soft-deletion stamp, so we make sure it is expanded.
+  if (matches || orderBy === null || options.excludeDeleted && !paginated) {
+    var expand = params.expand ? params.expand.split(',') : [];
 
-    // If the condition is not a string, then we don't support the query.
-    if (typeof cond !== 'string') {
-      return;
+    if (expand.indexOf('customData') === -1) {
+      expand.push('customData');
     }
 
-    // If the key is an attribute name for searching, and it is in our
-    // `searchableAttrs` array, it means that the attribute is searchable so
-    // we'll query for it.
-    //
-    // All searchable Stormpath attributes are listed here:
-    // http://docs.stormpath.com/rest/product-guide/#application-accounts-search
-    if (searchableAttrs.indexOf(key) > -1) {
-      query[key] = cond;
+    params.expand = expand.join(',');
+  }
+
+  // A single Stormpath search can be paginated (and sorted) by Stormpath
+  // itself, so we only fetch the page we need.
+  if (paginated) {
+    for (var key in plan.searches[0].query) {
+      params[key] = plan.searches[0].query[key];
     }
-  });
 
-  return query;
-}
+    if (orderBy) {
+      params.orderBy = orderBy;
+    }
+
+    if (!options.excludeDeleted || deletedStatus(params) === null) {
+      return listPage(sources[0], params, offset, limit, callback);
+    }
+
+    return listVisiblePage(sources[0], params, offset, limit, callback);
+  }
+
+  /**
+   * Add a resource to the results, skipping duplicates found by more than one
+   * search, soft-deleted Accounts if they're excluded, and resources that
+   * don't match the locally evaluated conditions.
+   */
+  function add(resource) {
+    if (!seen[resource.href] && !(options.excludeDeleted && isDeleted(resource)) && (!matches || matches(resource))) {
+      seen[resource.href] = true;
+      results.push(resource);
+    }
+  }
+
+  async.eachSeries(plan.searches, function(search, next) {
+    var searchParams = {};
+    var key;
+
+    for (key in params) {
+      searchParams[key] = params[key];
+    }
+
+    for (key in search.query) {
+      searchParams[key] = search.query[key];
+    }
+
+    // Searches restricted to ids alone are resolved by fetching each resource
+    // directly, rather than by scanning the whole collection.
+    if (search.ids && !Object.keys(search.query).length && !options.related) {
+      return async.eachSeries(search.ids, function(id, cb) {
+        type.get(self, type.toHref(id, self.baseUrl), params.expand ? { expand: params.expand } : null, function(err, resource) {
+          if (err && err.status === 404) return cb();
+          if (err) return cb(err);
+
+          add(resource);
+          cb();
+        });
+      }, next);
+    }
+
+    async.eachSeries(sources, function(list, nextSource) {
+      list(searchParams, function(err, resources) {
+        if (err) return nextSource(err);
+
+        resources.each(function(resource, cb) {
+          if (!search.ids || search.ids.indexOf(type.toId(resource.href)) > -1) {
+            add(resource);
+          }
+          cb();
+        }, nextSource);
+      });
+    }, next);
+  }, function(err) {
+    if (err) return callback(err);
+
+    if (order.length) {
+      results.sort(query.compileOrder(order, { getValue: type.getValue.bind(type) }));
+    }
+
+    callback(null, limit ? results.slice(offset, offset + limit) : results.slice(offset));
+  });
+};
 
 /**
  * Find matching model instances by the filter
@@ -422,8 +2364,8 @@ function buildWhere(where) {
  */
 Stormpath.prototype.all = function(model, filter, callback) {
   var self = this;
-  var query = {};
-  var limit = 0;
+  var type = this.getResourceType(model);
+  var options = {};
 
   if (!callback && typeof filter === 'function') {
     callback = filter;
@@ -432,96 +2374,220 @@ Stormpath.prototype.all = function(model, filter, callback) {
 
   filter = filter || {};
 
-  if (filter.where) {
-    query = buildWhere(filter.where);
+  if (this.storesAccessTokens(model)) {
+    return accessTokens.all(this, filter, callback);
   }
 
-  if (filter.include) {
-    var expand = '';
+  var include = [];
 
-    // If the include filter is an array, we'll build up our expand string.
-    if (Array.isArray(filter.include)) {
-      expand = filter.include.join();
-    } else if (typeof filter.include === 'string') {
-      expand = filter.include;
-    }
+  if (Array.isArray(filter.include)) {
+    include = filter.include;
+  } else if (typeof filter.include === 'string') {
+    include = [filter.include];
+  }
+
+  // Related resources are expanded a full page at a time, the rest of them
+  // are fetched afterwards.
+  var relations = include.filter(function(name) {
+    return type.relations.hasOwnProperty(name);
+  });
 
-    query.expand = expand ? expand : undefined;
+  if (include.length) {
+    options.expand = include.map(function(name) {
+      return relations.indexOf(name) > -1 ? name + '(offset:0,limit:' + MAX_PAGE_SIZE + ')' : name;
+    }).join();
   }
 
-  if (filter.limit) {
-    if (typeof filter.limit === 'number') {
-      limit = filter.limit;
-    }
+  if (typeof filter.limit === 'number' && filter.limit > 0) {
+    options.limit = filter.limit;
+  }
+
+  // Loopback accepts both `skip` and `offset`.
+  var offset = filter.skip || filter.offset;
+
+  if (typeof offset === 'number' && offset > 0) {
+    options.offset = offset;
+  }
+
+  options.order = filter.order;
+
+  // Model properties stored in customData are only available if it's expanded,
+  // so we expand it whenever one of them (or customData itself) is part of the
+  // response.
+  var properties = this.getProperties(model);
+  var customProperties = type.customProperties(properties);
+
+  if (filter.fields) {
+    customProperties = customProperties.filter(function(property) {
+      return fieldsToArray(filter.fields, customProperties).indexOf(property) > -1;
+    });
+  }
+
+  if ((customProperties.length || includesCustomData(properties, filter)) &&
+    !/(^|,)customData(,|$)/.test(options.expand || '')) {
+    options.expand = options.expand ? options.expand + ',customData' : 'customData';
   }
 
   // Now that our query has been built, execute!
-  this.application.getAccounts(query, function(err, accounts) {
-    var accs = [];
+  this.searchResources(type, filter.where, this.visibleOptions(model, options), function(err, resources) {
+    if (err) return callback && callback(err);
 
-    accounts.each(function(account, cb) {
-      if (!limit || (limit && accs.length < limit)) {
-        accs.push(convertAccountToJson(account));
-      }
-      cb();
-    }, function(err) {
-      if (err) return callback(err);
-      return callback && callback(null, accs);
+    completeRelations(self, resources, relations, function(err) {
+      if (err) return callback && callback(err);
+
+      return callback && callback(null, resources.map(function(resource) {
+        return self.toJson(model, resource, filter);
+      }));
+    });
+  });
+};
+
+/**
+ * Find the resources a bulk mutation (`destroyAll` or `updateAll`) affects,
+ * enforcing the bulk guards first: mutations without a where clause are
+ * refused unless `allowUnscopedBulk` is set, and mutations affecting more
+ * than `maxBulkAffected` resources are aborted before anything is changed.
+ *
+ * @param {String} model The model name.
+ * @param {Object} [where] The where object.
+ * @param {Object} options The options object, whose `allowUnscopedBulk` and
+ *  `maxAffected` override the data source settings.
+ * @param {String} action What's being done, for error messages, eg: `destroy`.
+ * @param {Object} searchOptions The search options (see `searchResources`).
+ * @param {Function} callback The callback function, receiving an array of
+ *  Stormpath resources.
+ */
+Stormpath.prototype.findBulkTargets = function(model, where, options, action, searchOptions, callback) {
+  var allowUnscoped = options.allowUnscopedBulk !== undefined ? options.allowUnscopedBulk : this.allowUnscopedBulk;
+  var max = options.maxAffected !== undefined ? options.maxAffected : this.maxBulkAffected;
+
+  var unscoped;
+
+  try {
+    unscoped = isUnscoped(this.getResourceType(model), where);
+  } catch (err) {
+    return process.nextTick(function() {
+      callback(err);
+    });
+  }
+
+  if (!allowUnscoped && unscoped) {
+    return process.nextTick(function() {
+      callback(errors.unscopedBulkError(action, model));
+    });
+  }
+
+  this.searchResources(this.getResourceType(model), where, this.visibleOptions(model, searchOptions), function(err, resources) {
+    if (err) return callback(err);
+    if (max && resources.length > max) return callback(errors.bulkLimitError(action, model, resources.length, max));
+    callback(null, resources);
+  });
+};
+
+/**
+ * Build the result of a dry run of a bulk mutation.
+ *
+ * @param {String} model The model name.
+ * @param {Array} resources The Stormpath resources which would be affected.
+ * @return {Object} The `count` and `ids` of the affected instances.
+ */
+Stormpath.prototype.dryRunResult = function(model, resources) {
+  var type = this.getResourceType(model);
+
+  return {
+    count: resources.length,
+    ids: resources.map(function(resource) {
+      return type.toId(resource.href);
+    })
+  };
+};
+
+/**
+ * Apply a change to each of the resources a bulk mutation affects, at most
+ * `options.concurrency` (or the `concurrency` setting) at a time.
+ *
+ * @param {String} model The model name.
+ * @param {Array} resources The Stormpath resources.
+ * @param {Object} options The options object.
+ * @param {String} action What's being done, for error messages, eg: `destroy`.
+ * @param {Function} iterator The iterator, called with each resource and a
+ *  callback.
+ * @param {Function} callback The callback function, receiving the number of
+ *  changed resources, or a `BULK_OPERATION_FAILED` error listing which ones
+ *  were changed and which ones failed (see `errors.bulkOperationError`).
+ */
+Stormpath.prototype.runBulk = function(model, resources, options, action, iterator, callback) {
+  var type = this.getResourceType(model);
+  var concurrency = bulk.normalizeConcurrency(options.concurrency, this.concurrency);
+
+  bulk.run(resources, concurrency, function(resource, index, cb) {
+    var id = type.toId(resource.href);
+
+    iterator(resource, function(err) {
+      if (err) return cb(errors.stormpathError(err, { model: model, id: id, field: type.lookupField }));
+      cb(null, id);
     });
+  }, function(ids, failed) {
+    if (!failed.length) return callback(null, ids.length);
+
+    callback(errors.bulkOperationError(action, model, ids, failed.map(function(entry) {
+      return { id: type.toId(resources[entry.index].href), error: entry.error };
+    })));
   });
 };
 
 /**
- * Delete all instances for the given model.
+ * Delete all instances for the given model.  With soft deletes on, Accounts
+ * are soft-deleted instead (see `softDeleteResource`).  Access tokens are
+ * revoked, and reported as an object with their `count`, as `User.logout`
+ * expects; the bulk options don't apply to them.
  *
  * @param {String} model The model name.
- * @param {Object} [filter] The filter for where.
+ * @param {Object} [where] The where object.
+ * @param {Object} [options] The options object.
+ * @param {Boolean} [options.dryRun] Only report which instances would be
+ *  deleted, as an object with their `count` and `ids`.
+ * @param {Boolean} [options.allowUnscopedBulk] Allow deleting every instance.
+ * @param {Number} [options.maxAffected] The most instances to delete.
+ * @param {Number} [options.concurrency] How many instances to delete at once.
  * @param {Function} [callback] The callback function.
  */
-Stormpath.prototype.destroyAll = function(model, filter, callback) {
+Stormpath.prototype.destroyAll = function(model, where, options, callback) {
   var self = this;
-  var query = {};
+  var softDelete = this.softDeletes(model);
+
+  if (!callback && typeof options === 'function') {
+    callback = options;
+    options = undefined;
+  }
 
   // Allow the user to call this method without any where query specified.
-  if (!callback && 'function' === typeof filter) {
-    callback = filter;
-    filter = undefined;
+  if (!callback && 'function' === typeof where) {
+    callback = where;
+    where = undefined;
   }
 
-  if (filter && filter.where) {
-    query = buildWhere(filter.where);
+  options = options || {};
+
+  if (this.storesAccessTokens(model)) {
+    return accessTokens.destroyAll(this, where, callback);
   }
 
-  self.application.getAccounts(query || {}, function(err, accounts) {
-    var totalUsers = 0;
-    var userHrefs = [];
+  // We collect every matching resource before deleting anything, as deleting
+  // resources while paging through a search would shift its offsets.
+  this.findBulkTargets(model, where, options, 'destroy', softDelete ? { expand: 'customData' } : {}, function(err, resources) {
+    if (err) return callback(err);
+    if (options.dryRun) return callback(null, self.dryRunResult(model, resources));
 
-    // Iterate over all accounts, building an array of account hrefs to delete
-    // (this allows us to remove all accounts in one operation).
-    accounts.each(function(account, cb) {
-      totalUsers += 1;
-      userHrefs.push(account.href);
-      cb();
-    }, function(err) {
-      if (err) return callback(err);
+    self.runBulk(model, resources, options, 'destroy', function(resource, cb) {
+      if (softDelete) {
+        return softDeleteResource(resource, cb);
+      }
 
-      async.each(userHrefs,
-        function(href, cb) {
-          self.client.getAccount(href, function(err, account) {
-            if (err) return cb(err);
-
-            account.delete(function(err) {
-              if (err) return cb(err);
-              cb();
-            });
-          });
-        },
-        function(err) {
-          if (err) return callback(err);
-          return callback(null, totalUsers);
-        }
-      );
-    });
+      resource.delete(function(err) {
+        cb(err || null);
+      });
+    }, callback);
   });
 };
 
@@ -530,56 +2596,122 @@ Stormpath.prototype.destroyAll = function(model, filter, callback) {
  *
  * @param {String} model The model name.
  * @param {Function} [callback] The callback function.
- * @param {Object} filter The filter for where.
+ * @param {Object} where The where object.
  *
  */
-Stormpath.prototype.count = function(model, callback, filter) {
-  var query = {};
+Stormpath.prototype.count = function(model, callback, where) {
+  var type = this.getResourceType(model);
 
-  if (filter && filter.where) {
-    query = buildWhere(filter.where);
+  if (this.storesAccessTokens(model)) {
+    return accessTokens.count(this, where, callback);
   }
 
-  this.application.getAccounts(query || {}, function(err, accounts) {
+  this.countResources(type, where, this.visibleOptions(model), function(err, count) {
     if (err) return callback && callback(err);
-    callback && callback(null, accounts.size);
+    callback && callback(null, count);
   });
 };
 
 /**
- * Update all matching instances.
+ * Update all matching instances.  The data is written as by
+ * `updateAttributes`: properties which aren't standard fields are merged into
+ * each resource's customData.
  *
  * @param {String} model The model name.
- * @param {Object} filter The search criteria.
+ * @param {Object} where The search criteria.
  * @param {Object} data The property/value pairs to be updated.
+ * @param {Object} [options] The options object, as for `destroyAll`.
  * @callback {Function} cb Callback function.
  */
-Stormpath.prototype.update = Stormpath.prototype.updateAll = function(model, filter, data, callback) {
+Stormpath.prototype.update = Stormpath.prototype.updateAll = function(model, where, data, options, callback) {
   var self = this;
-  var query = {};
+  var type = this.getResourceType(model);
 
-  if (filter && filter.where) {
-    query = buildWhere(filter.where);
+  if (typeof options === 'function') {
+    callback = options;
+    options = undefined;
   }
 
-  self.application.getAccounts(query || {}, function(err, accounts) {
+  options = options || {};
+
+  this.findBulkTargets(model, where, options, 'update', { expand: 'customData' }, function(err, resources) {
     if (err) return callback(err);
+    if (options.dryRun) return callback(null, self.dryRunResult(model, resources));
 
-    var count = 0;
-    accounts.each(function(account, cb) {
-      for (var key in data) {
-        account[key] = data[key];
-      }
+    self.runBulk(model, resources, options, 'update', function(resource, cb) {
+      type.update(resource, data);
+      saveResource(resource, cb);
+    }, callback);
+  });
+};
 
-      account.save(function(err) {
-        if (err) return cb(err);
+/**
+ * Restore a soft-deleted Account: it's enabled again, and its `deletedAt`
+ * stamp is removed.  Accounts which weren't deleted are left alone.
+ *
+ * @param {String} model The model name.
+ * @param {String} id The Account's model id.
+ * @param {Function} callback The callback function, called with the Account.
+ */
+Stormpath.prototype.restore = function(model, id, callback) {
+  var self = this;
+  if (!requireAccountModel(this, model, 'restore deleted accounts', callback)) return;
 
-        count += 1;
-        cb();
-      });
-    }, function(err) {
+  this.getById(model, id, function(err, resource) {
+    if (err) return callback(err);
+
+    if (!isDeleted(resource)) {
+      return callback(null, self.toJson(model, resource));
+    }
+
+    resource.status = 'ENABLED';
+    resource.customData.remove(DELETED_AT);
+
+    saveResource(resource, function(err) {
       if (err) return callback(err);
-      return callback && callback(null, count);
+      callback(null, self.toJson(model, resource));
     });
   });
 };
+
+/**
+ * Permanently delete the soft-deleted Accounts whose retention period is over,
+ * ie: which were deleted more than `softDelete.retentionDays` days ago.
+ *
+ * @param {String} model The model name.
+ * @param {Object} [options] The options object.
+ * @param {Date} [options.before] Purge the Accounts deleted before this date
+ *  instead.
+ * @param {Number} [options.concurrency] How many Accounts to delete at once.
+ * @param {Function} callback The callback function, called with the number of
+ *  purged Accounts.
+ */
+Stormpath.prototype.purge = function(model, options, callback) {
+  var self = this;
+  var type = this.getResourceType(model);
+  var retentionDays = this.softDelete ? this.softDelete.retentionDays : DEFAULT_RETENTION_DAYS;
+  var where = {};
+
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  if (!requireAccountModel(this, model, 'purge deleted accounts', callback)) return;
+
+  options = options || {};
+  where.status = 'DISABLED';
+  where['customData.' + DELETED_AT] = {
+    lt: options.before || new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000)
+  };
+
+  this.searchResources(type, where, {}, function(err, resources) {
+    if (err) return callback(err);
+
+    self.runBulk(model, resources, options, 'purge', function(resource, cb) {
+      resource.delete(function(err) {
+        cb(err || null);
+      });
+    }, callback);
+  });
+};
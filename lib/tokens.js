@@ -0,0 +1,113 @@
+'use strict';
+
+var crypto = require('crypto');
+
+/**
+ * Encode a buffer (or string) as unpadded base64url, as JWTs use.
+ *
+ * @param {Buffer|String} value The value.
+ * @return {String} The encoded value.
+ */
+function base64url(value) {
+  return new Buffer(value).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+/**
+ * Compute the HS256 signature of a JWT's header and claims.
+ *
+ * @param {String} signed The encoded header and claims, joined by a `.`.
+ * @param {String} secret The signing secret.
+ * @return {String} The base64url encoded signature.
+ */
+function hs256(signed, secret) {
+  return base64url(crypto.createHmac('sha256', String(secret)).update(signed).digest());
+}
+
+/**
+ * Sign a JWT with HS256, the way Stormpath signs its OAuth tokens.
+ *
+ * @param {Object} header The JWT header, eg: `{ kid: apiKeyId, stt: 'access' }`.
+ *  The `typ` and `alg` are filled in.
+ * @param {Object} claims The JWT claims.
+ * @param {String} secret The signing secret (an API key secret).
+ * @return {String} The compact JWT.
+ */
+function sign(header, claims, secret) {
+  var fullHeader = { typ: 'JWT', alg: 'HS256' };
+
+  for (var key in header) {
+    fullHeader[key] = header[key];
+  }
+
+  var signed = base64url(JSON.stringify(fullHeader)) + '.' + base64url(JSON.stringify(claims));
+
+  return signed + '.' + hs256(signed, secret);
+}
+
+/**
+ * Decode a compact JWT, without verifying it.
+ *
+ * @param {String} token The compact JWT.
+ * @return {Object} The `header`, `claims`, `signed` part and `signature` of
+ *  the JWT, or `null` if it's malformed.
+ */
+function decode(token) {
+  var parts = typeof token === 'string' ? token.split('.') : [];
+
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  try {
+    return {
+      header: JSON.parse(new Buffer(parts[0], 'base64').toString('utf8')),
+      claims: JSON.parse(new Buffer(parts[1], 'base64').toString('utf8')),
+      signed: parts[0] + '.' + parts[1],
+      signature: parts[2]
+    };
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Compare two strings in constant time (for a given length), so that how long
+ * the comparison takes doesn't tell how much of a secret was guessed right.
+ *
+ * @param {String} a The first string.
+ * @param {String} b The second string.
+ * @return {Boolean} Whether the strings are equal.
+ */
+function safeEqual(a, b) {
+  a = String(a);
+  b = String(b);
+
+  var diff = a.length ^ b.length;
+
+  for (var i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ (b.charCodeAt(i) | 0);
+  }
+
+  return diff === 0;
+}
+
+/**
+ * Check the HS256 signature of a decoded JWT, in constant time.  Tokens signed
+ * with any other algorithm (including `none`) fail.
+ *
+ * @param {Object} decoded The decoded JWT (see `decode`).
+ * @param {String} secret The signing secret.
+ * @return {Boolean} Whether the signature is valid.
+ */
+function verifySignature(decoded, secret) {
+  if (!decoded || !decoded.header || decoded.header.alg !== 'HS256') {
+    return false;
+  }
+
+  return safeEqual(hs256(decoded.signed, secret), decoded.signature);
+}
+
+exports.decode = decode;
+exports.safeEqual = safeEqual;
+exports.sign = sign;
+exports.verifySignature = verifySignature;
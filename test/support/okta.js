@@ -0,0 +1,298 @@
+'use strict';
+
+var http = require('http');
+var url = require('url');
+
+/**
+ * The user lifecycle operations, with the statuses they apply to and the
+ * resulting status.
+ */
+var LIFECYCLE = {
+  activate: { from: ['STAGED', 'PROVISIONED', 'DEPROVISIONED'], to: 'ACTIVE' },
+  suspend: { from: ['ACTIVE'], to: 'SUSPENDED' },
+  unsuspend: { from: ['SUSPENDED'], to: 'ACTIVE' },
+  unlock: { from: ['LOCKED_OUT'], to: 'ACTIVE' },
+  deactivate: { from: ['STAGED', 'PROVISIONED', 'ACTIVE', 'RECOVERY', 'PASSWORD_EXPIRED', 'LOCKED_OUT', 'SUSPENDED'], to: 'DEPROVISIONED' }
+};
+
+/**
+ * Send a JSON response.
+ *
+ * @param {Object} res The HTTP response.
+ * @param {Number} status The HTTP status code.
+ * @param {Object} [body] The response body.
+ * @param {Object} [headers] Additional response headers.
+ */
+function send(res, status, body, headers) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+
+  for (var name in headers || {}) {
+    res.setHeader(name, headers[name]);
+  }
+
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+/**
+ * Build an Okta error response body.
+ *
+ * @param {String} code The Okta error code, eg: `E0000001`.
+ * @param {String} summary The error summary.
+ * @param {Array} [causes] The summaries of the error causes.
+ * @return {Object} The error.
+ */
+function oktaError(code, summary, causes) {
+  return {
+    errorCode: code,
+    errorSummary: summary,
+    errorCauses: (causes || []).map(function(cause) {
+      return { errorSummary: cause };
+    })
+  };
+}
+
+/**
+ * Check whether an Okta user matches a (simple) user list filter, eg:
+ * `profile.email eq "randall@stormpath.com" and status eq "ACTIVE"`.
+ *
+ * @param {Object} user The Okta user.
+ * @param {String} filter The filter expression.
+ * @return {Boolean} Whether the user matches.
+ */
+function matchesFilter(user, filter) {
+  var pattern = /([\w.]+) eq "((?:[^"\\]|\\.)*)"/g;
+  var match;
+
+  while ((match = pattern.exec(filter))) {
+    var value = match[1].split('.').reduce(function(obj, key) {
+      return obj && obj[key];
+    }, user);
+
+    if (String(value).toLowerCase() !== match[2].replace(/\\(.)/g, '$1').toLowerCase()) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Create a stand-in for the parts of the Okta API the Okta backend uses: the
+ * Users API (`/api/v1/users`, including lifecycle operations) and the
+ * Authentication API (`/api/v1/authn`).
+ *
+ * @param {Object} options The server options.
+ * @param {String} options.token The API token requests must carry.
+ * @param {Number} [options.pageSize] The largest page of users to return.
+ * @return {Object} The HTTP server, with the stored `users` (keyed by id) and
+ *  the URLs of all `requests` made to it.
+ */
+module.exports = function createOktaServer(options) {
+  var nextId = 1;
+  var users = {};
+  var requests = [];
+
+  var server = http.createServer(function(req, res) {
+    var chunks = [];
+
+    req.on('data', function(chunk) {
+      chunks.push(chunk);
+    });
+
+    req.on('end', function() {
+      var body = chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {};
+      requests.push(req.method + ' ' + req.url);
+
+      if (req.headers.authorization !== 'SSWS ' + options.token) {
+        return send(res, 401, oktaError('E0000011', 'Invalid token provided'));
+      }
+
+      handle(req, res, url.parse(req.url, true), body);
+    });
+  });
+
+  /**
+   * Find a user by login, other than the given one.
+   */
+  function findByLogin(login, except) {
+    return Object.keys(users).map(function(id) {
+      return users[id];
+    }).filter(function(user) {
+      return user !== except && String(user.profile.login).toLowerCase() === String(login).toLowerCase();
+    })[0];
+  }
+
+  /**
+   * Validate and store a user's profile and password.
+   */
+  function write(res, user, profile, credentials) {
+    var merged = JSON.parse(JSON.stringify(user.profile || {}));
+
+    for (var key in profile) {
+      merged[key] = profile[key];
+    }
+
+    var missing = ['login', 'email', 'firstName', 'lastName'].filter(function(field) {
+      return !merged[field];
+    });
+
+    if (missing.length) {
+      send(res, 400, oktaError('E0000001', 'Api validation failed: ' + missing[0], missing.map(function(field) {
+        return field + ': The field cannot be left blank';
+      })));
+      return false;
+    }
+
+    if (findByLogin(merged.login, user)) {
+      send(res, 400, oktaError('E0000001', 'Api validation failed: login', [
+        'login: An object with this field already exists in the current organization'
+      ]));
+      return false;
+    }
+
+    var password = credentials && credentials.password && credentials.password.value;
+
+    if (password !== undefined && (password.length < 8 || !/[0-9]/.test(password))) {
+      send(res, 400, oktaError('E0000001', 'Api validation failed: password', [
+        'password: Password requirements were not met. Password requirements: at least 8 characters, a number.'
+      ]));
+      return false;
+    }
+
+    user.profile = merged;
+    user.lastUpdated = new Date().toISOString();
+
+    if (password !== undefined) {
+      user.password = password;
+      user.passwordChanged = user.lastUpdated;
+    }
+
+    return true;
+  }
+
+  /**
+   * Render a stored user.
+   */
+  function render(user) {
+    var json = JSON.parse(JSON.stringify(user));
+    delete json.password;
+    return json;
+  }
+
+  /**
+   * Dispatch a request.
+   */
+  function handle(req, res, parsed, body) {
+    var parts = parsed.pathname.split('/').slice(1);
+    var user;
+
+    if (parsed.pathname === '/api/v1/authn' && req.method === 'POST') {
+      user = findByLogin(body.username);
+
+      if (!user || user.password !== body.password || ['ACTIVE', 'LOCKED_OUT'].indexOf(user.status) === -1) {
+        return send(res, 401, oktaError('E0000004', 'Authentication failed'));
+      }
+
+      return send(res, 200, {
+        status: user.status === 'ACTIVE' ? 'SUCCESS' : user.status,
+        _embedded: {
+          user: {
+            id: user.id,
+            profile: { login: user.profile.login, firstName: user.profile.firstName, lastName: user.profile.lastName }
+          }
+        }
+      });
+    }
+
+    if (parsed.pathname === '/api/v1/users' && req.method === 'POST') {
+      var now = new Date().toISOString();
+
+      user = {
+        id: '00u' + ('000000000' + nextId++).slice(-10),
+        status: parsed.query.activate === 'false' ? 'STAGED' : 'ACTIVE',
+        created: now,
+        lastUpdated: now,
+        passwordChanged: null
+      };
+
+      if (!write(res, user, body.profile, body.credentials)) {
+        return;
+      }
+
+      users[user.id] = user;
+      return send(res, 200, render(user));
+    }
+
+    if (parsed.pathname === '/api/v1/users' && req.method === 'GET') {
+      var limit = Math.min(parseInt(parsed.query.limit, 10) || 200, options.pageSize || 200);
+      var after = parseInt(parsed.query.after, 10) || 0;
+      var matches = Object.keys(users).map(function(id) {
+        return users[id];
+      }).filter(function(user) {
+        // Deprovisioned users are only listed when filtered by status.
+        return (user.status !== 'DEPROVISIONED' || /\bstatus eq/.test(parsed.query.filter || '')) &&
+          matchesFilter(user, parsed.query.filter || '');
+      });
+      var headers = {};
+
+      if (after + limit < matches.length) {
+        parsed.query.after = after + limit;
+        headers.Link = '<http://' + req.headers.host + url.format({ pathname: parsed.pathname, query: parsed.query }) + '>; rel="next"';
+      }
+
+      return send(res, 200, matches.slice(after, after + limit).map(render), headers);
+    }
+
+    user = parts.length >= 4 && parts[2] === 'users' && users[parts[3]];
+
+    if (!user) {
+      return send(res, 404, oktaError('E0000007', 'Not found: Resource not found: ' + parsed.pathname + ' (User)'));
+    }
+
+    if (parts.length === 6 && parts[4] === 'lifecycle' && req.method === 'POST') {
+      var transition = LIFECYCLE[parts[5]];
+
+      if (!transition) {
+        return send(res, 404, oktaError('E0000007', 'Not found: Resource not found: ' + parsed.pathname));
+      }
+
+      if (transition.from.indexOf(user.status) === -1) {
+        return send(res, 400, oktaError('E0000001', 'Api validation failed: ' + parts[5], [
+          'Cannot ' + parts[5] + ' a user that is ' + user.status
+        ]));
+      }
+
+      user.status = transition.to;
+      user.lastUpdated = new Date().toISOString();
+      return send(res, 200, {});
+    }
+
+    if (req.method === 'GET') {
+      return send(res, 200, render(user));
+    }
+
+    if (req.method === 'POST') {
+      if (write(res, user, body.profile, body.credentials)) {
+        send(res, 200, render(user));
+      }
+      return;
+    }
+
+    if (req.method === 'DELETE') {
+      if (user.status === 'DEPROVISIONED') {
+        delete users[user.id];
+      } else {
+        user.status = 'DEPROVISIONED';
+      }
+      return send(res, 204);
+    }
+
+    send(res, 405, oktaError('E0000022', 'The endpoint does not support the provided HTTP method'));
+  }
+
+  server.users = users;
+  server.requests = requests;
+
+  return server;
+};
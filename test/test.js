@@ -2,24 +2,41 @@
 
 var assert = require('assert');
 var async = require('async');
+var http = require('http');
 var juggler = require('loopback-datasource-juggler');
 var loopback = require('loopback');
 var stormpath = require('stormpath');
 var uuid = require('uuid');
 
+var MemoryBackend = require('../lib/memory');
+var OktaBackend = require('../lib/okta');
+var RequestExecutor = require('../lib/executor');
+var errors = require('../lib/errors');
+var retry = require('../lib/retry');
+var tokens = require('../lib/tokens');
+var createOktaServer = require('./support/okta');
+
 // The test suite's configuration details.  These are all pulled from locally
-// set environment variables.  If you want to run this test suite yourself,
-// you'll need to set the following environment variables to valid Stormpath
-// credentials:
+// set environment variables.  If you want to run this test suite against
+// Stormpath itself, you'll need to set the following environment variables to
+// valid Stormpath credentials:
 //
 //  - STORMPATH_API_KEY_ID
 //  - STORMPATH_API_KEY_SECRET
-//  - STORMPATH_APPLICATION_HREF
+//
+// Otherwise, the test suite runs offline, against the connector's in-memory
+// backend (with a made up API key, which it signs OAuth tokens with).
 var config = {
   apiKeyId: process.env.STORMPATH_API_KEY_ID,
   apiKeySecret: process.env.STORMPATH_API_KEY_SECRET,
 };
 
+if (!config.apiKeyId || !config.apiKeySecret) {
+  config.apiKeyId = 'test';
+  config.apiKeySecret = uuid.v4();
+  config.backend = new MemoryBackend({ apiKey: { id: config.apiKeyId, secret: config.apiKeySecret } });
+}
+
 // The global `Loopback` application object that we'll use to run our tests
 // against.
 var app = loopback();
@@ -29,6 +46,19 @@ var app = loopback();
 // essentially what we have to work with this library for testing purposes.
 var User;
 
+// Loopback's own `User` model, since our `User` replaces it in the registry.
+var LoopbackUser = loopback.User;
+
+// The global `Team`, `AccountStore` and `Tenant` objects, which are mapped to
+// Stormpath Groups, Directories and Organizations rather than Accounts.
+var Team;
+var AccountStore;
+var Tenant;
+
+// The global `Member` object, an Account model which declares its properties,
+// some of which are stored in customData.
+var Member;
+
 /**
  * Create a new Stormpath Client object.
  *
@@ -36,7 +66,7 @@ var User;
  */
 function createClient() {
   var apiKey = new stormpath.ApiKey(config.apiKeyId, config.apiKeySecret);
-  return new stormpath.Client({ apiKey: apiKey });
+  return new stormpath.Client({ apiKey: apiKey, requestExecutor: config.backend });
 }
 
 /**
@@ -88,6 +118,31 @@ function createUserModel(dataSource) {
   loopback.configureModel(User, { dataSource: dataSource });
 }
 
+/**
+ * Create a model which is mapped to the given Stormpath resource type, and bind
+ * our Data Source to it.
+ *
+ * @param {String} name The model name.
+ * @param {String} resource The Stormpath resource type, eg: `group`.
+ * @param {Object} [properties] The model's property definitions.
+ * @returns {Object} The new model.
+ */
+function createResourceModel(name, resource, dataSource, properties) {
+  var Model = app.loopback.createModel({
+    name: name,
+    properties: properties || {},
+    options: {
+      base: 'PersistedModel',
+      idInjection: false,
+      strict: false,
+      stormpath: { resource: resource }
+    }
+  });
+
+  loopback.configureModel(Model, { dataSource: dataSource });
+  return Model;
+}
+
 describe('Stormpath', function() {
 
   var client;
@@ -102,10 +157,6 @@ describe('Stormpath', function() {
   // Bootstrap our test suite.  This is run only once, and handles basic setup:
   // creating a Stormpath Application, etc.
   before(function(done) {
-    if (!config.apiKeyId || !config.apiKeySecret) {
-      return done(new Error('No STORMPATH_API_KEY_ID and / or STORMPATH_API_KEY_SECRET environment variables set!'));
-    }
-
     async.series([
       function(callback) {
         client = createClient();
@@ -121,7 +172,21 @@ describe('Stormpath', function() {
         });
       },
       function(callback) {
-        createUserModel(getDataSource(config));
+        var dataSource = getDataSource(config);
+
+        createUserModel(dataSource);
+        Team = createResourceModel('Team', 'group', dataSource);
+        AccountStore = createResourceModel('AccountStore', 'directory', dataSource);
+        Tenant = createResourceModel('Tenant', 'organization', dataSource);
+        Member = createResourceModel('Member', 'account', dataSource, {
+          id: { type: String, id: true },
+          email: String,
+          givenName: String,
+          surname: String,
+          status: String,
+          createdAt: Date,
+          plan: String
+        });
         callback();
       }
     ], function(err) {
@@ -203,21 +268,23 @@ describe('Stormpath', function() {
     });
   })
 
-  // Remove all newly created Accounts after each test has been run.  This
-  // ensures we don't get naming collisions.
+  // Remove all newly created Accounts and Groups after each test has been run.
+  // This ensures we don't get naming collisions.
   afterEach(function(done) {
-    application.getAccounts(function(err, accounts) {
-      if (err) return done(err);
+    async.eachSeries(['getAccounts', 'getGroups'], function(method, next) {
+      application[method](function(err, resources) {
+        if (err) return next(err);
 
-      accounts.each(function(account, callback) {
-        account.delete(function(err) {
-          if (err) return callback(err);
-          callback();
-        });
-      }, function(err) {
-        if (err) return done(err);
-        done();
+        resources.each(function(resource, callback) {
+          resource.delete(function(err) {
+            if (err) return callback(err);
+            callback();
+          });
+        }, next);
       });
+    }, function(err) {
+      if (err) return done(err);
+      done();
     });
   });
 
@@ -284,6 +351,63 @@ describe('Stormpath', function() {
         done();
       });
     });
+
+    it('should persist changes to Stormpath', function(done) {
+      User.create(user, function(err, obj) {
+        if (err) return done(err);
+
+        obj.givenName = 'Woot';
+        obj.plan = 'pro';
+        obj.password = 'n3wPASSWORD!!';
+
+        obj.save(function(err) {
+          if (err) return done(err);
+
+          client.getAccount('https://api.stormpath.com/v1/accounts/' + obj.id, { expand: 'customData' }, function(err, account) {
+            if (err) return done(err);
+
+            assert.equal(account.givenName, 'Woot');
+            assert.equal(account.surname, user.surname);
+            assert.equal(account.customData.plan, 'pro');
+            assert.equal(account.customData.password, undefined);
+            assert.equal(account.customData.fullName, undefined);
+
+            application.authenticateAccount({ username: user.email, password: 'n3wPASSWORD!!' }, done);
+          });
+        });
+      });
+    });
+
+    it('should merge customData with existing values', function(done) {
+      User.create({
+        givenName: user.givenName,
+        surname: user.surname,
+        email: user.email,
+        password: user.password,
+        plan: 'free',
+        nickname: 'rdegges'
+      }, function(err, obj) {
+        if (err) return done(err);
+
+        User.findById(obj.id, function(err, found) {
+          if (err) return done(err);
+
+          found.plan = 'pro';
+
+          found.save(function(err) {
+            if (err) return done(err);
+
+            User.all({ where: { nickname: 'rdegges' }, include: 'customData' }, function(err, users) {
+              if (err) return done(err);
+
+              assert.equal(users.length, 1);
+              assert.equal(users[0].customData.plan, 'pro');
+              done();
+            });
+          });
+        });
+      });
+    });
   });
 
   describe('#exists', function() {
@@ -308,44 +432,97 @@ describe('Stormpath', function() {
         });
       });
     });
+
+    it('should check existence on the connector without fetching customData', function(done) {
+      var connector = User.getDataSource().connector;
+
+      User.create(user, function(err, obj) {
+        if (err) return done(err);
+
+        connector.exists('User', obj.id, function(err, exists) {
+          if (err) return done(err);
+
+          assert(exists);
+
+          connector.exists('User', 'abc123', function(err, exists) {
+            if (err) return done(err);
+
+            assert(!exists);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('#existsBy', function() {
+    it('should check existence by email and username', function(done) {
+      var connector = User.getDataSource().connector;
+
+      User.create(user, function(err) {
+        if (err) return done(err);
+
+        async.series([
+          connector.existsBy.bind(connector, 'User', 'email', user.email.toUpperCase()),
+          connector.existsBy.bind(connector, 'User', 'username', user.email),
+          connector.existsBy.bind(connector, 'User', 'email', '*@stormpath.com'),
+          connector.existsBy.bind(connector, 'User', 'email', 'nobody@stormpath.com')
+        ], function(err, results) {
+          if (err) return done(err);
+
+          assert.deepEqual(results, [true, true, false, false]);
+          done();
+        });
+      });
+    });
+
+    it('should return an error for fields Stormpath cannot search', function(done) {
+      User.getDataSource().connector.existsBy('User', 'plan', 'pro', function(err) {
+        assert(err);
+        assert.equal(err.statusCode, 400);
+        done();
+      });
+    });
   });
 
   describe('#find', function() {
-  //  it('should return users when users exist', function(done) {
-  //    User.create(user, function(err, obj) {
-  //      if (err) return done(err);
+    it('should return users when users exist', function(done) {
+      User.create(user, function(err, obj) {
+        if (err) return done(err);
 
-  //      User.find({}, function(err, users) {
-  //        if (err) return done(err);
+        User.find({}, function(err, users) {
+          if (err) return done(err);
 
-  //        assert.equal(users.length, 1);
-  //        assert.equal(users[0].id === obj.id);
-  //        done();
-  //      });
-  //    });
-  //  });
+          assert.equal(users.length, 1);
+          assert.equal(users[0].id, obj.id);
+          done();
+        });
+      });
+    });
   });
 
   describe('#findById', function() {
-    //it('should return no user if no users exist', function(done) {
-    //  User.findById('abc123', function(err, obj) {
-    //    assert(err);
-    //    done();
-    //  });
-    //});
+    it('should return no user if no users exist', function(done) {
+      User.findById('abc123', function(err, obj) {
+        if (err) return done(err);
+
+        assert(!obj);
+        done();
+      });
+    });
 
-    //it('should return a user if a valid id is specified', function(done) {
-    //  User.create(user, function(err, obj) {
-    //    if (err) return done(err);
+    it('should return a user if a valid id is specified', function(done) {
+      User.create(user, function(err, obj) {
+        if (err) return done(err);
 
-    //    User.findById(obj.id, function(err, newObj) {
-    //      if (err) return done(err);
+        User.findById(obj.id, function(err, newObj) {
+          if (err) return done(err);
 
-    //      assert.equal(newObj.id, obj.id);
-    //      done();
-    //    });
-    //  });
-    //});
+          assert.equal(newObj.id, obj.id);
+          done();
+        });
+      });
+    });
   });
 
   describe('#updateOrCreate', function() {
@@ -365,6 +542,32 @@ describe('Stormpath', function() {
       });
     });
 
+    it('should update an existing user found by a mixed case email', function(done) {
+      var data = {
+        givenName: user.givenName,
+        surname: user.surname,
+        email: 'Randall.Degges@Stormpath.com',
+        password: user.password
+      };
+
+      User.create(data, function(err, obj) {
+        if (err) return done(err);
+
+        // Without an id, the connector looks the user up by email.
+        User.getDataSource().connector.updateOrCreate('User', {
+          email: data.email,
+          givenName: 'Woot'
+        }, function(err, updatedUser) {
+          if (err) return done(err);
+
+          assert.equal(updatedUser.id, obj.id);
+          assert.equal(updatedUser.email, data.email);
+          assert.equal(updatedUser.givenName, 'Woot');
+          done();
+        });
+      });
+    });
+
     it('should successfully create a new user', function(done) {
       var u = new User(user);
 
@@ -391,115 +594,167 @@ describe('Stormpath', function() {
     });
   });
 
-  describe('#all', function() {
-    it('should accept just a callback', function(done) {
-      User.all(function(err, users) {
+  describe('#replaceOrCreate', function() {
+    it('should replace customData of an existing user', function(done) {
+      User.create({
+        givenName: user.givenName,
+        surname: user.surname,
+        email: user.email,
+        password: user.password,
+        plan: 'free',
+        nickname: 'rdegges'
+      }, function(err, obj) {
         if (err) return done(err);
 
-        assert.equal(users.length, 0);
-        done();
-      });
-    });
+        User.replaceOrCreate({
+          id: obj.id,
+          givenName: 'Woot',
+          surname: user.surname,
+          email: user.email,
+          plan: 'pro'
+        }, function(err, replaced) {
+          if (err) return done(err);
 
-    it('should return no users if no users exist', function(done) {
-      User.all({}, function(err, users) {
-        if (err) return done(err);
+          assert.equal(replaced.id, obj.id);
 
-        assert.equal(users.length, 0);
-        done();
+          User.all({ where: { plan: 'pro' }, include: 'customData' }, function(err, users) {
+            if (err) return done(err);
+
+            assert.equal(users.length, 1);
+            assert.equal(users[0].givenName, 'Woot');
+            assert.equal(users[0].customData.nickname, undefined);
+            done();
+          });
+        });
       });
     });
 
-    it('should return a single user when a valid email is specified', function(done) {
-      User.create(user, function(err, obj) {
+    it('should create a new user', function(done) {
+      User.replaceOrCreate(user, function(err, created) {
         if (err) return done(err);
 
-        User.all({ where: { email: obj.email } }, function(err, users) {
+        assert(created.id);
+
+        User.count({}, function(err, count) {
           if (err) return done(err);
 
-          assert.equal(users.length, 1);
-          assert.equal(users[0].email, obj.email);
+          assert.equal(count, 1);
           done();
         });
       });
     });
+  });
 
-    it('should expand fields that are included in the include filter', function(done) {
-      User.create(user, function(err, obj) {
+  describe('#replaceById', function() {
+    it('should remove customData fields missing from the data', function(done) {
+      Member.create({
+        email: user.email,
+        givenName: user.givenName,
+        surname: user.surname,
+        password: user.password,
+        plan: 'free',
+        nickname: 'rdegges'
+      }, function(err, obj) {
         if (err) return done(err);
 
-        User.all({ include: 'customData' }, function(err, users) {
+        Member.replaceById(obj.id, {
+          email: user.email,
+          givenName: user.givenName,
+          surname: 'Woot'
+        }, function(err) {
           if (err) return done(err);
 
-          assert.equal(users.length, 1);
-          assert.equal(typeof users[0].customData, 'object');
-          done();
+          User.all({ include: 'customData' }, function(err, users) {
+            if (err) return done(err);
+
+            assert.equal(users[0].surname, 'Woot');
+            assert.equal(users[0].customData.plan, undefined);
+            assert.equal(users[0].customData.nickname, undefined);
+            done();
+          });
         });
       });
     });
+  });
 
-    it('should respect the limit filter', function(done) {
-      User.create(user, function(err, obj) {
+  describe('#updateAttributes', function() {
+    it('should merge the data into the user', function(done) {
+      Member.create({
+        email: user.email,
+        givenName: user.givenName,
+        surname: user.surname,
+        password: user.password,
+        plan: 'free',
+        nickname: 'rdegges'
+      }, function(err, obj) {
         if (err) return done(err);
 
-        User.create({
-          givenName: user.givenName,
-          surname: user.surname,
-          email: 'wootoff@gmail.com',
-          password: user.password
-        }, function(err, obj2) {
+        obj.updateAttributes({ plan: 'pro', surname: 'Woot' }, function(err) {
           if (err) return done(err);
 
-          User.all({ limit: 1 }, function(err, users) {
+          User.all({ include: 'customData' }, function(err, users) {
             if (err) return done(err);
 
-            assert.equal(users.length, 1);
+            assert.equal(users[0].givenName, user.givenName);
+            assert.equal(users[0].surname, 'Woot');
+            assert.equal(users[0].customData.plan, 'pro');
+            assert.equal(users[0].customData.nickname, 'rdegges');
             done();
           });
         });
       });
-    })
+    });
   });
 
-  describe('#destroyAll', function() {
-    it('should return 0 if no users were deleted', function(done) {
-      User.destroyAll(function(err, deleted) {
+  describe('#findOrCreate', function() {
+    it('should only create a user once', function(done) {
+      User.findOrCreate({ where: { email: user.email } }, user, function(err, first, created) {
         if (err) return done(err);
 
-        assert.equal(deleted, 0);
-        done();
+        assert(created);
+
+        User.findOrCreate({ where: { email: user.email } }, user, function(err, second, created) {
+          if (err) return done(err);
+
+          assert(!created);
+          assert.equal(second.id, first.id);
+          done();
+        });
       });
     });
+  });
 
-    it('should return 1 if 1 user was deleted', function(done) {
+  describe('#destroy', function() {
+    it('should delete the user', function(done) {
       User.create(user, function(err, obj) {
         if (err) return done(err);
 
-        User.destroyAll(function(err, deleted) {
+        obj.destroy(function(err, info) {
           if (err) return done(err);
 
-          assert.equal(deleted, 1);
-          done();
+          assert.equal(info.count, 1);
+
+          User.count({}, function(err, count) {
+            if (err) return done(err);
+
+            assert.equal(count, 0);
+            done();
+          });
         });
       });
     });
 
-    it('should respect the where clause', function(done) {
+    it('should delete the user by id', function(done) {
       User.create(user, function(err, obj) {
         if (err) return done(err);
 
-        User.create({
-          givenName: user.givenName,
-          surname: user.surname,
-          email: 'wootoff@gmail.com',
-          password: user.password
-        }, function(err, obj2) {
+        User.deleteById(obj.id, function(err) {
           if (err) return done(err);
 
-          User.destroyAll({ where: { email: 'wootoff@gmail.com' } }, function(err, deleted) {
+          User.count({}, function(err, count) {
             if (err) return done(err);
 
-            assert.equal(deleted, 1);
+            assert.equal(count, 0);
             done();
           });
         });
@@ -507,30 +762,54 @@ describe('Stormpath', function() {
     });
   });
 
-  describe('#count', function() {
-    it('should return 0 if no accounts exist', function(done) {
-      User.count({}, function(err, count) {
+  describe('#all', function() {
+    it('should accept just a callback', function(done) {
+      User.all(function(err, users) {
         if (err) return done(err);
 
-        assert.equal(count, 0);
+        assert.equal(users.length, 0);
         done();
       });
     });
 
-    it('should return the number of accounts that exist', function(done) {
+    it('should return no users if no users exist', function(done) {
+      User.all({}, function(err, users) {
+        if (err) return done(err);
+
+        assert.equal(users.length, 0);
+        done();
+      });
+    });
+
+    it('should return a single user when a valid email is specified', function(done) {
       User.create(user, function(err, obj) {
         if (err) return done(err);
 
-        User.count({}, function(err, count) {
+        User.all({ where: { email: obj.email } }, function(err, users) {
           if (err) return done(err);
 
-          assert.equal(count, 1);
+          assert.equal(users.length, 1);
+          assert.equal(users[0].email, obj.email);
           done();
         });
       });
     });
 
-    it('should respect the where clause', function(done) {
+    it('should expand fields that are included in the include filter', function(done) {
+      User.create(user, function(err, obj) {
+        if (err) return done(err);
+
+        User.all({ include: 'customData' }, function(err, users) {
+          if (err) return done(err);
+
+          assert.equal(users.length, 1);
+          assert.equal(typeof users[0].customData, 'object');
+          done();
+        });
+      });
+    });
+
+    it('should respect the limit filter', function(done) {
       User.create(user, function(err, obj) {
         if (err) return done(err);
 
@@ -542,10 +821,311 @@ describe('Stormpath', function() {
         }, function(err, obj2) {
           if (err) return done(err);
 
-          User.count({ where: { email: 'wootoff@gmail.com' } }, function(err, count) {
+          User.all({ limit: 1 }, function(err, users) {
             if (err) return done(err);
 
-            assert.equal(count, 1);
+            assert.equal(users.length, 1);
+            done();
+          });
+        });
+      });
+    });
+
+    describe('fields', function() {
+      it('should return full account representations', function(done) {
+        User.create(user, function(err) {
+          if (err) return done(err);
+
+          User.all(function(err, users) {
+            if (err) return done(err);
+
+            assert.equal(users[0].username, user.email.toLowerCase());
+            assert.equal(users[0].fullName, 'Randall Degges');
+            assert.equal(users[0].status, 'ENABLED');
+            assert(users[0].createdAt);
+            assert(users[0].modifiedAt);
+            done();
+          });
+        });
+      });
+
+      it('should read declared properties from customData', function(done) {
+        Member.create({
+          email: user.email,
+          givenName: user.givenName,
+          surname: user.surname,
+          password: user.password,
+          plan: 'pro'
+        }, function(err, member) {
+          if (err) return done(err);
+
+          Member.findById(member.id, function(err, found) {
+            if (err) return done(err);
+
+            assert.equal(found.plan, 'pro');
+            assert(found.createdAt instanceof Date);
+            done();
+          });
+        });
+      });
+
+      it('should only include customData when asked for', function(done) {
+        User.create({
+          email: user.email,
+          givenName: user.givenName,
+          surname: user.surname,
+          password: user.password,
+          nickname: 'rdegges'
+        }, function(err, obj) {
+          if (err) return done(err);
+
+          User.find({ where: { id: obj.id } }, function(err, users) {
+            if (err) return done(err);
+
+            var json = users[0].toJSON();
+
+            assert.equal(json.customData, undefined);
+            assert.equal(json.nickname, undefined);
+
+            User.find({ where: { id: obj.id }, include: 'customData' }, function(err, users) {
+              if (err) return done(err);
+
+              json = users[0].toJSON();
+
+              assert.equal(json.customData.nickname, 'rdegges');
+              assert.equal(json.customData.href, undefined);
+              assert.equal(json.customData.createdAt, undefined);
+              done();
+            });
+          });
+        });
+      });
+
+      it('should support fields projections', function(done) {
+        Member.create({
+          email: user.email,
+          givenName: user.givenName,
+          surname: user.surname,
+          password: user.password,
+          plan: 'pro'
+        }, function(err) {
+          if (err) return done(err);
+
+          Member.all({ fields: { email: true, plan: true } }, function(err, members) {
+            if (err) return done(err);
+
+            var json = members[0].toJSON();
+
+            assert.deepEqual(Object.keys(json).filter(function(key) {
+              return json[key] !== undefined;
+            }), ['email', 'plan']);
+            assert.equal(json.plan, 'pro');
+
+            Member.all({ fields: { plan: false, createdAt: false } }, function(err, members) {
+              if (err) return done(err);
+
+              json = members[0].toJSON();
+
+              assert.equal(json.email, user.email);
+              assert.equal(json.plan, undefined);
+              assert.equal(json.createdAt, undefined);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    describe('pagination', function() {
+      beforeEach(function(done) {
+        async.eachSeries(['Charlie', 'Alice', 'Bob', 'Dave'], function(name, next) {
+          User.create({
+            givenName: name,
+            surname: name === 'Dave' ? 'Alpha' : 'Beta',
+            email: name.toLowerCase() + '@example.com',
+            password: user.password,
+            rank: name.length
+          }, next);
+        }, done);
+      });
+
+      it('should support skip and offset', function(done) {
+        User.all({ order: 'givenName', skip: 1, limit: 2 }, function(err, users) {
+          if (err) return done(err);
+
+          assert.deepEqual(users.map(function(u) { return u.givenName; }), ['Bob', 'Charlie']);
+
+          User.all({ order: 'givenName', offset: 3 }, function(err, users) {
+            if (err) return done(err);
+
+            assert.deepEqual(users.map(function(u) { return u.givenName; }), ['Dave']);
+            done();
+          });
+        });
+      });
+
+      it('should support descending and multi-field ordering', function(done) {
+        User.all({ order: ['surname ASC', 'givenName DESC'] }, function(err, users) {
+          if (err) return done(err);
+
+          assert.deepEqual(users.map(function(u) { return u.givenName; }), ['Dave', 'Charlie', 'Bob', 'Alice']);
+          done();
+        });
+      });
+
+      it('should order by customData fields locally', function(done) {
+        User.all({ where: { surname: 'Beta' }, order: 'rank DESC, givenName', limit: 2 }, function(err, users) {
+          if (err) return done(err);
+
+          assert.deepEqual(users.map(function(u) { return u.givenName; }), ['Charlie', 'Alice']);
+          done();
+        });
+      });
+
+      it('should paginate locally evaluated results', function(done) {
+        User.all({ where: { rank: { gte: 4 } }, order: 'givenName DESC', skip: 1 }, function(err, users) {
+          if (err) return done(err);
+
+          assert.deepEqual(users.map(function(u) { return u.givenName; }), ['Charlie', 'Alice']);
+          done();
+        });
+      });
+    });
+
+    describe('where filters', function() {
+      var user2 = {
+        givenName: 'Elon',
+        surname: 'Musk',
+        email: 'emusk@spacex.com',
+        password: 'r0ck3tsRfuN!'
+      };
+
+      beforeEach(function(done) {
+        User.create([user, user2], done);
+      });
+
+      it('should translate like conditions into wildcard searches', function(done) {
+        User.all({ where: { email: { like: '%@spacex.com' } } }, function(err, users) {
+          if (err) return done(err);
+
+          assert.equal(users.length, 1);
+          assert.equal(users[0].email, user2.email);
+          done();
+        });
+      });
+
+      it('should translate regular expressions into wildcard searches', function(done) {
+        User.all({ where: { givenName: /^rand/i } }, function(err, users) {
+          if (err) return done(err);
+
+          assert.equal(users.length, 1);
+          assert.equal(users[0].email, user.email);
+          done();
+        });
+      });
+
+      it('should support inq conditions', function(done) {
+        User.all({ where: { email: { inq: [user.email, user2.email, 'nobody@example.com'] } } }, function(err, users) {
+          if (err) return done(err);
+
+          assert.equal(users.length, 2);
+          done();
+        });
+      });
+
+      it('should support or conditions', function(done) {
+        User.all({ where: { or: [{ givenName: 'Elon' }, { surname: 'Degges' }] } }, function(err, users) {
+          if (err) return done(err);
+
+          assert.equal(users.length, 2);
+          done();
+        });
+      });
+
+      it('should support full text searches', function(done) {
+        User.all({ where: { q: 'spacex' } }, function(err, users) {
+          if (err) return done(err);
+
+          assert.equal(users.length, 1);
+          assert.equal(users[0].email, user2.email);
+          done();
+        });
+      });
+
+      it('should support date range conditions', function(done) {
+        User.count({ createdAt: { lte: new Date(Date.now() + 60000) } }, function(err, count) {
+          if (err) return done(err);
+
+          assert.equal(count, 2);
+
+          User.count({ createdAt: { gt: new Date(Date.now() + 60000) } }, function(err, count) {
+            if (err) return done(err);
+
+            assert.equal(count, 0);
+            done();
+          });
+        });
+      });
+
+      it('should evaluate conditions Stormpath cannot search locally', function(done) {
+        User.all({ where: { email: { like: 'r%@stormpath.com' } } }, function(err, users) {
+          if (err) return done(err);
+
+          assert.equal(users.length, 1);
+          assert.equal(users[0].email, user.email);
+
+          User.all({ where: { givenName: { neq: 'Randall' } } }, function(err, users) {
+            if (err) return done(err);
+
+            assert.equal(users.length, 1);
+            assert.equal(users[0].email, user2.email);
+            done();
+          });
+        });
+      });
+
+      it('should filter on customData fields', function(done) {
+        User.create({
+          givenName: 'Gwynne',
+          surname: 'Shotwell',
+          email: 'gshotwell@spacex.com',
+          password: user2.password,
+          plan: 'pro'
+        }, function(err) {
+          if (err) return done(err);
+
+          User.all({ where: { plan: 'pro' } }, function(err, users) {
+            if (err) return done(err);
+
+            assert.equal(users.length, 1);
+            assert.equal(users[0].email, 'gshotwell@spacex.com');
+
+            User.count({ email: { like: '%@spacex.com' }, plan: { neq: 'pro' } }, function(err, count) {
+              if (err) return done(err);
+
+              assert.equal(count, 1);
+              done();
+            });
+          });
+        });
+      });
+
+      it('should return an error for unsupported conditions', function(done) {
+        User.all({ where: { email: { foo: 'bar' } } }, function(err) {
+          assert(err);
+          assert.equal(err.statusCode, 400);
+          done();
+        });
+      });
+
+      it('should not delete anything when the where clause is unsupported', function(done) {
+        User.destroyAll({ email: { foo: 'bar' } }, function(err) {
+          assert(err);
+
+          User.count({}, function(err, count) {
+            if (err) return done(err);
+
+            assert.equal(count, 2);
             done();
           });
         });
@@ -553,33 +1133,2882 @@ describe('Stormpath', function() {
     });
   });
 
-  describe('#updateAll', function() {
-    it('should return 0 if no accounts matched', function(done) {
-      User.updateAll({ where: { email: 'randall@stormpath.com' } }, { email: 'r@rdegges.com' }, function(err, updated) {
+  describe('#destroyAll', function() {
+    it('should return 0 if no users were deleted', function(done) {
+      User.destroyAll({}, { allowUnscopedBulk: true }, function(err, deleted) {
         if (err) return done(err);
 
-        assert.equal(updated, 0);
+        assert.equal(deleted, 0);
         done();
       });
     });
 
-    it('should return the number of accounts that matched', function(done) {
+    it('should return 1 if 1 user was deleted', function(done) {
       User.create(user, function(err, obj) {
         if (err) return done(err);
 
-        User.updateAll({ where: { email: '*@stormpath.com' } }, { email: 'r@rdegges.com' }, function(err, updated) {
+        User.destroyAll({}, { allowUnscopedBulk: true }, function(err, deleted) {
           if (err) return done(err);
 
-          assert.equal(updated, 1);
+          assert.equal(deleted, 1);
+          done();
+        });
+      });
+    });
 
-          User.all({}, function(err, users) {
+    it('should respect the where clause', function(done) {
+      User.create(user, function(err, obj) {
+        if (err) return done(err);
+
+        User.create({
+          givenName: user.givenName,
+          surname: user.surname,
+          email: 'wootoff@gmail.com',
+          password: user.password
+        }, function(err, obj2) {
+          if (err) return done(err);
+
+          User.destroyAll({ where: { email: 'wootoff@gmail.com' } }, function(err, deleted) {
             if (err) return done(err);
 
-            assert.equal(users[0].email, 'r@rdegges.com');
+            assert.equal(deleted, 1);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should refuse to delete every user without a where clause', function(done) {
+      User.create(user, function(err) {
+        if (err) return done(err);
+
+        User.destroyAll(function(err) {
+          assert(err);
+          assert.equal(err.statusCode, 400);
+          assert.equal(err.code, 'UNSCOPED_BULK_OPERATION');
+
+          User.count(function(err, count) {
+            if (err) return done(err);
+
+            assert.equal(count, 1);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should refuse where clauses without conditions', function(done) {
+      User.create(user, function(err) {
+        if (err) return done(err);
+
+        async.mapSeries([{ and: [] }, { or: [{}] }, { or: [{ email: user.email }, {}] }], function(where, cb) {
+          User.destroyAll(where, function(err) {
+            cb(null, err && err.code);
+          });
+        }, function(err, codes) {
+          if (err) return done(err);
+
+          assert.deepEqual(codes, ['UNSCOPED_BULK_OPERATION', 'UNSCOPED_BULK_OPERATION', 'UNSCOPED_BULK_OPERATION']);
+
+          User.count(function(err, count) {
+            if (err) return done(err);
+
+            assert.equal(count, 1);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should report the users a dry run would delete', function(done) {
+      User.create(user, function(err, obj) {
+        if (err) return done(err);
+
+        User.destroyAll({ email: user.email }, { dryRun: true }, function(err, result) {
+          if (err) return done(err);
+
+          assert.deepEqual(result, { count: 1, ids: [obj.id] });
+
+          User.count(function(err, count) {
+            if (err) return done(err);
+
+            assert.equal(count, 1);
             done();
           });
         });
       });
     });
+
+    it('should abort when more users than allowed would be deleted', function(done) {
+      async.eachSeries(['a@stormpath.com', 'b@stormpath.com'], function(email, cb) {
+        User.create({ givenName: user.givenName, surname: user.surname, email: email, password: user.password }, cb);
+      }, function(err) {
+        if (err) return done(err);
+
+        User.destroyAll({ email: '*@stormpath.com' }, { maxAffected: 1 }, function(err) {
+          assert(err);
+          assert.equal(err.code, 'BULK_LIMIT_EXCEEDED');
+          assert.equal(err.count, 2);
+
+          User.count(function(err, count) {
+            if (err) return done(err);
+
+            assert.equal(count, 2);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('#count', function() {
+    it('should return 0 if no accounts exist', function(done) {
+      User.count({}, function(err, count) {
+        if (err) return done(err);
+
+        assert.equal(count, 0);
+        done();
+      });
+    });
+
+    it('should return the number of accounts that exist', function(done) {
+      User.create(user, function(err, obj) {
+        if (err) return done(err);
+
+        User.count({}, function(err, count) {
+          if (err) return done(err);
+
+          assert.equal(count, 1);
+          done();
+        });
+      });
+    });
+
+    it('should respect the where clause', function(done) {
+      User.create(user, function(err, obj) {
+        if (err) return done(err);
+
+        User.create({
+          givenName: user.givenName,
+          surname: user.surname,
+          email: 'wootoff@gmail.com',
+          password: user.password
+        }, function(err, obj2) {
+          if (err) return done(err);
+
+          User.count({ where: { email: 'wootoff@gmail.com' } }, function(err, count) {
+            if (err) return done(err);
+
+            assert.equal(count, 1);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should count searches with a single request', function(done) {
+      var connector = User.getDataSource().connector;
+      var execute = connector.requestExecutor.execute;
+      var requests = [];
+
+      async.eachSeries(['a@stormpath.com', 'b@stormpath.com', 'c@gmail.com'], function(email, cb) {
+        User.create({ givenName: user.givenName, surname: user.surname, email: email, password: user.password }, cb);
+      }, function(err) {
+        if (err) return done(err);
+
+        connector.requestExecutor.execute = function(req, callback) {
+          requests.push(req.query);
+          execute.call(this, req, callback);
+        };
+
+        User.count({ email: '*@stormpath.com' }, function(err, count) {
+          connector.requestExecutor.execute = execute;
+
+          if (err) return done(err);
+
+          assert.equal(count, 2);
+          assert.equal(requests.length, 1);
+          assert.equal(requests[0].limit, 1);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('#updateAll', function() {
+    it('should return 0 if no accounts matched', function(done) {
+      User.updateAll({ where: { email: 'randall@stormpath.com' } }, { email: 'r@rdegges.com' }, function(err, updated) {
+        if (err) return done(err);
+
+        assert.equal(updated, 0);
+        done();
+      });
+    });
+
+    it('should return the number of accounts that matched', function(done) {
+      User.create(user, function(err, obj) {
+        if (err) return done(err);
+
+        User.updateAll({ where: { email: '*@stormpath.com' } }, { email: 'r@rdegges.com' }, function(err, updated) {
+          if (err) return done(err);
+
+          assert.equal(updated, 1);
+
+          User.all({}, function(err, users) {
+            if (err) return done(err);
+
+            assert.equal(users[0].email, 'r@rdegges.com');
+            done();
+          });
+        });
+      });
+    });
+
+    it('should update properties stored in customData', function(done) {
+      Member.create({
+        email: user.email,
+        givenName: user.givenName,
+        surname: user.surname,
+        password: user.password,
+        plan: 'pro'
+      }, function(err, obj) {
+        if (err) return done(err);
+
+        Member.updateAll({ email: user.email }, { plan: 'enterprise', surname: 'Woot' }, function(err, updated) {
+          if (err) return done(err);
+
+          assert.equal(updated, 1);
+
+          Member.findById(obj.id, function(err, found) {
+            if (err) return done(err);
+
+            assert.equal(found.plan, 'enterprise');
+            assert.equal(found.surname, 'Woot');
+            assert.equal(found.givenName, user.givenName);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should guard and dry run updates like destroyAll', function(done) {
+      User.create(user, function(err, obj) {
+        if (err) return done(err);
+
+        User.updateAll({}, { surname: 'Woot' }, function(err) {
+          assert(err);
+          assert.equal(err.code, 'UNSCOPED_BULK_OPERATION');
+
+          User.updateAll({}, { surname: 'Woot' }, { allowUnscopedBulk: true, dryRun: true }, function(err, result) {
+            if (err) return done(err);
+
+            assert.deepEqual(result, { count: 1, ids: [obj.id] });
+
+            User.findById(obj.id, function(err, found) {
+              if (err) return done(err);
+
+              assert.equal(found.surname, user.surname);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe('bulk operations', function() {
+    var connector;
+    var execute;
+    var concurrency;
+
+    // Create users with the given email addresses, returning their ids.
+    var createUsers = function(emails, callback) {
+      async.mapSeries(emails, function(email, cb) {
+        User.create({ givenName: user.givenName, surname: user.surname, email: email, password: user.password },
+          function(err, obj) {
+            cb(err, obj && obj.id);
+          });
+      }, callback);
+    };
+
+    beforeEach(function() {
+      connector = User.getDataSource().connector;
+      execute = connector.requestExecutor.execute;
+      concurrency = connector.concurrency;
+    });
+
+    afterEach(function() {
+      connector.requestExecutor.execute = execute;
+      connector.concurrency = concurrency;
+    });
+
+    it('should create arrays of users, reporting which ones failed', function(done) {
+      var emails = ['a@stormpath.com', 'b@stormpath.com'];
+
+      connector.create('User', emails.map(function(email) {
+        return { givenName: user.givenName, surname: user.surname, email: email, password: user.password };
+      }), function(err, ids) {
+        if (err) return done(err);
+
+        assert.equal(ids.length, 2);
+
+        connector.create('User', [
+          { givenName: user.givenName, surname: user.surname, email: 'c@stormpath.com', password: user.password },
+          { givenName: user.givenName, surname: user.surname, email: 'a@stormpath.com', password: user.password },
+          { givenName: user.givenName, surname: user.surname, email: 'd@stormpath.com', password: 'short' }
+        ], function(err) {
+          assert(err);
+          assert.equal(err.code, 'BULK_OPERATION_FAILED');
+          assert.equal(err.statusCode, 422);
+          assert.equal(err.count, 1);
+          assert.equal(err.succeeded.length, 1);
+          assert.deepEqual(err.failed.map(function(entry) {
+            return entry.index;
+          }), [1, 2]);
+          assert.deepEqual(err.failed[0].error.details.codes, { email: ['uniqueness'] });
+          assert.deepEqual(err.failed[1].error.details.codes, { password: ['length.min'] });
+
+          User.count(function(err, count) {
+            if (err) return done(err);
+
+            assert.equal(count, 3);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should send at most concurrency requests at once', function(done) {
+      var running = 0;
+      var most = 0;
+
+      connector.concurrency = 2;
+      connector.requestExecutor.execute = function(req, callback) {
+        if (req.method !== 'DELETE') {
+          return execute.call(this, req, callback);
+        }
+
+        running += 1;
+        most = Math.max(most, running);
+
+        setTimeout(function() {
+          running -= 1;
+          execute.call(connector.requestExecutor, req, callback);
+        }, 5);
+      };
+
+      createUsers(['a@stormpath.com', 'b@stormpath.com', 'c@stormpath.com', 'd@stormpath.com', 'e@stormpath.com'],
+        function(err) {
+          if (err) return done(err);
+
+          User.destroyAll({ email: '*@stormpath.com' }, function(err, deleted) {
+            if (err) return done(err);
+
+            assert.equal(deleted, 5);
+            assert.equal(most, 2);
+
+            most = 0;
+
+            createUsers(['f@stormpath.com', 'g@stormpath.com'], function(err) {
+              if (err) return done(err);
+
+              User.destroyAll({ email: '*@stormpath.com' }, { concurrency: 1 }, function(err, deleted) {
+                if (err) return done(err);
+
+                assert.equal(deleted, 2);
+                assert.equal(most, 1);
+                done();
+              });
+            });
+          });
+        });
+    });
+
+    it('should finish deletes and updates, reporting which ones failed', function(done) {
+      createUsers(['a@stormpath.com', 'b@stormpath.com', 'c@stormpath.com'], function(err, ids) {
+        if (err) return done(err);
+
+        // Every request for the second user fails.
+        connector.requestExecutor.execute = function(req, callback) {
+          if (req.uri.indexOf('/accounts/' + ids[1]) > -1 && req.method) {
+            return process.nextTick(function() {
+              callback(errors.resourceError(503, 503, 'Service unavailable.'));
+            });
+          }
+
+          execute.call(this, req, callback);
+        };
+
+        User.updateAll({ email: '*@stormpath.com' }, { surname: 'Woot' }, function(err) {
+          assert(err);
+          assert.equal(err.code, 'BULK_OPERATION_FAILED');
+          assert.equal(err.statusCode, 503);
+          assert.equal(err.count, 2);
+          assert.deepEqual(err.succeeded.sort(), [ids[0], ids[2]].sort());
+          assert.deepEqual(err.failed.map(function(entry) {
+            return entry.id;
+          }), [ids[1]]);
+          assert.equal(err.failed[0].error.status, 503);
+
+          User.destroyAll({ email: '*@stormpath.com' }, function(err) {
+            assert(err);
+            assert.equal(err.code, 'BULK_OPERATION_FAILED');
+            assert.equal(err.count, 2);
+            assert.equal(err.failed[0].id, ids[1]);
+
+            connector.requestExecutor.execute = execute;
+
+            User.find(function(err, users) {
+              if (err) return done(err);
+
+              assert.deepEqual(users.map(function(found) {
+                return found.id;
+              }), [ids[1]]);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe('account status', function() {
+    it('should disable and enable accounts', function(done) {
+      var connector = Member.getDataSource().connector;
+
+      Member.create({
+        email: user.email,
+        givenName: user.givenName,
+        surname: user.surname,
+        password: user.password
+      }, function(err, obj) {
+        if (err) return done(err);
+
+        obj.updateAttributes({ status: 'DISABLED' }, function(err) {
+          if (err) return done(err);
+
+          Member.findById(obj.id, { include: 'customData' }, function(err, found) {
+            if (err) return done(err);
+
+            assert.equal(found.status, 'DISABLED');
+            assert.equal(found.customData.status, undefined);
+
+            connector.authenticate('Member', user.email, user.password, function(err) {
+              assert(err);
+              assert.equal(err.statusCode, 401);
+              assert.equal(err.code, 'LOGIN_FAILED_ACCOUNT_DISABLED');
+              assert(err.developerMessage);
+
+              Member.updateAll({ id: obj.id }, { status: 'ENABLED' }, function(err) {
+                if (err) return done(err);
+
+                connector.authenticate('Member', user.email, user.password, function(err, json) {
+                  if (err) return done(err);
+
+                  assert.equal(json.status, 'ENABLED');
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('should filter and count accounts by status', function(done) {
+      async.eachSeries(['ENABLED', 'DISABLED', 'DISABLED'], function(status, cb) {
+        Member.create({
+          email: uuid.v4() + '@stormpath.com',
+          givenName: user.givenName,
+          surname: user.surname,
+          password: user.password,
+          status: status
+        }, cb);
+      }, function(err) {
+        if (err) return done(err);
+
+        Member.find({ where: { status: 'DISABLED' } }, function(err, members) {
+          if (err) return done(err);
+
+          assert.equal(members.length, 2);
+          members.forEach(function(member) {
+            assert.equal(member.status, 'DISABLED');
+          });
+
+          Member.count({ status: 'ENABLED' }, function(err, count) {
+            if (err) return done(err);
+
+            assert.equal(count, 1);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should reject invalid statuses', function(done) {
+      Member.create({
+        email: user.email,
+        givenName: user.givenName,
+        surname: user.surname,
+        password: user.password
+      }, function(err, obj) {
+        if (err) return done(err);
+
+        obj.updateAttributes({ status: 'ASLEEP' }, function(err) {
+          assert(err);
+          assert.equal(err.status, 400);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('errors', function() {
+    it('should report duplicates as uniqueness errors', function(done) {
+      User.create(user, function(err) {
+        if (err) return done(err);
+
+        User.create(user, function(err) {
+          assert(err);
+          assert.equal(err.name, 'ValidationError');
+          assert.equal(err.statusCode, 422);
+          assert.deepEqual(err.details.codes, { email: ['uniqueness'] });
+          assert.equal(err.details.context, 'User');
+          assert.equal(err.stormpathCode, 2001);
+          assert(/already exists/.test(err.developerMessage));
+          done();
+        });
+      });
+    });
+
+    it('should report password policy violations as validation errors', function(done) {
+      User.create({ givenName: 'Randall', surname: 'Degges', email: user.email, password: 'short' }, function(err) {
+        assert(err);
+        assert.equal(err.statusCode, 422);
+        assert.deepEqual(err.details.codes, { password: ['length.min'] });
+        assert.equal(err.stormpathCode, 2007);
+
+        User.create({ givenName: 'Randall', surname: 'Degges', email: user.email, password: 'woot!ilovec00kies' }, function(err) {
+          assert(err);
+          assert.equal(err.statusCode, 422);
+          assert.deepEqual(err.details.codes, { password: ['format'] });
+          assert.equal(err.details.messages.password[0], 'Password requires at least 1 uppercase character.');
+          done();
+        });
+      });
+    });
+
+    it('should report unknown instances as not found', function(done) {
+      var connector = User.getDataSource().connector;
+
+      User.create(user, function(err, obj) {
+        if (err) return done(err);
+
+        connector.destroy('User', obj.id, function(err) {
+          if (err) return done(err);
+
+          obj.updateAttributes({ givenName: 'Randy' }, function(err) {
+            assert(err);
+            assert.equal(err.statusCode, 404);
+            assert.equal(err.code, 'MODEL_NOT_FOUND');
+            assert.equal(err.stormpathCode, 404);
+
+            connector.listApiKeys('User', obj.id, function(err) {
+              assert(err);
+              assert.equal(err.statusCode, 404);
+              assert.equal(err.code, 'MODEL_NOT_FOUND');
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should report invalid logins as login failures', function(done) {
+      var connector = User.getDataSource().connector;
+
+      User.create(user, function(err) {
+        if (err) return done(err);
+
+        connector.authenticate('User', user.email, 'nope', function(err) {
+          assert(err);
+          assert.equal(err.statusCode, 401);
+          assert.equal(err.code, 'LOGIN_FAILED');
+          assert.equal(err.stormpathCode, 7100);
+          assert.equal(err.developerMessage, 'Invalid username or password.');
+          done();
+        });
+      });
+    });
+  });
+
+  describe('soft deletes', function() {
+    var Archived;
+    var ArchivedTeam;
+    var connector;
+
+    before(function() {
+      var settings = { softDelete: { retentionDays: 7 } };
+
+      for (var key in config) {
+        settings[key] = config[key];
+      }
+
+      var dataSource = getDataSource(settings);
+
+      Archived = createResourceModel('Archived', 'account', dataSource, {
+        id: { type: String, id: true },
+        email: String,
+        status: String
+      });
+      ArchivedTeam = createResourceModel('ArchivedTeam', 'group', dataSource);
+      connector = dataSource.connector;
+    });
+
+    /**
+     * Create an Account with the given email address.
+     */
+    function createArchived(email, callback) {
+      Archived.create({
+        email: email,
+        givenName: user.givenName,
+        surname: user.surname,
+        password: user.password
+      }, callback);
+    }
+
+    it('should disable and hide destroyed accounts', function(done) {
+      async.mapSeries(['a@stormpath.com', 'b@stormpath.com'], createArchived, function(err, created) {
+        if (err) return done(err);
+
+        created[0].destroy(function(err) {
+          if (err) return done(err);
+
+          Member.findById(created[0].id, { include: 'customData' }, function(err, found) {
+            if (err) return done(err);
+
+            assert.equal(found.status, 'DISABLED');
+            assert(found.customData.deletedAt);
+
+            async.series([
+              function(cb) {
+                Archived.findById(created[0].id, cb);
+              },
+              function(cb) {
+                Archived.exists(created[0].id, cb);
+              },
+              function(cb) {
+                Archived.find({ where: { email: { like: '%@stormpath.com' } } }, cb);
+              },
+              function(cb) {
+                Archived.destroyAll({ email: 'b@stormpath.com' }, cb);
+              },
+              function(cb) {
+                Archived.count(cb);
+              },
+              function(cb) {
+                Member.count(cb);
+              }
+            ], function(err, results) {
+              if (err) return done(err);
+
+              assert.equal(results[0], null);
+              assert.equal(results[1], false);
+              assert.deepEqual(results[2].map(function(member) { return member.email; }), ['b@stormpath.com']);
+              assert.equal(results[3], 1);
+              assert.equal(results[4], 0);
+              assert.equal(results[5], 2);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should hide destroyed accounts from finds, counts and paginated searches', function(done) {
+      var emails = ['a@stormpath.com', 'b@stormpath.com', 'c@stormpath.com', 'd@stormpath.com', 'e@stormpath.com'];
+
+      async.mapSeries(emails, createArchived, function(err, created) {
+        if (err) return done(err);
+
+        async.eachSeries([created[0], created[2]], function(obj, cb) {
+          obj.destroy(cb);
+        }, function(err) {
+          if (err) return done(err);
+
+          var execute = connector.requestExecutor.execute;
+          var requests = [];
+
+          connector.requestExecutor.execute = function(req, callback) {
+            requests.push(req.query || {});
+            execute.call(this, req, callback);
+          };
+
+          async.series([
+            function(cb) {
+              connector.find('Archived', created[0].id, function(err) {
+                cb(null, err);
+              });
+            },
+            function(cb) {
+              connector.exists('Archived', created[0].id, cb);
+            },
+            function(cb) {
+              connector.exists('Archived', created[1].id, cb);
+            },
+            function(cb) {
+              Archived.count({ email: '*@stormpath.com' }, cb);
+            },
+            function(cb) {
+              Archived.find({ order: 'email ASC', skip: 1, limit: 1 }, cb);
+            }
+          ], function(err, results) {
+            connector.requestExecutor.execute = execute;
+
+            if (err) return done(err);
+
+            assert.equal(results[0].statusCode, 404);
+            assert.equal(results[0].code, 'MODEL_NOT_FOUND');
+            assert.equal(results[1], false);
+            assert.equal(results[2], true);
+            assert.equal(results[3], 3);
+            assert.deepEqual(results[4].map(function(member) { return member.email; }), ['d@stormpath.com']);
+
+            // The results are fetched from their start, skipping the deleted
+            // accounts, up to the end of the page: the last account is left.
+            var pages = requests.filter(function(query) {
+              return query.orderBy;
+            }).map(function(query) {
+              return [query.offset, query.limit];
+            });
+
+            assert.deepEqual(pages, [[0, 2], [2, 1], [3, 1]]);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should restore soft-deleted accounts', function(done) {
+      createArchived(user.email, function(err, obj) {
+        if (err) return done(err);
+
+        obj.destroy(function(err) {
+          if (err) return done(err);
+
+          connector.restore('Archived', obj.id, function(err, json) {
+            if (err) return done(err);
+
+            assert.equal(json.status, 'ENABLED');
+
+            Member.findById(obj.id, { include: 'customData' }, function(err, found) {
+              if (err) return done(err);
+
+              assert.equal(found.customData.deletedAt, undefined);
+
+              connector.authenticate('Archived', user.email, user.password, function(err, json) {
+                if (err) return done(err);
+
+                assert.equal(json.id, obj.id);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('should purge accounts once the retention period is over', function(done) {
+      async.mapSeries(['a@stormpath.com', 'b@stormpath.com'], createArchived, function(err) {
+        if (err) return done(err);
+
+        Archived.destroyAll({}, { allowUnscopedBulk: true }, function(err) {
+          if (err) return done(err);
+
+          connector.purge('Archived', function(err, purged) {
+            if (err) return done(err);
+
+            assert.equal(purged, 0);
+
+            connector.purge('Archived', { before: new Date(Date.now() + 8 * 24 * 60 * 60 * 1000) }, function(err, purged) {
+              if (err) return done(err);
+
+              assert.equal(purged, 2);
+
+              Member.count(function(err, count) {
+                if (err) return done(err);
+
+                assert.equal(count, 0);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('should only restore and purge account models', function(done) {
+      connector.purge('ArchivedTeam', function(err) {
+        assert(err);
+        assert.equal(err.statusCode, 400);
+
+        connector.restore('ArchivedTeam', 'abc', function(err) {
+          assert(err);
+          assert.equal(err.statusCode, 400);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('API keys', function() {
+    var connector;
+
+    before(function() {
+      connector = Member.getDataSource().connector;
+    });
+
+    /**
+     * Create an Account, along with an API key for it.
+     */
+    function createKeyedMember(callback) {
+      Member.create({
+        email: user.email,
+        givenName: user.givenName,
+        surname: user.surname,
+        password: user.password
+      }, function(err, obj) {
+        if (err) return callback(err);
+
+        connector.createApiKey('Member', obj.id, { name: 'CI' }, function(err, apiKey) {
+          if (err) return callback(err);
+          callback(null, obj, apiKey);
+        });
+      });
+    }
+
+    it('should create, list, disable and delete API keys', function(done) {
+      createKeyedMember(function(err, obj, apiKey) {
+        if (err) return done(err);
+
+        assert(apiKey.id);
+        assert(apiKey.secret);
+        assert.equal(apiKey.status, 'ENABLED');
+        assert.equal(apiKey.name, 'CI');
+        assert.equal(apiKey.accountId, obj.id);
+
+        connector.disableApiKey('Member', obj.id, apiKey.id, function(err, disabled) {
+          if (err) return done(err);
+
+          assert.equal(disabled.status, 'DISABLED');
+
+          connector.listApiKeys('Member', obj.id, function(err, apiKeys) {
+            if (err) return done(err);
+
+            assert.deepEqual(apiKeys, [{ id: apiKey.id, status: 'DISABLED', name: 'CI', accountId: obj.id }]);
+
+            connector.deleteApiKey('Member', obj.id, apiKey.id, function(err) {
+              if (err) return done(err);
+
+              connector.deleteApiKey('Member', obj.id, apiKey.id, function(err) {
+                assert(err);
+                assert.equal(err.statusCode, 404);
+                assert.equal(err.code, 'API_KEY_NOT_FOUND');
+
+                connector.listApiKeys('Member', obj.id, function(err, apiKeys) {
+                  if (err) return done(err);
+
+                  assert.deepEqual(apiKeys, []);
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('should only receive API key secrets encrypted', function(done) {
+      var execute = connector.requestExecutor.execute;
+      var secrets = [];
+
+      connector.requestExecutor.execute = function(req, callback) {
+        execute.call(this, req, function(err, body) {
+          if (body && /\/apiKeys/.test(req.uri)) {
+            (body.items || [body]).forEach(function(item) {
+              secrets.push(item.secret);
+            });
+          }
+          callback(err, body);
+        });
+      };
+
+      createKeyedMember(function(err, obj, apiKey) {
+        if (err) {
+          connector.requestExecutor.execute = execute;
+          return done(err);
+        }
+
+        connector.authenticate('Member', { apiKeyId: apiKey.id, apiKeySecret: apiKey.secret }, function(err, json) {
+          connector.requestExecutor.execute = execute;
+
+          if (err) return done(err);
+
+          assert.equal(json.id, obj.id);
+          assert.equal(secrets.length, 2);
+          secrets.forEach(function(secret) {
+            assert(secret);
+            assert.notEqual(secret, apiKey.secret);
+          });
+          done();
+        });
+      });
+    });
+
+    it('should authenticate accounts with API keys or passwords', function(done) {
+      createKeyedMember(function(err, obj, apiKey) {
+        if (err) return done(err);
+
+        var authorization = 'Basic ' + new Buffer(apiKey.id + ':' + apiKey.secret).toString('base64');
+
+        async.series([
+          function(cb) {
+            connector.authenticate('Member', { apiKeyId: apiKey.id, apiKeySecret: apiKey.secret }, cb);
+          },
+          function(cb) {
+            connector.authenticate('Member', { authorization: authorization }, cb);
+          },
+          function(cb) {
+            connector.authenticate('Member', { username: user.email, password: user.password }, cb);
+          },
+          function(cb) {
+            connector.authenticate('Member', { email: user.email, password: user.password }, cb);
+          }
+        ], function(err, results) {
+          if (err) return done(err);
+
+          results.forEach(function(json) {
+            assert.equal(json.id, obj.id);
+            assert.equal(json.email, user.email);
+          });
+          done();
+        });
+      });
+    });
+
+    it('should reject invalid and disabled API keys', function(done) {
+      createKeyedMember(function(err, obj, apiKey) {
+        if (err) return done(err);
+
+        connector.authenticate('Member', { apiKeyId: apiKey.id, apiKeySecret: 'nope' }, function(err) {
+          assert(err);
+          assert.equal(err.statusCode, 401);
+          assert.equal(err.code, 'LOGIN_FAILED');
+
+          connector.authenticate('Member', { apiKeyId: 'unknown', apiKeySecret: apiKey.secret }, function(err) {
+            assert(err);
+            assert.equal(err.code, 'LOGIN_FAILED');
+
+            connector.disableApiKey('Member', obj.id, apiKey.id, function(err) {
+              if (err) return done(err);
+
+              connector.authenticate('Member', { apiKeyId: apiKey.id, apiKeySecret: apiKey.secret }, function(err) {
+                assert(err);
+                assert.equal(err.statusCode, 401);
+                assert.equal(err.code, 'LOGIN_FAILED_API_KEY_DISABLED');
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('should reject API keys of disabled accounts', function(done) {
+      createKeyedMember(function(err, obj, apiKey) {
+        if (err) return done(err);
+
+        obj.updateAttributes({ status: 'DISABLED' }, function(err) {
+          if (err) return done(err);
+
+          connector.authenticate('Member', { apiKeyId: apiKey.id, apiKeySecret: apiKey.secret }, function(err) {
+            assert(err);
+            assert.equal(err.statusCode, 401);
+            assert.equal(err.code, 'LOGIN_FAILED_ACCOUNT_DISABLED');
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('OAuth tokens', function() {
+    var connector;
+
+    before(function() {
+      connector = Member.getDataSource().connector;
+    });
+
+    /**
+     * Create an Account, and exchange its password for OAuth tokens.
+     */
+    function createLoggedInMember(callback) {
+      Member.create({
+        email: user.email,
+        givenName: user.givenName,
+        surname: user.surname,
+        password: user.password
+      }, function(err, obj) {
+        if (err) return callback(err);
+
+        connector.issueToken('Member', {
+          grantType: 'password',
+          username: user.email,
+          password: user.password
+        }, function(err, response) {
+          if (err) return callback(err);
+          callback(null, obj, response);
+        });
+      });
+    }
+
+    /**
+     * Sign an access token for the given Account, with the given claims.
+     */
+    function signAccessToken(obj, claims, secret) {
+      var now = Math.floor(Date.now() / 1000);
+      var fullClaims = {
+        jti: uuid.v4(),
+        iat: now,
+        iss: connector.application.href,
+        sub: connector.application.href.replace(/applications\/.*$/, 'accounts/' + obj.id),
+        exp: now + 60
+      };
+
+      for (var key in claims) {
+        fullClaims[key] = claims[key];
+      }
+
+      return tokens.sign({ stt: 'access' }, fullClaims, secret || connector.settings.apiKeySecret);
+    }
+
+    it('should exchange passwords and refresh tokens for access tokens', function(done) {
+      createLoggedInMember(function(err, obj, response) {
+        if (err) return done(err);
+
+        assert(response.access_token);
+        assert(response.refresh_token);
+        assert.equal(response.token_type, 'Bearer');
+        assert.equal(response.expires_in, 3600);
+
+        connector.validateAccessToken('Member', response.access_token, function(err, json, claims) {
+          if (err) return done(err);
+
+          assert.equal(json.id, obj.id);
+          assert.equal(json.email, user.email);
+          assert.equal(claims.iss, connector.application.href);
+
+          connector.issueToken('Member', {
+            grantType: 'refresh_token',
+            refreshToken: response.refresh_token
+          }, function(err, refreshed) {
+            if (err) return done(err);
+
+            assert.notEqual(refreshed.access_token, response.access_token);
+            assert.equal(refreshed.refresh_token, response.refresh_token);
+
+            connector.validateAccessToken('Member', refreshed.access_token, function(err, json) {
+              if (err) return done(err);
+
+              assert.equal(json.id, obj.id);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should exchange API keys for access tokens', function(done) {
+      createLoggedInMember(function(err, obj) {
+        if (err) return done(err);
+
+        connector.createApiKey('Member', obj.id, function(err, apiKey) {
+          if (err) return done(err);
+
+          connector.issueToken('Member', {
+            grantType: 'client_credentials',
+            apiKeyId: apiKey.id,
+            apiKeySecret: apiKey.secret
+          }, function(err, response) {
+            if (err) return done(err);
+
+            assert(response.access_token);
+            assert.equal(response.refresh_token, undefined);
+
+            connector.validateAccessToken('Member', response.access_token, function(err, json) {
+              if (err) return done(err);
+
+              assert.equal(json.id, obj.id);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should reject invalid grants', function(done) {
+      createLoggedInMember(function(err) {
+        if (err) return done(err);
+
+        async.series([
+          function(cb) {
+            connector.issueToken('Member', { grantType: 'password', username: user.email, password: 'wrong' }, cb);
+          },
+          function(cb) {
+            connector.issueToken('Member', { grantType: 'refresh_token', refreshToken: 'nope' }, cb);
+          },
+          function(cb) {
+            connector.issueToken('Member', { grantType: 'client_credentials', apiKeyId: 'nope', apiKeySecret: 'nope' }, cb);
+          },
+          function(cb) {
+            connector.issueToken('Member', { grantType: 'implicit' }, cb);
+          }
+        ].map(function(request) {
+          return function(cb) {
+            request(function(err) {
+              cb(null, err);
+            });
+          };
+        }), function(err, results) {
+          if (err) return done(err);
+
+          assert.deepEqual(results.map(function(err) {
+            return [err && err.statusCode, err && err.code];
+          }), [
+            [400, 'INVALID_GRANT'],
+            [400, 'INVALID_GRANT'],
+            [400, 'INVALID_CLIENT'],
+            [400, 'UNSUPPORTED_GRANT_TYPE']
+          ]);
+          done();
+        });
+      });
+    });
+
+    it('should reject tampered, expired and foreign access tokens', function(done) {
+      createLoggedInMember(function(err, obj, response) {
+        if (err) return done(err);
+
+        var parts = response.access_token.split('.');
+        var tampered = parts[0] + '.' + signAccessToken(obj, { exp: 9999999999 }).split('.')[1] + '.' + parts[2];
+
+        async.mapSeries([
+          tampered,
+          'not a token',
+          signAccessToken(obj, {}, 'some other secret'),
+          signAccessToken(obj, { exp: Math.floor(Date.now() / 1000) - 1 }),
+          signAccessToken(obj, { iss: connector.application.href + 'x' }),
+          signAccessToken({ id: 'missing' }, {})
+        ], function(token, cb) {
+          connector.validateAccessToken('Member', token, function(err) {
+            cb(null, err && [err.statusCode, err.code]);
+          });
+        }, function(err, results) {
+          if (err) return done(err);
+
+          assert.deepEqual(results, [
+            [401, 'INVALID_ACCESS_TOKEN'],
+            [401, 'INVALID_ACCESS_TOKEN'],
+            [401, 'INVALID_ACCESS_TOKEN'],
+            [401, 'ACCESS_TOKEN_EXPIRED'],
+            [401, 'INVALID_ACCESS_TOKEN'],
+            [401, 'INVALID_ACCESS_TOKEN']
+          ]);
+          done();
+        });
+      });
+    });
+
+    it('should only trust tokens signed with the configured secret', function(done) {
+      var secret = connector.settings.apiKeySecret;
+
+      createLoggedInMember(function(err, obj) {
+        if (err) return done(err);
+
+        async.mapSeries(['undefined', 'memory', 'okta'], function(defaultSecret, cb) {
+          connector.validateAccessToken('Member', signAccessToken(obj, {}, defaultSecret), function(err) {
+            cb(null, err && err.code);
+          });
+        }, function(err, codes) {
+          if (err) return done(err);
+
+          assert.deepEqual(codes, ['INVALID_ACCESS_TOKEN', 'INVALID_ACCESS_TOKEN', 'INVALID_ACCESS_TOKEN']);
+
+          // Without a configured secret, nothing is validated locally.
+          delete connector.settings.apiKeySecret;
+
+          connector.validateAccessToken('Member', signAccessToken(obj, {}, 'undefined'), function(err) {
+            connector.settings.apiKeySecret = secret;
+
+            assert(err);
+            assert.equal(err.statusCode, 500);
+            assert.equal(err.code, 'API_KEY_SECRET_REQUIRED');
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('access token models', function() {
+    var TokenUser;
+    var StormpathToken;
+
+    before(function() {
+      loopback.modelBuilder.mixins.define('StormpathUser', require('..').StormpathUser);
+
+      TokenUser = app.loopback.createModel({
+        name: 'TokenUser',
+        relations: {
+          accessTokens: { type: 'hasMany', model: 'StormpathToken', foreignKey: 'userId' }
+        },
+        options: {
+          base: LoopbackUser,
+          idInjection: false,
+          strict: false,
+          mixins: { StormpathUser: true }
+        }
+      });
+
+      StormpathToken = app.loopback.createModel({
+        name: 'StormpathToken',
+        relations: {
+          user: { type: 'belongsTo', model: 'TokenUser', foreignKey: 'userId' }
+        },
+        options: {
+          base: 'AccessToken',
+          idInjection: false
+        }
+      });
+
+      // The token model goes first, so that the user's relation to it is set up.
+      loopback.configureModel(StormpathToken, { dataSource: User.getDataSource() });
+      loopback.configureModel(TokenUser, { dataSource: User.getDataSource() });
+    });
+
+    /**
+     * Create an Account, and log it in.
+     */
+    function createLoggedInUser(callback) {
+      User.create(user, function(err, obj) {
+        if (err) return callback(err);
+
+        TokenUser.login({ email: user.email, password: user.password }, 'user', function(err, token) {
+          if (err) return callback(err);
+          callback(null, obj, token);
+        });
+      });
+    }
+
+    it('should map AccessToken models to Stormpath access tokens', function() {
+      assert(User.getDataSource().connector.storesAccessTokens('StormpathToken'));
+      assert(!User.getDataSource().connector.storesAccessTokens('TokenUser'));
+    });
+
+    it('should log in with Stormpath access tokens and find them by id', function(done) {
+      createLoggedInUser(function(err, obj, token) {
+        if (err) return done(err);
+
+        assert(token instanceof StormpathToken);
+        assert.equal(token.userId, obj.id);
+        assert.equal(token.toJSON().user.email, user.email);
+
+        User.getDataSource().connector.validateAccessToken('User', token.id, function(err, json) {
+          if (err) return done(err);
+
+          assert.equal(json.id, obj.id);
+
+          StormpathToken.findById(token.id, function(err, found) {
+            if (err) return done(err);
+
+            assert.equal(found.id, token.id);
+            assert.equal(found.userId, obj.id);
+            assert.equal(found.ttl, 3600);
+
+            found.validate(function(err, isValid) {
+              if (err) return done(err);
+
+              assert(isValid);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should revoke access tokens on logout', function(done) {
+      createLoggedInUser(function(err, obj, token) {
+        if (err) return done(err);
+
+        TokenUser.logout(token.id, function(err) {
+          if (err) return done(err);
+
+          StormpathToken.findById(token.id, function(err, found) {
+            if (err) return done(err);
+
+            assert.equal(found, null);
+
+            TokenUser.logout(token.id, function(err) {
+              assert(err);
+              assert.equal(err.status, 401);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should find, count and revoke the access tokens of a user', function(done) {
+      createLoggedInUser(function(err, obj) {
+        if (err) return done(err);
+
+        TokenUser.login({ email: user.email, password: user.password }, function(err) {
+          if (err) return done(err);
+
+          StormpathToken.find({ where: { userId: obj.id }, order: 'created DESC' }, function(err, tokens) {
+            if (err) return done(err);
+
+            assert.equal(tokens.length, 2);
+
+            StormpathToken.destroyAll({ userId: obj.id }, function(err, info) {
+              if (err) return done(err);
+
+              assert.equal(info.count, 2);
+
+              StormpathToken.count({ userId: obj.id }, function(err, count) {
+                if (err) return done(err);
+
+                assert.equal(count, 0);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('should reject unknown tokens, failed logins and token updates', function(done) {
+      createLoggedInUser(function(err, obj, token) {
+        if (err) return done(err);
+
+        async.series([
+          function(cb) {
+            StormpathToken.findById('nope', function(err, found) {
+              assert.equal(found, null);
+              cb(err);
+            });
+          },
+          function(cb) {
+            StormpathToken.create({ userId: obj.id }, function(err) {
+              assert(err);
+              assert.equal(err.statusCode, 401);
+              assert.equal(err.code, 'INVALID_ACCESS_TOKEN');
+              cb();
+            });
+          },
+          function(cb) {
+            TokenUser.login({ email: user.email, password: 'wrong' }, function(err) {
+              assert(err);
+              assert.equal(err.statusCode, 401);
+              assert.equal(err.code, 'LOGIN_FAILED');
+              cb();
+            });
+          },
+          function(cb) {
+            token.updateAttributes({ ttl: 60 }, function(err) {
+              assert(err);
+              assert.equal(err.statusCode, 400);
+              cb();
+            });
+          },
+          function(cb) {
+            StormpathToken.find({ where: { ttl: 3600 } }, function(err) {
+              assert(err);
+              assert.equal(err.code, 'STORMPATH_UNSUPPORTED_QUERY');
+              cb();
+            });
+          }
+        ], done);
+      });
+    });
+  });
+
+  describe('password reset', function() {
+    var ResetUser;
+    var connector;
+
+    before(function() {
+      loopback.modelBuilder.mixins.define('StormpathUser', require('..').StormpathUser);
+
+      ResetUser = app.loopback.createModel({
+        name: 'ResetUser',
+        options: {
+          base: 'PersistedModel',
+          idInjection: false,
+          strict: false,
+          mixins: { StormpathUser: true }
+        }
+      });
+
+      loopback.configureModel(ResetUser, { dataSource: User.getDataSource() });
+      connector = User.getDataSource().connector;
+    });
+
+    it('should send reset emails and set new passwords with the token', function(done) {
+      User.create(user, function(err, created) {
+        if (err) return done(err);
+
+        ResetUser.once('resetPasswordRequest', function(info) {
+          assert.equal(info.email, user.email);
+          assert.equal(info.userId, created.id);
+
+          ResetUser.verifyPasswordResetToken(info.token, function(err, found) {
+            if (err) return done(err);
+
+            assert(found instanceof ResetUser);
+            assert.equal(found.id, created.id);
+
+            ResetUser.setPasswordWithToken(info.token, 'n3wPassword!', function(err) {
+              if (err) return done(err);
+
+              connector.authenticate('User', user.email, 'n3wPassword!', function(err, json) {
+                if (err) return done(err);
+
+                assert.equal(json.id, created.id);
+
+                // Tokens can only be used once.
+                ResetUser.setPasswordWithToken(info.token, 'an0therPassword!', function(err) {
+                  assert(err);
+                  assert.equal(err.statusCode, 400);
+                  assert.equal(err.code, 'INVALID_TOKEN');
+                  done();
+                });
+              });
+            });
+          });
+        });
+
+        ResetUser.resetPassword({ email: user.email }, function(err) {
+          if (err) return done(err);
+        });
+      });
+    });
+
+    it('should report missing and unknown emails', function(done) {
+      ResetUser.resetPassword({}, function(err) {
+        assert(err);
+        assert.equal(err.statusCode, 400);
+        assert.equal(err.code, 'EMAIL_REQUIRED');
+
+        ResetUser.resetPassword({ email: 'nobody@stormpath.com' }, function(err) {
+          assert(err);
+          assert.equal(err.statusCode, 404);
+          assert.equal(err.code, 'EMAIL_NOT_FOUND');
+          done();
+        });
+      });
+    });
+
+    it('should reject invalid tokens and passwords', function(done) {
+      User.create(user, function(err) {
+        if (err) return done(err);
+
+        connector.verifyPasswordResetToken('User', 'nope', function(err) {
+          assert(err);
+          assert.equal(err.statusCode, 400);
+          assert.equal(err.code, 'INVALID_TOKEN');
+
+          connector.sendPasswordResetEmail('User', user.email, function(err, result) {
+            if (err) return done(err);
+
+            connector.resetPassword('User', result.token, 'short', function(err) {
+              assert(err);
+              assert.equal(err.statusCode, 422);
+              assert.deepEqual(err.details.codes, { password: ['length.min'] });
+              assert.equal(err.stormpathCode, 2007);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should reject expired tokens', function(done) {
+      if (!(config.backend instanceof MemoryBackend)) {
+        return this.skip();
+      }
+
+      User.create(user, function(err) {
+        if (err) return done(err);
+
+        connector.sendPasswordResetEmail('User', user.email, function(err, result) {
+          if (err) return done(err);
+
+          config.backend.passwordResetTokens[result.token].expiresAt = Date.now() - 1;
+
+          connector.verifyPasswordResetToken('User', result.token, function(err) {
+            assert(err);
+            assert.equal(err.statusCode, 400);
+            assert.equal(err.code, 'INVALID_TOKEN');
+            done();
+          });
+        });
+      });
+    });
+
+    it('should only reset passwords of account models', function(done) {
+      connector.sendPasswordResetEmail('Team', user.email, function(err) {
+        assert(err);
+        assert.equal(err.statusCode, 400);
+        done();
+      });
+    });
+  });
+
+  describe('email verification', function() {
+    var VerifyUser;
+    var connector;
+
+    /**
+     * Turn the verification workflow of the application's directory on or
+     * off.
+     */
+    function setVerificationEmailStatus(status, callback) {
+      application.getAccountStoreMappings(function(err, mappings) {
+        if (err) return callback(err);
+
+        client.getDirectory(mappings.items[0].accountStore.href, function(err, directory) {
+          if (err) return callback(err);
+
+          client.getResource(directory.accountCreationPolicy.href, function(err, policy) {
+            if (err) return callback(err);
+
+            policy.verificationEmailStatus = status;
+            policy.save(callback);
+          });
+        });
+      });
+    }
+
+    /**
+     * Get the current email verification token of an account.
+     */
+    function getVerificationToken(id, callback) {
+      var href = connector.getResourceType('User').toHref(id, connector.baseUrl);
+
+      client.getAccount(href, { nocache: true }, function(err, account) {
+        if (err) return callback(err);
+        callback(null, account.emailVerificationToken.href.split('/').pop());
+      });
+    }
+
+    before(function(done) {
+      loopback.modelBuilder.mixins.define('StormpathUser', require('..').StormpathUser);
+
+      VerifyUser = app.loopback.createModel({
+        name: 'VerifyUser',
+        options: {
+          base: 'PersistedModel',
+          idInjection: false,
+          strict: false,
+          mixins: { StormpathUser: true }
+        }
+      });
+
+      loopback.configureModel(VerifyUser, { dataSource: User.getDataSource() });
+      connector = User.getDataSource().connector;
+
+      setVerificationEmailStatus('ENABLED', done);
+    });
+
+    after(function(done) {
+      setVerificationEmailStatus('DISABLED', done);
+    });
+
+    it('should report the verification state of accounts', function(done) {
+      User.create(user, function(err, obj) {
+        if (err) return done(err);
+
+        User.findById(obj.id, function(err, found) {
+          if (err) return done(err);
+
+          assert.equal(found.status, 'UNVERIFIED');
+          assert.strictEqual(found.emailVerified, false);
+
+          connector.authenticate('User', user.email, user.password, function(err) {
+            assert(err);
+            assert.equal(err.statusCode, 401);
+            assert.equal(err.code, 'LOGIN_FAILED_EMAIL_NOT_VERIFIED');
+            done();
+          });
+        });
+      });
+    });
+
+    it('should verify email addresses like User.confirm', function(done) {
+      User.create(user, function(err, obj) {
+        if (err) return done(err);
+
+        getVerificationToken(obj.id, function(err, token) {
+          if (err) return done(err);
+
+          VerifyUser.confirm(obj.id, token, function(err) {
+            if (err) return done(err);
+
+            User.findById(obj.id, function(err, found) {
+              if (err) return done(err);
+
+              assert.equal(found.status, 'ENABLED');
+              assert.strictEqual(found.emailVerified, true);
+
+              VerifyUser.confirm(obj.id, token, function(err) {
+                assert(err);
+                assert.equal(err.statusCode, 400);
+                assert.equal(err.code, 'INVALID_TOKEN');
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('should reject unknown users and tokens of other users', function(done) {
+      User.create([user, {
+        givenName: 'Elon',
+        surname: 'Musk',
+        email: 'emusk@spacex.com',
+        password: 'r0ck3tsRfuN!'
+      }], function(err, users) {
+        if (err) return done(err);
+
+        getVerificationToken(users[1].id, function(err, token) {
+          if (err) return done(err);
+
+          VerifyUser.confirm('nope', token, function(err) {
+            assert(err);
+            assert.equal(err.statusCode, 404);
+            assert.equal(err.code, 'USER_NOT_FOUND');
+
+            VerifyUser.confirm(users[0].id, token, function(err) {
+              assert(err);
+              assert.equal(err.statusCode, 400);
+              assert.equal(err.code, 'INVALID_TOKEN');
+
+              // The token isn't used up by someone else's attempt.
+              VerifyUser.confirm(users[1].id, token, done);
+            });
+          });
+        });
+      });
+    });
+
+    it('should resend verification emails', function(done) {
+      User.create(user, function(err, obj) {
+        if (err) return done(err);
+
+        VerifyUser.resendVerificationEmail({ email: user.email }, function(err) {
+          if (err) return done(err);
+
+          getVerificationToken(obj.id, function(err, token) {
+            if (err) return done(err);
+
+            connector.verifyEmail('User', token, function(err, json) {
+              if (err) return done(err);
+
+              assert.equal(json.id, obj.id);
+              assert.strictEqual(json.emailVerified, true);
+
+              VerifyUser.resendVerificationEmail({ email: 'nobody@stormpath.com' }, function(err) {
+                assert(err);
+                assert.equal(err.statusCode, 404);
+                assert.equal(err.code, 'EMAIL_NOT_FOUND');
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe('Group models', function() {
+    var team = {
+      name: 'Engineering',
+      description: 'The engineering team.',
+      floor: 3
+    };
+
+    it('should create a group and store unknown fields in customData', function(done) {
+      Team.create(team, function(err, obj) {
+        if (err) return done(err);
+
+        assert(obj.id);
+
+        Team.all({ where: { name: team.name }, include: 'customData' }, function(err, teams) {
+          if (err) return done(err);
+
+          assert.equal(teams.length, 1);
+          assert.equal(teams[0].id, obj.id);
+          assert.equal(teams[0].description, team.description);
+          assert.equal(teams[0].customData.floor, team.floor);
+          done();
+        });
+      });
+    });
+
+    it('should not mix groups and accounts', function(done) {
+      Team.create(team, function(err) {
+        if (err) return done(err);
+
+        User.create(user, function(err) {
+          if (err) return done(err);
+
+          Team.count({}, function(err, count) {
+            if (err) return done(err);
+
+            assert.equal(count, 1);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should update an existing group', function(done) {
+      Team.create(team, function(err, obj) {
+        if (err) return done(err);
+
+        Team.updateOrCreate({ id: obj.id, name: team.name, description: 'Builders.' }, function(err, updatedTeam) {
+          if (err) return done(err);
+
+          assert.equal(updatedTeam.id, obj.id);
+          assert.equal(updatedTeam.description, 'Builders.');
+          done();
+        });
+      });
+    });
+
+    it('should destroy groups', function(done) {
+      Team.create(team, function(err) {
+        if (err) return done(err);
+
+        Team.destroyAll({ name: team.name }, function(err, deleted) {
+          if (err) return done(err);
+
+          assert.equal(deleted, 1);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('group memberships', function() {
+    var users = [
+      { givenName: 'Randall', surname: 'Degges', email: 'randall@stormpath.com', password: 'woot!ILOVEc00kies' },
+      { givenName: 'Robert', surname: 'Damphousse', email: 'robert@stormpath.com', password: 'woot!ILOVEc00kies' },
+      { givenName: 'Edward', surname: 'Jiang', email: 'edward@stormpath.com', password: 'woot!ILOVEc00kies' }
+    ];
+    var connector;
+    var accounts;
+    var admins;
+    var editors;
+
+    beforeEach(function(done) {
+      connector = User.getDataSource().connector;
+
+      async.series([
+        function(callback) {
+          async.mapSeries(users, User.create.bind(User), function(err, created) {
+            accounts = created;
+            callback(err);
+          });
+        },
+        function(callback) {
+          Team.create({ name: 'admins' }, function(err, team) {
+            admins = team;
+            callback(err);
+          });
+        },
+        function(callback) {
+          Team.create({ name: 'editors' }, function(err, team) {
+            editors = team;
+            callback(err);
+          });
+        }
+      ], done);
+    });
+
+    it('should add accounts to groups, and include them', function(done) {
+      async.series([
+        function(callback) {
+          connector.addToGroup('User', accounts[0].id, admins.id, function(err, group) {
+            if (err) return callback(err);
+
+            assert.equal(group.id, admins.id);
+            assert.equal(group.name, 'admins');
+            callback();
+          });
+        },
+        function(callback) {
+          connector.addToGroup('User', accounts[0].id, { name: 'editors' }, callback);
+        },
+        function(callback) {
+          // Adding an account to a group twice does nothing.
+          connector.addToGroup('User', accounts[0].id, admins.id, callback);
+        },
+        function(callback) {
+          User.findById(accounts[0].id, { include: 'groups' }, function(err, obj) {
+            if (err) return callback(err);
+
+            var groups = obj.toJSON().groups.map(function(group) {
+              return group.name;
+            }).sort();
+
+            assert.deepEqual(groups, ['admins', 'editors']);
+
+            // The groups are never written back into customData.
+            obj.updateAttributes({ givenName: 'Randy' }, function(err) {
+              if (err) return callback(err);
+
+              User.findById(accounts[0].id, { include: 'customData' }, function(err, obj) {
+                if (err) return callback(err);
+
+                assert.equal(obj.givenName, 'Randy');
+                assert.equal(obj.customData.groups, undefined);
+                assert.equal(obj.groups, undefined);
+                callback();
+              });
+            });
+          });
+        }
+      ], done);
+    });
+
+    it('should remove accounts from groups', function(done) {
+      async.series([
+        function(callback) {
+          connector.addToGroup('User', accounts[0].id, admins.id, callback);
+        },
+        function(callback) {
+          connector.removeFromGroup('User', accounts[0].id, { name: 'admins' }, callback);
+        },
+        function(callback) {
+          // Removing an account from a group it doesn't belong to does nothing.
+          connector.removeFromGroup('User', accounts[0].id, editors.id, callback);
+        },
+        function(callback) {
+          User.findById(accounts[0].id, { include: 'groups' }, function(err, obj) {
+            if (err) return callback(err);
+
+            assert.deepEqual(obj.toJSON().groups, []);
+            callback();
+          });
+        }
+      ], done);
+    });
+
+    it('should report unknown groups and non-account models', function(done) {
+      connector.addToGroup('User', accounts[0].id, { name: 'nobody' }, function(err) {
+        assert(err);
+        assert.equal(err.statusCode, 404);
+        assert.equal(err.code, 'GROUP_NOT_FOUND');
+
+        connector.addToGroup('Team', admins.id, editors.id, function(err) {
+          assert(err);
+          assert.equal(err.statusCode, 400);
+          done();
+        });
+      });
+    });
+
+    it('should filter accounts by group membership', function(done) {
+      async.series([
+        function(callback) {
+          connector.addToGroup('User', accounts[0].id, admins.id, callback);
+        },
+        function(callback) {
+          connector.addToGroup('User', accounts[1].id, admins.id, callback);
+        },
+        function(callback) {
+          connector.addToGroup('User', accounts[2].id, editors.id, callback);
+        },
+        function(callback) {
+          User.find({ where: { 'groups.name': 'admins' }, order: 'email ASC' }, function(err, objs) {
+            if (err) return callback(err);
+
+            assert.deepEqual(objs.map(function(obj) {
+              return obj.email;
+            }), ['randall@stormpath.com', 'robert@stormpath.com']);
+            callback();
+          });
+        },
+        function(callback) {
+          User.find({ where: { 'groups.id': admins.id, givenName: 'Robert' } }, function(err, objs) {
+            if (err) return callback(err);
+
+            assert.equal(objs.length, 1);
+            assert.equal(objs[0].id, accounts[1].id);
+            callback();
+          });
+        },
+        function(callback) {
+          User.count({ 'groups.name': { inq: ['admins', 'editors'] } }, function(err, count) {
+            if (err) return callback(err);
+
+            assert.equal(count, 3);
+            callback();
+          });
+        },
+        function(callback) {
+          User.find({ where: { 'groups.name': 'admins' }, order: 'email DESC', limit: 1 }, function(err, objs) {
+            if (err) return callback(err);
+
+            assert.equal(objs.length, 1);
+            assert.equal(objs[0].email, 'robert@stormpath.com');
+            callback();
+          });
+        },
+        function(callback) {
+          User.count({ 'groups.name': 'nobody' }, function(err, count) {
+            if (err) return callback(err);
+
+            assert.equal(count, 0);
+            callback();
+          });
+        },
+        function(callback) {
+          User.find({ where: { or: [{ 'groups.name': 'admins' }, { givenName: 'Edward' }] } }, function(err) {
+            assert(err);
+            assert.equal(err.code, 'STORMPATH_UNSUPPORTED_QUERY');
+            callback();
+          });
+        }
+      ], done);
+    });
+  });
+
+  describe('group roles', function() {
+    var connector;
+    var account;
+
+    beforeEach(function(done) {
+      connector = User.getDataSource().connector;
+
+      async.series([
+        function(callback) {
+          User.create(user, function(err, obj) {
+            account = obj;
+            callback(err);
+          });
+        },
+        function(callback) {
+          Team.create({ name: 'Administrators' }, callback);
+        },
+        function(callback) {
+          Team.create({ name: 'editors' }, callback);
+        },
+        function(callback) {
+          connector.addToGroup('User', account.id, { name: 'Administrators' }, callback);
+        }
+      ], done);
+    });
+
+    it('should resolve roles from group memberships', function(done) {
+      var registered = connector.registerRoleResolvers(loopback.Role, {
+        administrators: 'stormpath-admin',
+        editors: 'stormpath-editor'
+      });
+
+      assert.deepEqual(registered, ['stormpath-admin', 'stormpath-editor']);
+
+      async.series([
+        function(callback) {
+          loopback.Role.isInRole('stormpath-admin', { principalType: 'USER', principalId: account.id }, function(err, inRole) {
+            if (err) return callback(err);
+
+            assert.equal(inRole, true);
+            callback();
+          });
+        },
+        function(callback) {
+          loopback.Role.isInRole('stormpath-editor', { principalType: 'USER', principalId: account.id }, function(err, inRole) {
+            if (err) return callback(err);
+
+            assert.equal(inRole, false);
+            callback();
+          });
+        },
+        function(callback) {
+          loopback.Role.isInRole('stormpath-admin', {}, function(err, inRole) {
+            if (err) return callback(err);
+
+            assert.equal(inRole, false);
+            callback();
+          });
+        }
+      ], done);
+    });
+
+    it('should look groups up once per request', function(done) {
+      var getResource = connector.client.getResource;
+      var lookups = 0;
+      var req = {};
+
+      connector.registerRoleResolvers(loopback.Role, ['Administrators', 'editors']);
+
+      connector.client.getResource = function(href) {
+        if (/\/groups$/.test(href)) {
+          lookups++;
+        }
+        return getResource.apply(this, arguments);
+      };
+
+      var check = function(role, req, cb) {
+        loopback.Role.isInRole(role, {
+          principalType: 'USER',
+          principalId: account.id,
+          remotingContext: { req: req }
+        }, cb);
+      };
+
+      async.series([
+        function(callback) {
+          async.parallel([
+            check.bind(null, 'Administrators', req),
+            check.bind(null, 'editors', req)
+          ], function(err, results) {
+            if (err) return callback(err);
+
+            assert.deepEqual(results, [true, false]);
+            assert.equal(lookups, 1);
+            callback();
+          });
+        },
+        function(callback) {
+          check('Administrators', req, function(err, inRole) {
+            if (err) return callback(err);
+
+            assert.equal(inRole, true);
+            assert.equal(lookups, 1);
+            callback();
+          });
+        },
+        function(callback) {
+          check('Administrators', {}, function(err, inRole) {
+            if (err) return callback(err);
+
+            assert.equal(inRole, true);
+            assert.equal(lookups, 2);
+            callback();
+          });
+        }
+      ], function(err) {
+        connector.client.getResource = getResource;
+        done(err);
+      });
+    });
+
+    it('should keep role mappings and ignore users stored elsewhere', function(done) {
+      var db = loopback.createDataSource({ connector: loopback.Memory });
+      var getResource = connector.client.getResource;
+      var ElsewhereUser = loopback.createModel({
+        name: 'ElsewhereUser',
+        base: 'PersistedModel',
+        properties: { id: { type: String, id: true } }
+      });
+      var ElsewhereToken = loopback.createModel({
+        name: 'ElsewhereToken',
+        base: 'PersistedModel',
+        relations: { user: { type: 'belongsTo', model: 'ElsewhereUser', foreignKey: 'userId' } }
+      });
+
+      [loopback.Role, loopback.RoleMapping, ElsewhereUser, ElsewhereToken].forEach(function(Model) {
+        Model.attachTo(db);
+      });
+
+      connector.registerRoleResolvers(loopback.Role, {
+        administrators: 'stormpath-admin',
+        editors: 'stormpath-editor'
+      });
+
+      var check = function(role, context) {
+        return function(cb) {
+          loopback.Role.isInRole(role, context, cb);
+        };
+      };
+
+      loopback.Role.create({ name: 'stormpath-editor' }, function(err, role) {
+        if (err) return done(err);
+
+        async.eachSeries([account.id, 'elsewhere-42'], function(id, cb) {
+          role.principals.create({ principalType: 'USER', principalId: id }, cb);
+        }, function(err) {
+          if (err) return done(err);
+
+          async.series([
+            check('stormpath-editor', { principalType: 'USER', principalId: account.id }),
+            check('stormpath-editor', { principalType: 'USER', principalId: 'elsewhere-42' }),
+            check('stormpath-admin', { principalType: 'USER', principalId: 'elsewhere-42' }),
+            function(cb) {
+              // Users of other models aren't looked up in Stormpath at all.
+              connector.client.getResource = function(href, query, callback) {
+                var err = new Error('Service unavailable.');
+
+                err.status = 503;
+                callback(err);
+              };
+
+              check('stormpath-admin', { accessToken: new ElsewhereToken({ userId: account.id }) })(cb);
+            },
+            function(cb) {
+              check('stormpath-admin', { principalType: 'USER', principalId: account.id })(function(err) {
+                cb(null, err && err.status);
+              });
+            }
+          ], function(err, results) {
+            connector.client.getResource = getResource;
+
+            if (err) return done(err);
+
+            assert.deepEqual(results, [true, true, false, false, 503]);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should register the roles setting when models are attached', function(done) {
+      var settings = { roles: { Administrators: 'stormpath-configured-admin' } };
+
+      for (var key in config) {
+        settings[key] = config[key];
+      }
+
+      var dataSource = getDataSource(settings);
+      var Staff = app.loopback.createModel({
+        name: 'Staff',
+        options: { base: 'PersistedModel', idInjection: false, strict: false }
+      });
+
+      loopback.configureModel(Staff, { dataSource: dataSource });
+
+      assert.equal(typeof loopback.Role.resolvers['stormpath-configured-admin'], 'function');
+
+      dataSource.once('connected', function() {
+        loopback.Role.isInRole('stormpath-configured-admin', { principalType: 'USER', principalId: account.id }, function(err, inRole) {
+          if (err) return done(err);
+
+          assert.equal(inRole, true);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('Directory models', function() {
+    var store = {
+      name: 'Contractors ' + uuid.v4(),
+      description: 'External contractors.',
+      region: 'eu'
+    };
+
+    afterEach(function(done) {
+      AccountStore.destroyAll({ where: { name: store.name } }, done);
+    });
+
+    it('should create and find a directory', function(done) {
+      AccountStore.create(store, function(err, obj) {
+        if (err) return done(err);
+
+        AccountStore.all({ where: { name: store.name }, include: 'customData' }, function(err, stores) {
+          if (err) return done(err);
+
+          assert.equal(stores.length, 1);
+          assert.equal(stores[0].id, obj.id);
+          assert.equal(stores[0].status, 'ENABLED');
+          assert.equal(stores[0].customData.region, store.region);
+          done();
+        });
+      });
+    });
+
+    it('should disable a directory', function(done) {
+      AccountStore.create(store, function(err, obj) {
+        if (err) return done(err);
+
+        AccountStore.updateOrCreate({ id: obj.id, status: 'DISABLED' }, function(err, updatedStore) {
+          if (err) return done(err);
+
+          assert.equal(updatedStore.id, obj.id);
+          assert.equal(updatedStore.name, store.name);
+          assert.equal(updatedStore.status, 'DISABLED');
+          done();
+        });
+      });
+    });
+  });
+
+  describe('Organization models', function() {
+    var tenant = {
+      name: 'Acme ' + uuid.v4(),
+      nameKey: 'acme-' + uuid.v4(),
+      description: 'The Acme corporation.',
+      plan: 'pro'
+    };
+
+    afterEach(function(done) {
+      Tenant.destroyAll({ where: { nameKey: tenant.nameKey } }, done);
+    });
+
+    it('should create and find an organization', function(done) {
+      Tenant.create(tenant, function(err, obj) {
+        if (err) return done(err);
+
+        Tenant.all({ where: { nameKey: tenant.nameKey }, include: 'customData' }, function(err, tenants) {
+          if (err) return done(err);
+
+          assert.equal(tenants.length, 1);
+          assert.equal(tenants[0].id, obj.id);
+          assert.equal(tenants[0].name, tenant.name);
+          assert.equal(tenants[0].customData.plan, tenant.plan);
+          done();
+        });
+      });
+    });
+
+    it('should count organizations', function(done) {
+      Tenant.create(tenant, function(err) {
+        if (err) return done(err);
+
+        Tenant.count({ where: { nameKey: tenant.nameKey } }, function(err, count) {
+          if (err) return done(err);
+
+          assert.equal(count, 1);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('baseUrl', function() {
+    var server;
+    var requests = [];
+    var baseUrl;
+
+    before(function(done) {
+      server = http.createServer(function(req, res) {
+        var chunks = [];
+
+        req.on('data', function(chunk) {
+          chunks.push(chunk);
+        });
+
+        req.on('end', function() {
+          requests.push(req.url);
+          res.setHeader('Content-Type', 'application/json');
+
+          // Refuse every OAuth token request, echoing the (form encoded) body.
+          if (/\/oauth\/token$/.test(req.url)) {
+            res.statusCode = 400;
+            return res.end(JSON.stringify({
+              error: 'invalid_grant',
+              message: req.headers['content-type'] + ' ' + Buffer.concat(chunks).toString('utf8')
+            }));
+          }
+
+          res.end(JSON.stringify({ href: baseUrl + '/tenants/abc123' }));
+        });
+      });
+
+      server.listen(0, '127.0.0.1', function() {
+        baseUrl = 'http://127.0.0.1:' + server.address().port + '/v1';
+        done();
+      });
+    });
+
+    after(function(done) {
+      server.close(done);
+    });
+
+    it('should send relative requests to the configured base URL', function(done) {
+      var executor = new RequestExecutor({
+        apiKey: new stormpath.ApiKey('id', 'secret'),
+        baseUrl: baseUrl
+      });
+
+      executor.execute({ uri: '/tenants/current' }, function(err, body) {
+        if (err) return done(err);
+
+        assert.equal(requests.pop(), '/v1/tenants/current');
+        assert.equal(body.href, baseUrl + '/tenants/abc123');
+        done();
+      });
+    });
+
+    it('should send requests through the configured proxy', function(done) {
+      var executor = new RequestExecutor({
+        apiKey: new stormpath.ApiKey('id', 'secret'),
+        baseUrl: 'http://stormpath.example.com/v1',
+        proxy: baseUrl.replace('/v1', '')
+      });
+
+      executor.execute({ uri: '/tenants/current' }, function(err) {
+        if (err) return done(err);
+
+        assert.equal(requests.pop(), 'http://stormpath.example.com/v1/tenants/current');
+        done();
+      });
+    });
+
+    it('should send form encoded requests and report OAuth errors', function(done) {
+      var executor = new RequestExecutor({
+        apiKey: new stormpath.ApiKey('id', 'secret'),
+        baseUrl: baseUrl
+      });
+
+      executor.execute({
+        uri: '/applications/abc123/oauth/token',
+        method: 'POST',
+        form: { grant_type: 'password', username: 'randall', password: 'nope' }
+      }, function(err) {
+        assert(err);
+        assert.equal(requests.pop(), '/v1/applications/abc123/oauth/token');
+        assert.equal(err.status, 400);
+        assert.equal(err.error, 'invalid_grant');
+        assert.equal(err.developerMessage,
+          'application/x-www-form-urlencoded; charset=utf-8 grant_type=password&username=randall&password=nope');
+        done();
+      });
+    });
+
+    it('should build hrefs on the configured base URL', function() {
+      var connector = new (require('..').Stormpath)({ baseUrl: baseUrl + '/' });
+
+      var type = connector.getResourceType('User');
+      var href = type.toHref('abc123', connector.baseUrl);
+
+      assert.equal(connector.baseUrl, baseUrl);
+      assert.equal(href, baseUrl + '/accounts/abc123');
+      assert.equal(type.toId(href), 'abc123');
+    });
+  });
+
+  describe('retries', function() {
+    var server;
+    var requests = [];
+    var responses = [];
+    var baseUrl;
+
+    // Send requests through a retrying executor, with short delays.
+    var createExecutor = function(options) {
+      var retryOptions = retry.normalizeOptions(options);
+
+      retryOptions.minDelay = 1;
+      return retry.withRetries(new RequestExecutor({
+        apiKey: new stormpath.ApiKey('id', 'secret'),
+        baseUrl: baseUrl
+      }), retryOptions);
+    };
+
+    before(function(done) {
+      // Reply with the queued responses, then successfully.  A `reset`
+      // response drops the connection.
+      server = http.createServer(function(req, res) {
+        var response = responses.shift() || { status: 200, body: { href: baseUrl + '/tenants/abc123' } };
+
+        req.resume();
+        req.on('end', function() {
+          requests.push(req.method + ' ' + req.url);
+
+          if (response.reset) {
+            return req.socket.destroy();
+          }
+
+          res.writeHead(response.status, response.headers || { 'Content-Type': 'application/json' });
+          res.end(typeof response.body === 'string' ? response.body : JSON.stringify(response.body || {}));
+        });
+      });
+
+      server.listen(0, '127.0.0.1', function() {
+        baseUrl = 'http://127.0.0.1:' + server.address().port + '/v1';
+        done();
+      });
+    });
+
+    beforeEach(function() {
+      requests.length = 0;
+      responses.length = 0;
+    });
+
+    after(function(done) {
+      server.close(done);
+    });
+
+    it('should retry unavailable servers and gateways', function(done) {
+      responses.push(
+        { status: 503, headers: { 'Content-Type': 'text/html' }, body: '<h1>Service Unavailable</h1>' },
+        { status: 502, body: { status: 502, code: 502, message: 'Bad gateway.' } }
+      );
+
+      createExecutor().execute({ uri: '/tenants/current' }, function(err, body) {
+        if (err) return done(err);
+
+        assert.deepEqual(requests, ['GET /v1/tenants/current', 'GET /v1/tenants/current', 'GET /v1/tenants/current']);
+        assert.equal(body.href, baseUrl + '/tenants/abc123');
+        done();
+      });
+    });
+
+    it('should retry dropped connections', function(done) {
+      responses.push({ reset: true });
+
+      createExecutor().execute({ uri: '/tenants/current' }, function(err, body) {
+        if (err) return done(err);
+
+        assert.equal(requests.length, 2);
+        assert.equal(body.href, baseUrl + '/tenants/abc123');
+        done();
+      });
+    });
+
+    it('should honor Retry-After, unless it is longer than the maximum delay', function(done) {
+      var executor = createExecutor({ maxDelay: 5000 });
+
+      responses.push({ status: 429, headers: { 'Retry-After': '0' }, body: { status: 429, code: 429 } });
+
+      executor.execute({ uri: '/tenants/current' }, function(err) {
+        if (err) return done(err);
+
+        assert.equal(requests.length, 2);
+
+        requests.length = 0;
+        responses.push({ status: 429, headers: { 'Retry-After': '120' }, body: { status: 429, code: 429 } });
+
+        executor.execute({ uri: '/tenants/current' }, function(err) {
+          assert(err);
+          assert.equal(err.status, 429);
+          assert.equal(err.retryAfter, 120000);
+          assert.equal(requests.length, 1);
+          done();
+        });
+      });
+    });
+
+    it('should only retry idempotent requests unless allowed', function(done) {
+      var req = { uri: '/accounts', method: 'POST', body: { email: 'randall@example.com' } };
+
+      responses.push({ status: 503, body: { status: 503, code: 503 } });
+
+      createExecutor().execute(req, function(err) {
+        assert(err);
+        assert.equal(err.status, 503);
+        assert.deepEqual(requests, ['POST /v1/accounts']);
+
+        requests.length = 0;
+        responses.push({ status: 503, body: { status: 503, code: 503 } });
+
+        createExecutor({ nonIdempotent: true }).execute(req, function(err) {
+          if (err) return done(err);
+
+          assert.equal(requests.length, 2);
+          done();
+        });
+      });
+    });
+
+    it('should not retry other errors', function(done) {
+      responses.push({ status: 500, body: { status: 500, code: 500 } });
+
+      createExecutor().execute({ uri: '/tenants/current' }, function(err) {
+        assert(err);
+        assert.equal(err.status, 500);
+        assert.equal(requests.length, 1);
+        done();
+      });
+    });
+
+    it('should report the last error once out of retries', function(done) {
+      for (var i = 0; i < 3; i++) {
+        responses.push({ status: 504, body: { status: 504, code: 504, message: 'Attempt ' + i } });
+      }
+
+      createExecutor({ retries: 2 }).execute({ uri: '/tenants/current' }, function(err) {
+        assert(err);
+        assert.equal(err.status, 504);
+        assert.equal(err.userMessage, 'Attempt 2');
+        assert.equal(requests.length, 3);
+        done();
+      });
+    });
+
+    it('should back off exponentially, with jitter', function() {
+      var options = retry.normalizeOptions({ minDelay: 100, maxDelay: 1000 });
+
+      for (var i = 0; i < 20; i++) {
+        assert(retry.computeDelay(0, {}, options) < 100);
+        assert(retry.computeDelay(2, {}, options) < 400);
+        assert(retry.computeDelay(10, {}, options) < 1000);
+      }
+
+      assert.equal(retry.computeDelay(0, { retryAfter: 500 }, options), 500);
+      assert.equal(retry.computeDelay(0, { retryAfter: 2000 }, options), -1);
+      assert.equal(retry.parseRetryAfter('3'), 3000);
+      assert.equal(retry.parseRetryAfter(new Date(Date.now() - 1000).toUTCString()), 0);
+      assert.equal(retry.parseRetryAfter('soon'), undefined);
+    });
+
+    it('should be configurable by the retry setting', function() {
+      var Stormpath = require('..').Stormpath;
+
+      assert.equal(new Stormpath({}).retryOptions.retries, 3);
+      assert.equal(new Stormpath({ retry: { retries: 5 } }).retryOptions.retries, 5);
+      assert.equal(new Stormpath({ retry: false }).retryOptions, null);
+      assert.equal(new Stormpath({ retry: { retries: 0 } }).retryOptions, null);
+    });
+  });
+
+  describe('backend', function() {
+    it('should work against a new in-memory backend without an application', function(done) {
+      var dataSource = getDataSource({ backend: 'memory' });
+      var Model = createResourceModel('MemoryUser', 'account', dataSource);
+
+      Model.create(user, function(err, obj) {
+        if (err) return done(err);
+
+        assert(obj.id);
+        assert(dataSource.connector.client._dataStore.requestExecutor instanceof MemoryBackend);
+
+        Model.count({}, function(err, count) {
+          if (err) return done(err);
+
+          assert.equal(count, 1);
+          done();
+        });
+      });
+    });
+
+    it('should return an error for unsupported backends', function(done) {
+      var Stormpath = require('..').Stormpath;
+
+      new Stormpath({ backend: 'nope' }).connect(function(err) {
+        assert(err);
+        done();
+      });
+    });
+  });
+
+  describe('Okta backend', function() {
+    var server;
+    var dataSource;
+    var OktaMember;
+
+    before(function(done) {
+      server = createOktaServer({ token: 'secret', pageSize: 2 });
+
+      server.listen(0, '127.0.0.1', function() {
+        dataSource = getDataSource({
+          backend: 'okta',
+          allowUnscopedBulk: true,
+          okta: { orgUrl: 'http://127.0.0.1:' + server.address().port, token: 'secret' }
+        });
+        OktaMember = createResourceModel('OktaMember', 'account', dataSource, {
+          id: { type: String, id: true },
+          email: String,
+          givenName: String,
+          surname: String,
+          status: String,
+          createdAt: Date,
+          plan: String
+        });
+        done();
+      });
+    });
+
+    after(function(done) {
+      server.close(done);
+    });
+
+    beforeEach(function(done) {
+      OktaMember.destroyAll(done);
+    });
+
+    it('should store accounts as Okta users', function(done) {
+      OktaMember.create({
+        email: 'randall@stormpath.com',
+        givenName: 'Randall',
+        surname: 'Degges',
+        password: 'woot!ILOVEc00kies',
+        plan: 'pro'
+      }, function(err, member) {
+        if (err) return done(err);
+
+        var stored = server.users[member.id];
+
+        assert(dataSource.connector.client._dataStore.requestExecutor instanceof OktaBackend);
+        assert.equal(stored.status, 'ACTIVE');
+        assert.equal(stored.profile.login, 'randall@stormpath.com');
+        assert.equal(stored.profile.email, 'randall@stormpath.com');
+        assert.equal(stored.profile.firstName, 'Randall');
+        assert.equal(stored.profile.lastName, 'Degges');
+        assert.equal(stored.profile.plan, 'pro');
+
+        OktaMember.findById(member.id, function(err, found) {
+          if (err) return done(err);
+
+          assert.equal(found.givenName, 'Randall');
+          assert.equal(found.surname, 'Degges');
+          assert.equal(found.status, 'ENABLED');
+          assert.equal(found.plan, 'pro');
+          assert(found.createdAt instanceof Date);
+          done();
+        });
+      });
+    });
+
+    it('should search, order and paginate Okta users', function(done) {
+      async.eachSeries(['c', 'a', 'b'], function(name, cb) {
+        OktaMember.create({
+          email: name + '@stormpath.com',
+          givenName: name,
+          surname: 'Degges',
+          password: 'woot!ILOVEc00kies',
+          plan: name === 'c' ? 'free' : 'pro'
+        }, cb);
+      }, function(err) {
+        if (err) return done(err);
+
+        async.series([
+          function(cb) {
+            OktaMember.find({ where: { email: 'A@stormpath.com' } }, cb);
+          },
+          function(cb) {
+            OktaMember.find({ where: { plan: 'pro' }, order: 'givenName DESC' }, cb);
+          },
+          function(cb) {
+            OktaMember.find({ order: 'givenName', skip: 1, limit: 1 }, cb);
+          }
+        ], function(err, results) {
+          if (err) return done(err);
+
+          assert.deepEqual(results[0].map(function(member) { return member.givenName; }), ['a']);
+          assert(server.requests.some(function(request) {
+            return request.indexOf('filter=' + encodeURIComponent('profile.email eq "A@stormpath.com"')) > -1;
+          }));
+          assert.deepEqual(results[1].map(function(member) { return member.givenName; }), ['b', 'a']);
+          assert.deepEqual(results[2].map(function(member) { return member.givenName; }), ['b']);
+          done();
+        });
+      });
+    });
+
+    it('should update profiles and custom attributes', function(done) {
+      OktaMember.create({
+        email: 'randall@stormpath.com',
+        givenName: 'Randall',
+        surname: 'Degges',
+        password: 'woot!ILOVEc00kies',
+        plan: 'pro'
+      }, function(err, member) {
+        if (err) return done(err);
+
+        member.updateAttributes({ givenName: 'Rand', plan: 'free' }, function(err) {
+          if (err) return done(err);
+
+          assert.equal(server.users[member.id].profile.firstName, 'Rand');
+          assert.equal(server.users[member.id].profile.plan, 'free');
+
+          OktaMember.replaceById(member.id, {
+            email: 'randall@stormpath.com',
+            givenName: 'Rand',
+            surname: 'Degges'
+          }, function(err) {
+            if (err) return done(err);
+
+            OktaMember.findById(member.id, function(err, found) {
+              if (err) return done(err);
+
+              assert.equal(found.givenName, 'Rand');
+              assert.equal(found.plan, undefined);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should resume paginating Okta users where the previous page ended', function(done) {
+      async.eachSeries(['a', 'b', 'c', 'd', 'e'], function(name, cb) {
+        OktaMember.create({
+          email: name + '@stormpath.com',
+          givenName: name,
+          surname: 'Degges',
+          password: 'woot!ILOVEc00kies'
+        }, cb);
+      }, function(err) {
+        if (err) return done(err);
+
+        var requests = server.requests.length;
+
+        async.mapSeries([0, 2, 4], function(skip, cb) {
+          OktaMember.find({ skip: skip, limit: 2 }, cb);
+        }, function(err, pages) {
+          if (err) return done(err);
+
+          assert.deepEqual(pages.map(function(page) {
+            return page.map(function(member) { return member.givenName; });
+          }), [['a', 'b'], ['c', 'd'], ['e']]);
+
+          // The first page lists every user (3 Okta pages of 2 users), the
+          // others only resume from the page they start on.
+          assert.deepEqual(server.requests.slice(requests).map(function(request) {
+            return request.split('?')[0];
+          }), ['GET /api/v1/users', 'GET /api/v1/users', 'GET /api/v1/users', 'GET /api/v1/users', 'GET /api/v1/users']);
+
+          OktaMember.count(function(err, count) {
+            if (err) return done(err);
+
+            assert.equal(count, 5);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should authenticate Okta users', function(done) {
+      OktaMember.create({
+        email: 'randall@stormpath.com',
+        givenName: 'Randall',
+        surname: 'Degges',
+        password: 'woot!ILOVEc00kies'
+      }, function(err, member) {
+        if (err) return done(err);
+
+        var connector = dataSource.connector;
+
+        connector.authenticate('OktaMember', 'randall@stormpath.com', 'woot!ILOVEc00kies', function(err, json) {
+          if (err) return done(err);
+
+          assert.equal(json.id, member.id);
+          assert.equal(json.email, 'randall@stormpath.com');
+
+          connector.authenticate('OktaMember', 'randall@stormpath.com', 'nope', function(err) {
+            assert(err);
+            assert.equal(err.statusCode, 401);
+            assert.equal(err.code, 'LOGIN_FAILED');
+            assert.equal(err.stormpathCode, 7100);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should suspend and unsuspend Okta users', function(done) {
+      var connector = dataSource.connector;
+
+      OktaMember.create({
+        email: 'randall@stormpath.com',
+        givenName: 'Randall',
+        surname: 'Degges',
+        password: 'woot!ILOVEc00kies'
+      }, function(err, member) {
+        if (err) return done(err);
+
+        member.updateAttributes({ status: 'DISABLED' }, function(err) {
+          if (err) return done(err);
+
+          assert.equal(server.users[member.id].status, 'SUSPENDED');
+          assert.equal(server.users[member.id].profile.status, undefined);
+
+          OktaMember.find({ where: { status: 'DISABLED' } }, function(err, members) {
+            if (err) return done(err);
+
+            assert.equal(members.length, 1);
+
+            connector.authenticate('OktaMember', 'randall@stormpath.com', 'woot!ILOVEc00kies', function(err) {
+              assert(err);
+              assert.equal(err.statusCode, 401);
+              assert.equal(err.code, 'LOGIN_FAILED_ACCOUNT_DISABLED');
+
+              member.updateAttributes({ status: 'ENABLED' }, function(err) {
+                if (err) return done(err);
+
+                assert.equal(server.users[member.id].status, 'ACTIVE');
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('should report duplicate and invalid accounts', function(done) {
+      var data = {
+        email: 'randall@stormpath.com',
+        givenName: 'Randall',
+        surname: 'Degges',
+        password: 'woot!ILOVEc00kies'
+      };
+
+      OktaMember.create(data, function(err) {
+        if (err) return done(err);
+
+        OktaMember.create(data, function(err) {
+          assert(err);
+          assert.equal(err.statusCode, 422);
+          assert.deepEqual(err.details.codes, { username: ['uniqueness'] });
+          assert.equal(err.stormpathCode, 2001);
+
+          OktaMember.create({ email: 'x@stormpath.com', givenName: 'X', surname: 'X', password: 'short' }, function(err) {
+            assert(err);
+            assert.equal(err.statusCode, 422);
+            assert.deepEqual(err.details.codes, { password: ['format'] });
+            done();
+          });
+        });
+      });
+    });
+
+    it('should deactivate and delete Okta users', function(done) {
+      OktaMember.create({
+        email: 'randall@stormpath.com',
+        givenName: 'Randall',
+        surname: 'Degges',
+        password: 'woot!ILOVEc00kies'
+      }, function(err, member) {
+        if (err) return done(err);
+
+        OktaMember.destroyById(member.id, function(err) {
+          if (err) return done(err);
+
+          assert.equal(server.users[member.id], undefined);
+
+          OktaMember.exists(member.id, function(err, exists) {
+            if (err) return done(err);
+
+            assert.equal(exists, false);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should require an Okta org URL and API token', function(done) {
+      var Stormpath = require('..').Stormpath;
+
+      new Stormpath({ backend: 'okta', okta: { orgUrl: 'https://dev-123456.okta.com' } }).connect(function(err) {
+        assert(err);
+        done();
+      });
+    });
   });
 });